@@ -0,0 +1,311 @@
+/**
+ * ColdWaterSurvivalModel.js
+ * Heat-balance cold-water survival model, in the spirit of the Probability
+ * of Survival Decision Aid (PSDA)
+ *
+ * The body is a single lumped core whose temperature follows
+ *   m c dTc/dt = M - Q
+ *   M = resting metabolism + effort + shivering (shivering rises as the skin
+ *       and core cool, fails below a 33 °C core and fatigues over the hours)
+ *   Q = BSA x sum over water / air exposure of (Tc - T) / (Rtissue + Rclothing + 1/h)
+ * Tissue insulation comes from body fat (measured, or estimated from BMI,
+ * age and sex), clothing from its clo value and how much of it survives
+ * getting wet, and the boundary layer from sea state, wind and whether the
+ * person is treading water. In a life raft most of the body is in air.
+ *
+ * Outputs are core-temperature trajectories plus functional time (core
+ * below 34 °C: no longer able to help themselves) and survival time (core
+ * below 28 °C). Bands come from re-running the model with pessimistic and
+ * optimistic physiology (insulation, shivering, heat transfer), taken as
+ * the 10th and 90th percentiles of a lognormal survival time. A victim whose
+ * core stays above 28 °C for the whole horizon has a censored survival time:
+ * it is only known to be at least the horizon, so no hypothermic death is
+ * predicted inside it. Trajectories end where a run crosses the survival
+ * threshold - the model says nothing useful about the core after death.
+ *
+ * Temperatures in and out of the model are °C; callers in this repo hold
+ * °F and convert at the boundary (see SurvivalAnalyzer).
+ */
+
+const SPECIFIC_HEAT = 3490; // J/(kg·K), whole body
+const CLO = 0.155; // m²K/W per clo
+const FUNCTIONAL_CORE_C = 34;
+const SURVIVAL_CORE_C = 28;
+const Z90 = 1.2816; // standard normal 90th percentile
+const DEFAULT_HORIZON_HOURS = 72;
+
+// Dry insulation (clo) and the share of it kept when soaked
+const CLOTHING = {
+  none: { clo: 0, wetRetention: 0 },
+  light: { clo: 0.5, wetRetention: 0.1 },
+  normal: { clo: 1.0, wetRetention: 0.15 },
+  heavy: { clo: 1.5, wetRetention: 0.2 },
+  wetsuit: { clo: 0.7, wetRetention: 1.0 },
+  drysuit: { clo: 1.5, wetRetention: 0.85 },
+  'immersion-suit': { clo: 2.0, wetRetention: 0.9 }
+};
+
+const SITUATIONS = ['immersed', 'raft'];
+
+// Pessimistic / optimistic physiology for the confidence band
+const VARIANTS = {
+  estimate: { insulation: 1, shivering: 1, transfer: 1 },
+  lower: { insulation: 0.85, shivering: 0.8, transfer: 1.15 },
+  upper: { insulation: 1.15, shivering: 1.2, transfer: 0.85 }
+};
+
+class ColdWaterSurvivalModel {
+  /**
+   * @param {Object} options - { horizonHours, stepMinutes, outputIntervalMinutes }
+   *   horizonHours: longest exposure modelled (default 72); survival beyond it is censored
+   */
+  constructor(options = {}) {
+    this.horizonHours = options.horizonHours || DEFAULT_HORIZON_HOURS;
+    this.stepSeconds = (options.stepMinutes || 1) * 60;
+    this.outputIntervalMinutes = options.outputIntervalMinutes || 15;
+  }
+
+  static get clothing() {
+    return Object.keys(CLOTHING);
+  }
+
+  /**
+   * Predict core temperature, functional time and survival time
+   * @param {Object} victim - { sex, age, massKg, heightCm, bodyFatPercent, clothing, hasPFD, situation }
+   *   clothing is a CLOTHING name or { clo, wetRetention }; situation 'immersed' (default) or 'raft'
+   * @param {Object} environment - { waterTempC, airTempC, seaState, windSpeedMs }
+   * @param {Number} horizonHours - Longest exposure to model (default: the model's horizon)
+   * @returns {Object} - { body, exposure, coreTemperature, functionalTime, survivalTime, heatBalance }
+   *   where times are { estimate, lower, upper, censored, horizonHours } in hours; a censored
+   *   estimate is not reached within the horizon (the time is then only known to be >= horizonHours)
+   */
+  predict(victim = {}, environment = {}, horizonHours = this.horizonHours) {
+    const body = this.resolveBody(victim);
+    const exposure = this.resolveExposure(victim, environment);
+
+    const runs = {};
+    Object.entries(VARIANTS).forEach(([name, variant]) => {
+      runs[name] = this.simulate(body, exposure, variant, horizonHours);
+    });
+
+    const times = key => ({
+      estimate: runs.estimate[key] ?? horizonHours,
+      lower: runs.lower[key] ?? horizonHours,
+      upper: runs.upper[key] ?? horizonHours,
+      censored: runs.estimate[key] === null,
+      horizonHours
+    });
+
+    // Bands past the end of a variant's trajectory hold at the survival threshold
+    return {
+      body,
+      exposure,
+      coreTemperature: runs.estimate.trajectory.map(point => ({
+        hour: point.hour,
+        estimate: point.coreC,
+        lower: this.trajectoryAt(runs.lower.trajectory, point.hour),
+        upper: this.trajectoryAt(runs.upper.trajectory, point.hour)
+      })),
+      functionalTime: { ...times('functionalHours'), thresholdC: FUNCTIONAL_CORE_C },
+      survivalTime: { ...times('survivalHours'), thresholdC: SURVIVAL_CORE_C },
+      heatBalance: runs.estimate.initial
+    };
+  }
+
+  /**
+   * Chance of still being alive after `hours`, from a prediction's survival time
+   * (lognormal: median at the estimate, 10th / 90th percentiles at the band).
+   * A censored survival time is no median - the victim outlasts the horizon -
+   * so the horizon is taken as a lower bound: no death up to it, and past it
+   * the lognormal with its median at the horizon, given survival that long.
+   * Ask for a prediction whose horizon covers the hours wanted (predict's
+   * horizonHours) to have the model say more than that.
+   */
+  probabilityAlive(prediction, hours) {
+    if (!(hours > 0)) return 1;
+    const { estimate, lower, upper, censored } = prediction.survivalTime;
+    const sigma = Math.max(0.1, Math.log(upper / lower) / (2 * Z90));
+    const z = Math.log(hours / estimate) / sigma;
+    if (censored) {
+      // Exposure summed step by step can land a rounding error past the horizon
+      return z <= 1e-9 ? 1 : (1 - this.normalCdf(z)) / (1 - this.normalCdf(0));
+    }
+    return 1 - this.normalCdf(z);
+  }
+
+  /**
+   * Body surface area, fat and tissue insulation from the victim description
+   */
+  resolveBody(victim) {
+    const sex = (victim.sex || victim.gender || 'male').toLowerCase() === 'female' ? 'female' : 'male';
+    const age = victim.age || 40;
+    const massKg = victim.massKg || victim.weightKg || (sex === 'female' ? 68 : 82);
+    const heightCm = victim.heightCm || (sex === 'female' ? 163 : 176);
+    if (!(massKg > 0) || !(heightCm > 0)) {
+      throw new Error('Victim massKg and heightCm must be positive');
+    }
+
+    // Deurenberg body-fat estimate from BMI when not measured
+    const bmi = massKg / Math.pow(heightCm / 100, 2);
+    const bodyFatPercent = victim.bodyFatPercent ??
+      Math.min(50, Math.max(5, 1.2 * bmi + 0.23 * age - 10.8 * (sex === 'male' ? 1 : 0) - 5.4));
+
+    const surfaceAreaM2 = 0.007184 * Math.pow(massKg, 0.425) * Math.pow(heightCm, 0.725); // DuBois
+    return {
+      sex,
+      age,
+      massKg,
+      heightCm,
+      bmi,
+      bodyFatPercent,
+      surfaceAreaM2,
+      restingW: 45 * surfaceAreaM2,
+      tissueInsulation: 0.03 + 0.004 * bodyFatPercent // m²K/W, vasoconstricted
+    };
+  }
+
+  /**
+   * Water / air split, clothing and boundary-layer heat transfer
+   */
+  resolveExposure(victim, environment) {
+    const situation = victim.situation || 'immersed';
+    if (!SITUATIONS.includes(situation)) {
+      throw new Error(`Unknown survival situation '${situation}' (expected ${SITUATIONS.join(', ')})`);
+    }
+    if (typeof environment.waterTempC !== 'number' || isNaN(environment.waterTempC)) {
+      throw new Error('Water temperature is required for survival prediction');
+    }
+
+    const clothing = typeof victim.clothing === 'object' && victim.clothing !== null
+      ? { clo: victim.clothing.clo || 0, wetRetention: victim.clothing.wetRetention ?? 0.15 }
+      : CLOTHING[victim.clothing || 'light'];
+    if (!clothing) {
+      throw new Error(`Unknown clothing '${victim.clothing}' (expected ${ColdWaterSurvivalModel.clothing.join(', ')} or { clo, wetRetention })`);
+    }
+
+    const seaState = environment.seaState || 0;
+    const hasPFD = victim.hasPFD === true;
+    const treading = situation === 'immersed' && !hasPFD;
+
+    return {
+      situation,
+      hasPFD,
+      waterTempC: environment.waterTempC,
+      airTempC: environment.airTempC ?? environment.waterTempC,
+      seaState,
+      // Head (and with a PFD, shoulders) out of the water; a raft takes
+      // on spray and water on the floor as the sea builds
+      waterFraction: situation === 'raft'
+        ? Math.min(0.6, 0.1 + 0.05 * seaState)
+        : (hasPFD ? 0.85 : 0.95),
+      clothingWater: clothing.clo * CLO * clothing.wetRetention,
+      clothingAir: clothing.clo * CLO * Math.max(clothing.wetRetention, 0.5),
+      // Waves and treading water both stir the boundary layer; treading also
+      // pumps blood through the limbs, costing much of the tissue insulation
+      waterTransfer: 150 * (1 + 0.15 * seaState) * (treading ? 1.4 : 1),
+      airTransfer: 8 + 4 * (environment.windSpeedMs ?? 5),
+      tissueFactor: treading ? 0.6 : 1,
+      effortFactor: treading ? 0.5 : 0
+    };
+  }
+
+  /**
+   * Core temperature at an hour of a trajectory, interpolated; past the end
+   * of a trajectory cut short by death, the survival threshold
+   */
+  trajectoryAt(trajectory, hour) {
+    const after = trajectory.findIndex(point => point.hour >= hour);
+    if (after === -1) return trajectory[trajectory.length - 1].coreC;
+    if (after === 0) return trajectory[0].coreC;
+
+    const a = trajectory[after - 1];
+    const b = trajectory[after];
+    return a.coreC + (b.coreC - a.coreC) * (hour - a.hour) / (b.hour - a.hour);
+  }
+
+  /**
+   * Integrate core temperature over the horizon, stopping where the core
+   * reaches the survival threshold
+   * @returns {Object} - { trajectory, functionalHours, survivalHours, initial } (hours null when not reached)
+   */
+  simulate(body, exposure, variant, horizonHours = this.horizonHours) {
+    const tissue = body.tissueInsulation * exposure.tissueFactor * variant.insulation;
+    const waterResistance = tissue + exposure.clothingWater + 1 / (exposure.waterTransfer * variant.transfer);
+    const airResistance = tissue + exposure.clothingAir + 1 / (exposure.airTransfer * variant.transfer);
+    const envC = exposure.waterFraction * exposure.waterTempC + (1 - exposure.waterFraction) * exposure.airTempC;
+    const skinCold = Math.min(1, Math.max(0, (33 - envC) / 20));
+    const maxShiveringW = 3.5 * body.restingW * variant.shivering;
+    const capacity = body.massKg * SPECIFIC_HEAT;
+
+    const heatFlows = (coreC, hours) => {
+      const lossW = body.surfaceAreaM2 * (
+        exposure.waterFraction * (coreC - exposure.waterTempC) / waterResistance +
+        (1 - exposure.waterFraction) * (coreC - exposure.airTempC) / airResistance
+      );
+      const drive = Math.min(1, Math.max(0, 0.6 * skinCold + (37 - coreC) / 2.5));
+      const capability = Math.min(1, Math.max(0, (coreC - 30) / 3)); // fails from 33 down to 30 °C
+      const fatigue = 1 / (1 + hours / 8);
+      // Roughly 60% of shivering heat reaches the core; the rest leaves via the periphery
+      const shiveringW = 0.6 * maxShiveringW * drive * capability * fatigue;
+      const metabolicW = body.restingW * (1 + exposure.effortFactor) + shiveringW;
+      return { lossW, metabolicW, shiveringW };
+    };
+
+    const stepHours = this.stepSeconds / 3600;
+    const outputEvery = Math.max(1, Math.round(this.outputIntervalMinutes * 60 / this.stepSeconds));
+    const steps = Math.round(horizonHours / stepHours);
+
+    let coreC = 37;
+    let functionalHours = null;
+    let survivalHours = null;
+    const trajectory = [{ hour: 0, coreC }];
+
+    for (let i = 1; i <= steps; i++) {
+      const hours = (i - 1) * stepHours;
+      const { lossW, metabolicW } = heatFlows(coreC, hours);
+      const previous = coreC;
+      // Thermoregulation sheds any surplus, so the core never rises above normal
+      coreC = Math.min(37, coreC + (metabolicW - lossW) * this.stepSeconds / capacity);
+
+      const hour = i * stepHours;
+      const crossed = threshold => hour - stepHours * (coreC - threshold) / (coreC - previous);
+      if (functionalHours === null && coreC <= FUNCTIONAL_CORE_C) functionalHours = crossed(FUNCTIONAL_CORE_C);
+      if (coreC <= SURVIVAL_CORE_C) {
+        survivalHours = crossed(SURVIVAL_CORE_C);
+        trajectory.push({ hour: survivalHours, coreC: SURVIVAL_CORE_C });
+        break;
+      }
+
+      if (i % outputEvery === 0) trajectory.push({ hour, coreC });
+    }
+
+    const initial = heatFlows(37, 0);
+    return {
+      trajectory,
+      functionalHours,
+      survivalHours,
+      initial: {
+        heatLossW: initial.lossW,
+        metabolicW: initial.metabolicW,
+        shiveringW: initial.shiveringW
+      }
+    };
+  }
+
+  /**
+   * Standard normal CDF (Abramowitz & Stegun 7.1.26)
+   */
+  normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413061 +
+      t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+    return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+  }
+}
+
+ColdWaterSurvivalModel.FUNCTIONAL_CORE_C = FUNCTIONAL_CORE_C;
+ColdWaterSurvivalModel.SURVIVAL_CORE_C = SURVIVAL_CORE_C;
+ColdWaterSurvivalModel.DEFAULT_HORIZON_HOURS = DEFAULT_HORIZON_HOURS;
+
+module.exports = ColdWaterSurvivalModel;
@@ -0,0 +1,174 @@
+/**
+ * ContourTracer.js
+ * Marching squares: closed contour polygons around the part of a grid at or
+ * above a threshold, as separate parts with holes
+ *
+ * The grid is padded with a border below the threshold so every contour
+ * closes. Crossings are placed by linear interpolation along cell edges, and
+ * segments are directed with the region on their left, so stitched rings
+ * run counter-clockwise around regions (outer rings) and clockwise around
+ * gaps inside them (holes). Saddle cells are resolved with the cell-centre
+ * average: above the threshold joins the two high corners, below keeps them
+ * apart. Each hole is assigned to the smallest outer ring containing it.
+ */
+
+// Cell edges counter-clockwise: bottom, right, top, left, as corner index pairs
+// with corners 0 = bottom-left, 1 = bottom-right, 2 = top-right, 3 = top-left
+const CORNERS = [[0, 0], [1, 0], [1, 1], [0, 1]];
+const EDGES = [[0, 1], [1, 2], [2, 3], [3, 0]];
+
+class ContourTracer {
+  /**
+   * Trace the region at or above `threshold`
+   * @param {ArrayLike} values - rows x cols, row-major, row 0 at the bottom
+   * @param {Number} rows - Grid rows
+   * @param {Number} cols - Grid columns
+   * @param {Number} threshold - Contour level
+   * @returns {Array} - [{ outer: [{ x, y }], holes: [[{ x, y }]] }] in grid
+   *   coordinates (x = column, y = row), rings open (first point not repeated)
+   */
+  trace(values, rows, cols, threshold) {
+    // Padded lookup: one node of "outside" all round
+    const value = (row, col) => (row < 0 || col < 0 || row >= rows || col >= cols
+      ? -Infinity
+      : values[row * cols + col]);
+
+    const segments = new Map(); // start crossing key -> segment
+    for (let row = -1; row < rows; row++) {
+      for (let col = -1; col < cols; col++) {
+        this.cellSegments(value, row, col, threshold).forEach(segment => {
+          segments.set(segment.from.key, segment);
+        });
+      }
+    }
+
+    const rings = this.stitch(segments);
+    const outers = [];
+    const holes = [];
+    rings.forEach(ring => {
+      const area = this.signedArea(ring);
+      if (area > 0) outers.push({ outer: ring, area, holes: [] });
+      else if (area < 0) holes.push(ring);
+    });
+
+    holes.forEach(hole => {
+      const owner = outers
+        .filter(part => this.contains(part.outer, hole[0]))
+        .sort((a, b) => a.area - b.area)[0];
+      if (owner) owner.holes.push(hole);
+    });
+
+    return outers
+      .sort((a, b) => b.area - a.area)
+      .map(({ outer, holes: own }) => ({ outer, holes: own }));
+  }
+
+  /**
+   * Directed segments for one cell (bottom-left node at row, col)
+   */
+  cellSegments(value, row, col, threshold) {
+    const corners = CORNERS.map(([dx, dy]) => value(row + dy, col + dx));
+    const inside = corners.map(v => v >= threshold);
+    if (inside.every(Boolean) || !inside.some(Boolean)) return [];
+
+    // Crossings in counter-clockwise order round the cell
+    const crossings = [];
+    EDGES.forEach(([a, b], edge) => {
+      if (inside[a] === inside[b]) return;
+      crossings.push({ ...this.crossing(row, col, edge, a, b, corners, threshold), leaving: inside[a] });
+    });
+
+    // Leaving the region (in -> out going round the cell) starts a segment that
+    // ends at an entering crossing: the next one round the cell when the high
+    // corners join through the centre, the previous one otherwise
+    const joined = crossings.length === 4 &&
+      corners.reduce((sum, v) => sum + (v === -Infinity ? 0 : v), 0) / 4 >= threshold;
+    const segments = [];
+    crossings.forEach((c, i) => {
+      if (!c.leaving) return;
+      const n = crossings.length;
+      const to = crossings.length === 4 && !joined ? crossings[(i + n - 1) % n] : crossings[(i + 1) % n];
+      segments.push({ from: c, to });
+    });
+    return segments;
+  }
+
+  /**
+   * Interpolated crossing on a cell edge, keyed by the grid edge it lies on
+   * (shared with the neighbouring cell)
+   */
+  crossing(row, col, edge, a, b, corners, threshold) {
+    const [ax, ay] = CORNERS[a];
+    const [bx, by] = CORNERS[b];
+    const va = corners[a];
+    const vb = corners[b];
+    // Against the padding the contour runs through the last grid node
+    const t = va === -Infinity ? 1 : vb === -Infinity ? 0 : (threshold - va) / (vb - va);
+
+    const x = col + ax + (bx - ax) * t;
+    const y = row + ay + (by - ay) * t;
+    const horizontal = ay === by;
+    const key = horizontal
+      ? `h:${col + Math.min(ax, bx)}:${row + ay}`
+      : `v:${col + ax}:${row + Math.min(ay, by)}`;
+    return { key, x, y };
+  }
+
+  /**
+   * Join segments end to start into closed rings
+   */
+  stitch(segments) {
+    const rings = [];
+    const used = new Set();
+
+    segments.forEach((first, key) => {
+      if (used.has(key)) return;
+      const ring = [];
+      let segment = first;
+      while (segment && !used.has(segment.from.key)) {
+        used.add(segment.from.key);
+        // Crossings pinned to the same grid node along the border coincide
+        const last = ring[ring.length - 1];
+        if (!last || last.x !== segment.from.x || last.y !== segment.from.y) {
+          ring.push({ x: segment.from.x, y: segment.from.y });
+        }
+        segment = segments.get(segment.to.key);
+      }
+      if (ring.length > 1 && ring[0].x === ring[ring.length - 1].x && ring[0].y === ring[ring.length - 1].y) {
+        ring.pop();
+      }
+      if (ring.length >= 3) rings.push(ring);
+    });
+
+    return rings;
+  }
+
+  /**
+   * Shoelace area (positive counter-clockwise)
+   */
+  signedArea(ring) {
+    let area = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      area += (ring[j].x * ring[i].y - ring[i].x * ring[j].y);
+    }
+    return area / 2;
+  }
+
+  /**
+   * Ray casting point-in-ring test
+   */
+  contains(ring, point) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const a = ring[i];
+      const b = ring[j];
+      if ((a.y > point.y) !== (b.y > point.y) &&
+          point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+}
+
+module.exports = ContourTracer;
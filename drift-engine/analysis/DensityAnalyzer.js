@@ -2,6 +2,13 @@
  * DensityAnalyzer.js
  * Analyzes particle density distribution to create heat maps
  * Divides search area into grid cells and counts particles per cell
+ *
+ * Particles carry a probability weight (default 1) from scenario weighting,
+ * survivability and search updates; cells report the summed weight as
+ * `mass`, the heat map is normalised on mass, and `probability` is a cell's
+ * share of all afloat and beached mass. Beached particles are binned
+ * separately (`beached`), so a case where most of the probability has come
+ * ashore shows that shoreline rather than just the few particles still afloat.
  */
 
 class DensityAnalyzer {
@@ -12,17 +19,42 @@ class DensityAnalyzer {
   /**
    * Analyze particle density and create heat map data
    * @param {Array} particles - Array of particle objects
-   * @returns {Object} - { heatMap, grid, maxDensity }
+   * @returns {Object} - { heatMap, grid, maxDensity, maxMass, afloatMass, totalMass, beached }
+   *   where beached is { count, mass, probability, heatMap } along the shoreline
    */
   analyze(particles) {
+    const afloat = this.bin(particles.filter(p => p.status === 'active'));
+    const ashore = this.bin(particles.filter(p => p.status === 'beached'));
+    const totalMass = afloat.mass + ashore.mass;
+
+    return {
+      heatMap: this.toHeatMap(afloat, totalMass),
+      grid: afloat.grid,
+      maxDensity: afloat.maxDensity,
+      maxMass: afloat.maxMass,
+      afloatMass: afloat.mass,
+      totalMass,
+      totalCells: Object.keys(afloat.grid).length,
+      gridSize: this.gridSize,
+      beached: {
+        count: ashore.count,
+        mass: ashore.mass,
+        probability: totalMass > 0 ? ashore.mass / totalMass : 0,
+        heatMap: this.toHeatMap(ashore, totalMass)
+      }
+    };
+  }
+
+  /**
+   * Count particles and sum their weight in each grid cell
+   */
+  bin(particles) {
     const grid = {};
     let maxDensity = 0;
+    let maxMass = 0;
+    let mass = 0;
 
-    // Only analyze active particles
-    const activeParticles = particles.filter(p => p.status === 'active');
-
-    // Count particles in each grid cell
-    activeParticles.forEach(p => {
+    particles.forEach(p => {
       const cellLat = Math.floor(p.lat / this.gridSize) * this.gridSize;
       const cellLng = Math.floor(p.lng / this.gridSize) * this.gridSize;
       const key = `${cellLat},${cellLng}`;
@@ -32,37 +64,44 @@ class DensityAnalyzer {
           lat: cellLat,
           lng: cellLng,
           count: 0,
+          mass: 0,
           particles: []
         };
       }
       
+      const weight = p.weight ?? 1;
       grid[key].count++;
+      grid[key].mass += weight;
       grid[key].particles.push(p.id);
+      mass += weight;
       
       if (grid[key].count > maxDensity) {
         maxDensity = grid[key].count;
       }
+      if (grid[key].mass > maxMass) {
+        maxMass = grid[key].mass;
+      }
     });
 
-    // Convert grid to heat map format
-    // Each point has lat, lng, and normalized weight (0-1)
-    const heatMap = Object.values(grid).map(cell => ({
+    return { grid, maxDensity, maxMass, mass, count: particles.length };
+  }
+
+  /**
+   * Convert a binned grid to heat map format
+   * Each point has lat, lng, and normalized weight (0-1)
+   */
+  toHeatMap(binned, totalMass) {
+    const heatMap = Object.values(binned.grid).map(cell => ({
       lat: cell.lat + this.gridSize / 2, // Center of cell
       lng: cell.lng + this.gridSize / 2,
-      weight: cell.count / maxDensity, // Normalized 0-1
-      count: cell.count
+      weight: binned.maxMass > 0 ? cell.mass / binned.maxMass : 0, // Normalized 0-1
+      count: cell.count,
+      mass: cell.mass,
+      probability: totalMass > 0 ? cell.mass / totalMass : 0
     }));
 
-    // Sort by density (highest first)
-    heatMap.sort((a, b) => b.count - a.count);
-
-    return {
-      heatMap,
-      grid,
-      maxDensity,
-      totalCells: Object.keys(grid).length,
-      gridSize: this.gridSize
-    };
+    // Sort by probability mass (highest first)
+    return heatMap.sort((a, b) => b.mass - a.mass || b.count - a.count);
   }
 
   /**
@@ -70,9 +109,9 @@ class DensityAnalyzer {
    */
   getHighDensityAreas(particles) {
     const analysis = this.analyze(particles);
-    const threshold = analysis.maxDensity * 0.1; // Top 10%
+    const threshold = analysis.maxMass * 0.1; // Top 10%
     
-    return analysis.heatMap.filter(cell => cell.count >= threshold);
+    return analysis.heatMap.filter(cell => cell.mass >= threshold);
   }
 
   /**
@@ -84,9 +123,12 @@ class DensityAnalyzer {
 
   /**
    * Calculate search area from particle distribution
+   * Covers afloat and beached particles that still carry weight
    */
   calculateSearchArea(particles) {
-    const activeParticles = particles.filter(p => p.status === 'active');
+    const activeParticles = particles.filter(p =>
+      (p.status === 'active' || p.status === 'beached') && (p.weight ?? 1) > 0
+    );
     
     if (activeParticles.length === 0) {
       return { area: 0, bounds: null };
@@ -0,0 +1,110 @@
+/**
+ * EnsembleAnalyzer.js
+ * Summarises an ensemble run: where each member's particles ended up and
+ * how far the members disagree
+ *
+ * Between-member spread is the distance of each member centroid from the
+ * ensemble centroid; within-member radius is the RMS distance of a member's
+ * particles from its own centroid. Both use particle weights. A spread ratio well above 1 means forcing
+ * uncertainty dominates the search area rather than particle dispersion.
+ */
+
+const CoordinateUtils = require('../../utils/CoordinateUtils');
+
+class EnsembleAnalyzer {
+  /**
+   * Analyze ensemble member agreement
+   * @param {Array} particles - Final particles (carrying `member`)
+   * @param {Array} snapshots - Snapshots with per-member centroids
+   * @param {Array} members - Member definitions from Ensemble.drawMembers
+   * @param {Array} sources - config.ensemble.sources (for member source names)
+   * @returns {Object} - { members, centroids, tracks, spread, spreadByHour }
+   */
+  analyze(particles, snapshots, members, sources = []) {
+    const active = particles.filter(p => p.status === 'active');
+    const ensembleCentroid = this.centroid(active);
+
+    const centroids = members.map(definition => {
+      const own = active.filter(p => p.member === definition.member);
+      const centroid = this.centroid(own);
+      return {
+        member: definition.member,
+        control: definition.control,
+        source: definition.source !== null ? (sources[definition.source]?.name || `source-${definition.source}`) : 'default',
+        perturbation: definition.perturbation,
+        active: own.length,
+        centroid,
+        radiusKm: centroid ? this.rmsDistance(own, centroid) : null
+      };
+    });
+
+    return {
+      members: members.length,
+      centroid: ensembleCentroid,
+      centroids,
+      tracks: members.map(definition => ({
+        member: definition.member,
+        points: snapshots
+          .map(s => ({ hour: s.hour, centroid: s.members?.[definition.member]?.centroid || null }))
+          .filter(point => point.centroid)
+      })),
+      spread: this.spread(ensembleCentroid, centroids),
+      spreadByHour: snapshots.map(s => ({
+        hour: s.hour,
+        ...this.spread(s.centroid, s.members || [])
+      }))
+    };
+  }
+
+  /**
+   * Between-member spread around the ensemble centroid
+   * @param {Object} ensembleCentroid - { lat, lng }
+   * @param {Array} memberCentroids - [{ centroid, radiusKm? }]
+   */
+  spread(ensembleCentroid, memberCentroids) {
+    const located = memberCentroids.filter(m => m.centroid);
+    if (!ensembleCentroid || located.length === 0) {
+      return { meanDistanceKm: 0, maxDistanceKm: 0, rmsDistanceKm: 0 };
+    }
+
+    const distances = located.map(m => CoordinateUtils.distance(
+      ensembleCentroid.lat, ensembleCentroid.lng, m.centroid.lat, m.centroid.lng
+    ));
+    const result = {
+      meanDistanceKm: distances.reduce((sum, d) => sum + d, 0) / distances.length,
+      maxDistanceKm: Math.max(...distances),
+      rmsDistanceKm: Math.sqrt(distances.reduce((sum, d) => sum + d * d, 0) / distances.length)
+    };
+
+    const radii = located.filter(m => typeof m.radiusKm === 'number');
+    if (radii.length > 0) {
+      result.meanMemberRadiusKm = radii.reduce((sum, m) => sum + m.radiusKm, 0) / radii.length;
+      result.spreadRatio = result.meanMemberRadiusKm > 0 ? result.rmsDistanceKm / result.meanMemberRadiusKm : null;
+    }
+
+    return result;
+  }
+
+  centroid(particles) {
+    const mass = this.mass(particles);
+    if (!(mass > 0)) return null;
+    return {
+      lat: particles.reduce((sum, p) => sum + p.lat * (p.weight ?? 1), 0) / mass,
+      lng: particles.reduce((sum, p) => sum + p.lng * (p.weight ?? 1), 0) / mass
+    };
+  }
+
+  rmsDistance(particles, centroid) {
+    const sum = particles.reduce((total, p) => {
+      const d = CoordinateUtils.distance(centroid.lat, centroid.lng, p.lat, p.lng);
+      return total + d * d * (p.weight ?? 1);
+    }, 0);
+    return Math.sqrt(sum / this.mass(particles));
+  }
+
+  mass(particles) {
+    return particles.reduce((sum, p) => sum + (p.weight ?? 1), 0);
+  }
+}
+
+module.exports = EnsembleAnalyzer;
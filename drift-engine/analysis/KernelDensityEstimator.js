@@ -0,0 +1,201 @@
+/**
+ * KernelDensityEstimator.js
+ * Smooth probability surface from weighted particles (adaptive Gaussian KDE)
+ *
+ * Particles are projected onto a local plane (km east / north of their
+ * weighted centroid) and spread over a regular grid:
+ *   1. Pilot estimate with one bandwidth for every particle, from the 2-D
+ *      rule of thumb h0 = sigma x n^(-1/6) (n the effective particle count
+ *      for the weights)
+ *   2. Adaptive estimate (Abramson): each particle's bandwidth is
+ *      h0 x (pilot density there / geometric mean)^(-1/2), clamped to
+ *      [h0 / 5, 5 h0] - narrow kernels where particles crowd, wide ones in
+ *      the sparse tails - so a bimodal leeway spread keeps both peaks and
+ *      stray particles do not leave isolated spikes
+ * Kernels are cut off at 3 bandwidths and renormalised on the grid, so every
+ * particle adds exactly its weight however coarse the grid is.
+ *
+ * The surface holds each grid node's share of the total probability; the
+ * highest-density region for a level is every node at or above the density
+ * whose cumulative share (densest first) reaches that level.
+ */
+
+const Geodesy = require('../physics/Geodesy');
+
+const KM_PER_DEGREE = Geodesy.KM_PER_DEGREE;
+
+class KernelDensityEstimator {
+  /**
+   * @param {Object} options - { gridSize (nodes along the longer side, default 100),
+   *   minBandwidthKm (default 0.05) }
+   */
+  constructor(options = {}) {
+    this.gridSize = options.gridSize || 100;
+    this.minBandwidthKm = options.minBandwidthKm || 0.05;
+  }
+
+  /**
+   * Estimate the probability surface
+   * @param {Array} particles - [{ lat, lng, weight }] (weight defaults to 1; zero-weight particles are skipped)
+   * @returns {Object|null} - { origin, rows, cols, cellKm, values (share per node, sums to 1),
+   *   bandwidthKm: { pilot, min, max, mean } } or null without any weight
+   */
+  estimate(particles) {
+    const weighted = particles.filter(p => (p.weight ?? 1) > 0);
+    const total = weighted.reduce((sum, p) => sum + (p.weight ?? 1), 0);
+    if (weighted.length === 0 || !(total > 0)) return null;
+
+    // Local plane around the weighted centroid
+    const lat0 = weighted.reduce((sum, p) => sum + p.lat * (p.weight ?? 1), 0) / total;
+    const lng0 = weighted[0].lng + weighted.reduce(
+      (sum, p) => sum + Geodesy.wrapLongitude(p.lng - weighted[0].lng) * (p.weight ?? 1), 0
+    ) / total;
+    const kmPerLng = KM_PER_DEGREE * Math.cos(lat0 * Math.PI / 180);
+    const points = weighted.map(p => ({
+      x: Geodesy.wrapLongitude(p.lng - lng0) * kmPerLng,
+      y: (p.lat - lat0) * KM_PER_DEGREE,
+      w: (p.weight ?? 1) / total
+    }));
+
+    // Rule-of-thumb pilot bandwidth
+    const varianceX = points.reduce((sum, p) => sum + p.w * p.x * p.x, 0) -
+      Math.pow(points.reduce((sum, p) => sum + p.w * p.x, 0), 2);
+    const varianceY = points.reduce((sum, p) => sum + p.w * p.y * p.y, 0) -
+      Math.pow(points.reduce((sum, p) => sum + p.w * p.y, 0), 2);
+    const sigma = Math.sqrt(Math.max(0, (varianceX + varianceY) / 2));
+    const effectiveCount = 1 / points.reduce((sum, p) => sum + p.w * p.w, 0);
+    const pilot = Math.max(this.minBandwidthKm, sigma * Math.pow(effectiveCount, -1 / 6));
+
+    // Grid over the particles plus the widest kernel reach
+    // (reduce rather than Math.min(...) - clouds can outgrow the argument limit)
+    const pad = 3 * pilot;
+    const minX = points.reduce((min, p) => Math.min(min, p.x), Infinity) - pad;
+    const maxX = points.reduce((max, p) => Math.max(max, p.x), -Infinity) + pad;
+    const minY = points.reduce((min, p) => Math.min(min, p.y), Infinity) - pad;
+    const maxY = points.reduce((max, p) => Math.max(max, p.y), -Infinity) + pad;
+    const cellKm = Math.max(maxX - minX, maxY - minY) / (this.gridSize - 1);
+    const grid = {
+      minX,
+      minY,
+      cellKm,
+      cols: Math.floor((maxX - minX) / cellKm) + 1,
+      rows: Math.floor((maxY - minY) / cellKm) + 1
+    };
+
+    // Pilot density at each particle, then adaptive bandwidths
+    const pilotValues = this.splat(points, points.map(() => pilot), grid);
+    const pilotAt = points.map(p => Math.max(1e-12, this.sample(pilotValues, grid, p)));
+    const logMean = points.reduce((sum, p, i) => sum + p.w * Math.log(pilotAt[i]), 0);
+    const bandwidths = pilotAt.map(f =>
+      pilot * Math.min(5, Math.max(0.2, Math.pow(f / Math.exp(logMean), -0.5)))
+    );
+
+    return {
+      origin: { lat: lat0, lng: lng0 },
+      kmPerLng,
+      minX,
+      minY,
+      rows: grid.rows,
+      cols: grid.cols,
+      cellKm,
+      values: this.splat(points, bandwidths, grid),
+      bandwidthKm: {
+        pilot,
+        min: bandwidths.reduce((min, h) => Math.min(min, h), Infinity),
+        max: bandwidths.reduce((max, h) => Math.max(max, h), -Infinity),
+        mean: bandwidths.reduce((sum, h, i) => sum + h * points[i].w, 0)
+      }
+    };
+  }
+
+  /**
+   * Spread each point's weight over the grid nodes within 3 bandwidths
+   * @returns {Float64Array} - rows x cols, row-major from the south-west corner
+   */
+  splat(points, bandwidths, grid) {
+    const values = new Float64Array(grid.rows * grid.cols);
+    const kernel = [];
+
+    points.forEach((p, i) => {
+      const h = bandwidths[i];
+      const reach = 3 * h;
+      const col0 = Math.max(0, Math.ceil((p.x - reach - grid.minX) / grid.cellKm));
+      const col1 = Math.min(grid.cols - 1, Math.floor((p.x + reach - grid.minX) / grid.cellKm));
+      const row0 = Math.max(0, Math.ceil((p.y - reach - grid.minY) / grid.cellKm));
+      const row1 = Math.min(grid.rows - 1, Math.floor((p.y + reach - grid.minY) / grid.cellKm));
+
+      kernel.length = 0;
+      let sum = 0;
+      for (let row = row0; row <= row1; row++) {
+        const dy = grid.minY + row * grid.cellKm - p.y;
+        for (let col = col0; col <= col1; col++) {
+          const dx = grid.minX + col * grid.cellKm - p.x;
+          const k = Math.exp(-(dx * dx + dy * dy) / (2 * h * h));
+          kernel.push(row * grid.cols + col, k);
+          sum += k;
+        }
+      }
+
+      if (sum > 0) {
+        for (let j = 0; j < kernel.length; j += 2) {
+          values[kernel[j]] += p.w * kernel[j + 1] / sum;
+        }
+      } else {
+        // Kernel narrower than the grid: all of it on the nearest node
+        const col = Math.min(grid.cols - 1, Math.max(0, Math.round((p.x - grid.minX) / grid.cellKm)));
+        const row = Math.min(grid.rows - 1, Math.max(0, Math.round((p.y - grid.minY) / grid.cellKm)));
+        values[row * grid.cols + col] += p.w;
+      }
+    });
+
+    return values;
+  }
+
+  /**
+   * Bilinear value of a grid at a plane position
+   */
+  sample(values, grid, point) {
+    const fx = Math.min(grid.cols - 1, Math.max(0, (point.x - grid.minX) / grid.cellKm));
+    const fy = Math.min(grid.rows - 1, Math.max(0, (point.y - grid.minY) / grid.cellKm));
+    const col = Math.min(grid.cols - 2, Math.floor(fx));
+    const row = Math.min(grid.rows - 2, Math.floor(fy));
+    if (col < 0 || row < 0) return values[0];
+
+    const tx = fx - col;
+    const ty = fy - row;
+    const at = (r, c) => values[r * grid.cols + c];
+    return at(row, col) * (1 - tx) * (1 - ty) + at(row, col + 1) * tx * (1 - ty) +
+      at(row + 1, col) * (1 - tx) * ty + at(row + 1, col + 1) * tx * ty;
+  }
+
+  /**
+   * Node value bounding the highest-density region holding `level` of the probability
+   * @returns {Object} - { threshold, probability } where probability is the share
+   *   actually held by nodes at or above the threshold
+   */
+  threshold(surface, level) {
+    const sorted = Array.from(surface.values).sort((a, b) => b - a);
+    let held = 0;
+    for (let i = 0; i < sorted.length; i++) {
+      held += sorted[i];
+      if (held >= level) {
+        // Ties at the threshold all fall inside
+        while (i + 1 < sorted.length && sorted[i + 1] === sorted[i]) held += sorted[++i];
+        return { threshold: sorted[i], probability: held };
+      }
+    }
+    return { threshold: sorted[sorted.length - 1], probability: held };
+  }
+
+  /**
+   * Latitude / longitude of a (fractional) grid position
+   */
+  toLatLng(surface, col, row) {
+    return {
+      lat: surface.origin.lat + (surface.minY + row * surface.cellKm) / KM_PER_DEGREE,
+      lng: Geodesy.wrapLongitude(surface.origin.lng + (surface.minX + col * surface.cellKm) / surface.kmPerLng)
+    };
+  }
+}
+
+module.exports = KernelDensityEstimator;
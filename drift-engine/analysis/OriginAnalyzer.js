@@ -0,0 +1,66 @@
+/**
+ * OriginAnalyzer.js
+ * Builds an origin probability map from a backtracking (reverse-time) run
+ * Every hourly snapshot inside the look-back window is a candidate "entered
+ * the water N hours before the find" position, so the map aggregates
+ * particle positions across those hours
+ */
+
+const DensityAnalyzer = require('./DensityAnalyzer');
+const ProbabilityCalculator = require('./ProbabilityCalculator');
+
+class OriginAnalyzer {
+  /**
+   * Analyze likely origin points
+   * @param {Array} snapshots - Hourly snapshots from the backtracking run
+   * @param {Object} window - { minHours, maxHours } look-back window (hours before the find)
+   * @param {Array} shoreOrigins - Particles that reached land going backwards
+   * @returns {Object} - { window, samples, heatMap, probability, mostLikely, track, shoreOrigins }
+   */
+  analyze(snapshots, window, shoreOrigins = []) {
+    const inWindow = snapshots.filter(s => s.hour >= window.minHours && s.hour <= window.maxHours);
+
+    // Every active particle-hour in the window is one equally likely origin sample
+    const samples = [];
+    inWindow.forEach(snapshot => {
+      snapshot.particles.forEach(p => {
+        if (p.status === 'active') {
+          samples.push({ id: samples.length, lat: p.lat, lng: p.lng, status: 'active' });
+        }
+      });
+    });
+
+    const origins = shoreOrigins.filter(o => o.hour >= window.minHours && o.hour <= window.maxHours);
+    const density = new DensityAnalyzer().analyze(samples);
+    const probability = new ProbabilityCalculator().calculate(samples);
+    const particleCount = snapshots.length > 0 ? snapshots[0].stats.total : 0;
+
+    const heatMap = density.heatMap.map(cell => ({
+      ...cell,
+      probability: samples.length > 0 ? cell.count / samples.length : 0
+    }));
+
+    return {
+      window,
+      samples: samples.length,
+      heatMap,
+      gridSize: density.gridSize,
+      mostLikely: heatMap[0] || null,
+      probability: {
+        polygon50: probability.polygon50,
+        polygon90: probability.polygon90,
+        centroid: probability.centroid || null
+      },
+      // Centroid of the backtracked cloud, hour by hour
+      track: inWindow.map(s => ({ hour: s.hour, centroid: s.centroid, active: s.stats.active })),
+      shoreOrigins: {
+        total: origins.length,
+        // Share of particles traced back to land inside the window
+        fraction: particleCount > 0 ? origins.length / particleCount : 0,
+        locations: origins
+      }
+    };
+  }
+}
+
+module.exports = OriginAnalyzer;
@@ -2,23 +2,62 @@
  * ProbabilityCalculator.js
  * Calculates probability containment zones (50%, 90%, 95%)
  * Uses convex hull algorithm to draw polygons around particle clusters
+ *
+ * Highest-density regions: a kernel density surface (KernelDensityEstimator)
+ * is contoured by marching squares (ContourTracer) at the density holding
+ * each requested level of the probability, so bimodal leeway spreads and
+ * curved coastal distributions get one polygon per lobe (with holes where
+ * the probability thins out) instead of a hull over everything. The convex
+ * hull zones (polygon50 / polygon90 / polygon95) are still reported for
+ * existing clients.
+ *
+ * Particles carry a probability weight (default 1); zones hold that share of
+ * the total weight rather than of the particle count, and particles with no
+ * weight left (ruled out by searches) are ignored. Beached particles count
+ * alongside afloat ones - the object may well be on the shore - and the
+ * share of weight ashore is reported as beachedFraction.
  */
 
+const KernelDensityEstimator = require('./KernelDensityEstimator');
+const ContourTracer = require('./ContourTracer');
+
+const DEFAULT_LEVELS = [0.5, 0.9, 0.95];
+const MAX_LEVELS = 10;
+
 class ProbabilityCalculator {
+  /**
+   * @param {Object} options - { levels: highest-density region probability levels
+   *   (default 0.5, 0.9, 0.95), gridSize: KDE nodes along the longer side }
+   */
+  constructor(options = {}) {
+    const levels = options.levels ?? DEFAULT_LEVELS;
+    if (!Array.isArray(levels) || levels.length === 0 || levels.length > MAX_LEVELS ||
+        levels.some(level => typeof level !== 'number' || !(level > 0 && level < 1))) {
+      throw new Error(`Contour levels must be an array of 1 to ${MAX_LEVELS} probabilities between 0 and 1`);
+    }
+    this.levels = [...levels].sort((a, b) => a - b);
+    this.kde = new KernelDensityEstimator({ gridSize: options.gridSize });
+    this.tracer = new ContourTracer();
+  }
+
   /**
    * Calculate probability zones from particle distribution
    * @param {Array} particles - Array of particle objects
-   * @returns {Object} - { polygon50, polygon90, polygon95, confidence }
+   * @returns {Object} - { polygon50, polygon90, polygon95, confidence, centroid, beachedFraction,
+   *   surface, contours } (see highestDensityRegion for contours)
    */
   calculate(particles) {
-    const activeParticles = particles.filter(p => p.status === 'active');
+    const activeParticles = particles.filter(p => this.isLocated(p) && (p.weight ?? 1) > 0);
     
     if (activeParticles.length < 3) {
       return {
         polygon50: [],
         polygon90: [],
         polygon95: [],
-        confidence: 0
+        confidence: 0,
+        beachedFraction: 0,
+        surface: null,
+        contours: []
       };
     }
 
@@ -30,33 +69,108 @@ class ProbabilityCalculator {
     })).sort((a, b) => a.distance - b.distance);
 
     // Create polygons for different probability levels
-    const p50Index = Math.floor(sorted.length * 0.50);
-    const p90Index = Math.floor(sorted.length * 0.90);
-    const p95Index = Math.floor(sorted.length * 0.95);
+    const p50Index = this.containmentIndex(sorted, 0.50);
+    const p90Index = this.containmentIndex(sorted, 0.90);
+    const p95Index = this.containmentIndex(sorted, 0.95);
 
     const polygon50 = this.createPolygon(sorted.slice(0, p50Index));
     const polygon90 = this.createPolygon(sorted.slice(0, p90Index));
     const polygon95 = this.createPolygon(sorted.slice(0, p95Index));
 
+    const surface = this.kde.estimate(activeParticles);
+
     return {
       polygon50,
       polygon90,
       polygon95,
       confidence: this.calculateConfidence(activeParticles),
-      centroid
+      centroid,
+      beachedFraction: this.weightOf(activeParticles.filter(p => p.status === 'beached')) /
+        this.weightOf(activeParticles),
+      surface: this.describeSurface(surface),
+      contours: this.levels.map(level => this.highestDensityRegion(surface, level))
+    };
+  }
+
+  /**
+   * Contour the smallest area holding `level` of the probability
+   * @param {Object} surface - KernelDensityEstimator.estimate output
+   * @param {Number} level - Probability level (0-1)
+   * @returns {Object} - { level, threshold (probability per km²), probability (share
+   *   actually enclosed), areaKm2, parts: [{ outer: [{ lat, lng }], holes: [[{ lat, lng }]] }] }
+   *   with parts largest first
+   */
+  highestDensityRegion(surface, level) {
+    const { threshold, probability } = this.kde.threshold(surface, level);
+    const cellArea = surface.cellKm * surface.cellKm;
+    const parts = this.tracer.trace(surface.values, surface.rows, surface.cols, threshold);
+
+    const toLatLng = ring => ring.map(point => this.kde.toLatLng(surface, point.x, point.y));
+    const areaKm2 = parts.reduce((sum, part) =>
+      sum + (this.tracer.signedArea(part.outer) +
+        part.holes.reduce((holes, hole) => holes + this.tracer.signedArea(hole), 0)) * cellArea, 0);
+
+    return {
+      level,
+      threshold: threshold / cellArea,
+      probability,
+      areaKm2,
+      parts: parts.map(part => ({ outer: toLatLng(part.outer), holes: part.holes.map(toLatLng) }))
+    };
+  }
+
+  /**
+   * Grid and bandwidth of a density surface (without the node values)
+   */
+  describeSurface(surface) {
+    const southWest = this.kde.toLatLng(surface, 0, 0);
+    const northEast = this.kde.toLatLng(surface, surface.cols - 1, surface.rows - 1);
+    return {
+      bounds: { south: southWest.lat, west: southWest.lng, north: northEast.lat, east: northEast.lng },
+      rows: surface.rows,
+      cols: surface.cols,
+      cellSizeKm: surface.cellKm,
+      bandwidthKm: surface.bandwidthKm,
+      maxDensity: surface.values.reduce((max, v) => Math.max(max, v), 0) / (surface.cellKm * surface.cellKm)
     };
   }
 
+  /**
+   * Afloat or ashore - anywhere the object could be found
+   */
+  isLocated(particle) {
+    return particle.status === 'active' || particle.status === 'beached';
+  }
+
+  weightOf(particles) {
+    return particles.reduce((sum, p) => sum + (p.weight ?? 1), 0);
+  }
+
+  /**
+   * Number of particles (nearest first) whose weight stays within `level` of the total
+   */
+  containmentIndex(sorted, level) {
+    const limit = level * this.weightOf(sorted);
+    let held = 0;
+    let index = 0;
+    while (index < sorted.length && held + (sorted[index].weight ?? 1) <= limit) {
+      held += sorted[index].weight ?? 1;
+      index++;
+    }
+    return index;
+  }
+
   /**
    * Calculate centroid (center of mass) of particles
    */
   calculateCentroid(particles) {
-    const sumLat = particles.reduce((sum, p) => sum + p.lat, 0);
-    const sumLng = particles.reduce((sum, p) => sum + p.lng, 0);
+    const total = this.weightOf(particles);
+    const sumLat = particles.reduce((sum, p) => sum + p.lat * (p.weight ?? 1), 0);
+    const sumLng = particles.reduce((sum, p) => sum + p.lng * (p.weight ?? 1), 0);
     
     return {
-      lat: sumLat / particles.length,
-      lng: sumLng / particles.length
+      lat: sumLat / total,
+      lng: sumLng / total
     };
   }
 
@@ -133,9 +247,11 @@ class ProbabilityCalculator {
     const distances = particles.map(p => 
       this.calculateDistance(p.lat, p.lng, centroid.lat, centroid.lng)
     );
+    const weights = particles.map(p => p.weight ?? 1);
+    const total = weights.reduce((a, b) => a + b, 0);
 
-    const avgDistance = distances.reduce((a, b) => a + b, 0) / distances.length;
-    const variance = distances.reduce((sum, d) => sum + Math.pow(d - avgDistance, 2), 0) / distances.length;
+    const avgDistance = distances.reduce((sum, d, i) => sum + d * weights[i], 0) / total;
+    const variance = distances.reduce((sum, d, i) => sum + Math.pow(d - avgDistance, 2) * weights[i], 0) / total;
     const stdDev = Math.sqrt(variance);
 
     // Lower standard deviation = higher confidence
@@ -149,10 +265,10 @@ class ProbabilityCalculator {
    * Calculate probability of containment for a given area
    */
   calculateContainmentProbability(polygon, particles) {
-    const activeParticles = particles.filter(p => p.status === 'active');
+    const activeParticles = particles.filter(p => this.isLocated(p));
     const contained = activeParticles.filter(p => this.isPointInPolygon(p, polygon));
     
-    return contained.length / activeParticles.length;
+    return this.weightOf(contained) / this.weightOf(activeParticles);
   }
 
   /**
@@ -175,4 +291,6 @@ class ProbabilityCalculator {
   }
 }
 
+ProbabilityCalculator.MAX_LEVELS = MAX_LEVELS;
+
 module.exports = ProbabilityCalculator;
\ No newline at end of file
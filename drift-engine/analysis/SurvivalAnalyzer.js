@@ -1,132 +1,164 @@
 /**
  * SurvivalAnalyzer.js
  * Analyzes victim survival probability based on environmental conditions
- * Factors: water temperature, time in water, age, PFD, clothing
+ * Core temperature, functional time and survival time come from the
+ * heat-balance ColdWaterSurvivalModel (water / air temperature, sea state,
+ * wind, clothing, body build, immersion vs. raft, PFD); the survival
+ * probability after a given time in the water follows from the predicted
+ * survival time and its confidence band.
+ *
+ * Conditions arrive in the engine's units (°F, knots) and are converted here.
+ * A victim still above the survival core temperature at the model horizon has
+ * a censored survival time (survivalTime.censored): no hypothermic death is
+ * predicted before the horizon, and the time is only known to be at least it.
  */
 
+const ColdWaterSurvivalModel = require('./ColdWaterSurvivalModel');
+
+const MS_PER_KNOT = 0.514444;
+
 class SurvivalAnalyzer {
+  /**
+   * @param {Object} options - ColdWaterSurvivalModel options ({ horizonHours, ... })
+   */
+  constructor(options = {}) {
+    this.model = new ColdWaterSurvivalModel(options);
+    this.cache = new Map(); // victim profile -> conditions key -> prediction
+  }
+
   /**
    * Analyze survival probability
-   * @param {Object} victimProfile - { age, gender, hasPFD, clothing }
-   * @param {Object} environmentalConditions - { waterTemp, airTemp, seaState }
+   * @param {Object} victimProfile - { age, sex, massKg, heightCm, bodyFatPercent, hasPFD, clothing, situation }
+   * @param {Object} environmentalConditions - { waterTemp, airTemp (°F), seaState, wind: { speed (knots) } }
    * @param {Number} elapsedHours - Time since incident
-   * @returns {Object} - { probability, timeRemaining, urgency, factors }
+   * @returns {Object} - { probability, timeRemaining, functionalTimeRemaining, urgency, hypothermiaStage,
+   *   functionalTime, survivalTime, coreTemperature, factors, recommendations }
    */
   analyze(victimProfile, environmentalConditions, elapsedHours) {
-    const baseRate = this.getBaseSurvivalRate(victimProfile);
-    const tempFactor = this.getTemperatureFactor(environmentalConditions.waterTemp);
-    const timeFactor = this.getTimeFactor(elapsedHours);
-    const pfdBonus = victimProfile.hasPFD ? 0.2 : 0;
-    const clothingBonus = this.getClothingFactor(victimProfile.clothing || 'light');
-
-    // Calculate overall survival probability
-    const survivalProbability = Math.max(0, Math.min(1, 
-      baseRate * tempFactor * timeFactor + pfdBonus + clothingBonus
-    ));
-
-    // Estimate time remaining until critical
-    const timeRemaining = this.estimateTimeRemaining(
-      survivalProbability,
-      environmentalConditions.waterTemp
+    // Model at least as far as the time asked about
+    const prediction = this.predict(
+      victimProfile,
+      environmentalConditions,
+      Math.max(this.model.horizonHours, Math.ceil(elapsedHours || 0))
     );
-
-    // Determine urgency level
-    let urgency;
-    if (survivalProbability < 0.3) urgency = 'critical';
-    else if (survivalProbability < 0.5) urgency = 'urgent';
-    else if (survivalProbability < 0.75) urgency = 'high';
-    else urgency = 'moderate';
+    const probability = this.model.probabilityAlive(prediction, elapsedHours);
 
     return {
-      probability: survivalProbability,
-      timeRemaining,
-      urgency,
+      probability,
+      timeRemaining: Math.max(0, prediction.survivalTime.estimate - elapsedHours),
+      functionalTimeRemaining: Math.max(0, prediction.functionalTime.estimate - elapsedHours),
+      urgency: this.urgencyFor(probability),
+      hypothermiaStage: this.calculateHypothermiaStage(prediction, elapsedHours),
+      functionalTime: prediction.functionalTime,
+      survivalTime: prediction.survivalTime,
+      coreTemperature: prediction.coreTemperature,
       factors: {
-        baseRate,
-        temperature: tempFactor,
-        time: timeFactor,
-        pfd: pfdBonus,
-        clothing: clothingBonus
+        body: prediction.body,
+        exposure: prediction.exposure,
+        heatBalance: prediction.heatBalance
       },
-      recommendations: this.getRecommendations(survivalProbability, environmentalConditions)
+      recommendations: this.getRecommendations(probability, environmentalConditions, prediction, elapsedHours)
     };
   }
 
   /**
-   * Base survival rate by age and fitness
+   * Run the heat-balance model for a victim in the given conditions
+   * @param {Number} horizonHours - Longest exposure to model (default: the model's horizon)
    */
-  getBaseSurvivalRate(profile) {
-    const age = profile.age || 40;
-    
-    if (age < 18) return 0.85; // Young, generally fit
-    if (age < 30) return 0.90; // Peak physical condition
-    if (age < 50) return 0.88; // Good condition
-    if (age < 65) return 0.80; // Reduced stamina
-    return 0.70; // Elderly, reduced capabilities
+  predict(victimProfile, conditions, horizonHours) {
+    return this.model.predict(victimProfile || {}, {
+      waterTempC: this.toCelsius(conditions.waterTemp),
+      airTempC: typeof conditions.airTemp === 'number' ? this.toCelsius(conditions.airTemp) : undefined,
+      seaState: conditions.seaState || 0,
+      windSpeedMs: typeof conditions.wind?.speed === 'number' ? conditions.wind.speed * MS_PER_KNOT : undefined
+    }, horizonHours);
   }
 
   /**
-   * Temperature factor (water temperature impact)
-   * Based on cold water immersion survival data
+   * Check a victim profile up front (unknown clothing, situation, bad build)
+   * so a run does not fail partway through
    */
-  getTemperatureFactor(waterTemp) {
-    if (waterTemp > 80) return 1.0;   // Warm water - hypothermia not a factor
-    if (waterTemp > 70) return 0.95;  // Mild water - slow hypothermia
-    if (waterTemp > 60) return 0.85;  // Cool water - moderate hypothermia risk
-    if (waterTemp > 50) return 0.65;  // Cold water - significant hypothermia risk
-    if (waterTemp > 40) return 0.40;  // Very cold - severe hypothermia risk
-    return 0.20; // Extreme cold - critical hypothermia risk
+  validateProfile(victimProfile) {
+    this.model.resolveBody(victimProfile || {});
+    this.model.resolveExposure(victimProfile || {}, { waterTempC: 10 });
   }
 
   /**
-   * Time factor (survival decreases with time)
+   * Prediction for a victim in the given conditions, cached per profile on
+   * rounded conditions since runs look it up for every particle each step
+   * @param {Object} profile - Victim profile
+   * @param {Object} conditions - { waterTemp, airTemp, seaState, wind } (°F, knots)
    */
-  getTimeFactor(hours) {
-    if (hours < 1) return 1.0;   // First hour - highest survival
-    if (hours < 3) return 0.95;  // 1-3 hours - still strong
-    if (hours < 6) return 0.85;  // 3-6 hours - fatigue setting in
-    if (hours < 12) return 0.70; // 6-12 hours - serious fatigue
-    if (hours < 24) return 0.50; // 12-24 hours - critical
-    return 0.30; // 24+ hours - very low
+  predictionFor(profile, conditions) {
+    if (!this.cache.has(profile)) this.cache.set(profile, new Map());
+    const predictions = this.cache.get(profile);
+
+    const key = [
+      Math.round(conditions.waterTemp * 2) / 2,
+      typeof conditions.airTemp === 'number' ? Math.round(conditions.airTemp) : '',
+      Math.round(conditions.seaState || 0),
+      typeof conditions.wind?.speed === 'number' ? Math.round(conditions.wind.speed) : ''
+    ].join('|');
+
+    if (!predictions.has(key)) {
+      const [waterTemp, airTemp, seaState, windSpeed] = key.split('|');
+      predictions.set(key, this.predict(profile, {
+        waterTemp: parseFloat(waterTemp),
+        airTemp: airTemp === '' ? undefined : parseFloat(airTemp),
+        seaState: parseFloat(seaState),
+        wind: windSpeed === '' ? undefined : { speed: parseFloat(windSpeed) }
+      }));
+    }
+
+    return predictions.get(key);
   }
 
   /**
-   * Clothing insulation factor
+   * Chance a person is still alive once they have used up `exposure` of
+   * their survival time (1 = the predicted median), read off a prediction
+   * for the conditions they are in now. Summing hours / survival time as
+   * conditions change lets a particle carry the cold it has already been
+   * through into warmer or colder water.
+   * @param {Object} prediction - From predict() / predictionFor()
+   * @param {Number} exposure - Sum of hours in water / predicted survival time
+   * @returns {Number} - 0-1
    */
-  getClothingFactor(clothing) {
-    const factors = {
-      'none': -0.1,
-      'light': 0,
-      'normal': 0.05,
-      'heavy': 0.1,
-      'wetsuit': 0.2,
-      'drysuit': 0.3
-    };
-    
-    return factors[clothing] || 0;
+  survivalFromExposure(prediction, exposure) {
+    return this.model.probabilityAlive(prediction, exposure * prediction.survivalTime.estimate);
+  }
+
+  /**
+   * Urgency level for a survival probability
+   */
+  urgencyFor(probability) {
+    if (probability < 0.3) return 'critical';
+    if (probability < 0.5) return 'urgent';
+    if (probability < 0.75) return 'high';
+    return 'moderate';
   }
 
   /**
-   * Estimate time remaining until critical condition
+   * Predicted core temperature (°C) after a given time, interpolated
    */
-  estimateTimeRemaining(probability, waterTemp) {
-    // Base survival times by water temperature (hours)
-    let baseTime;
-    if (waterTemp > 80) baseTime = 48;
-    else if (waterTemp > 70) baseTime = 24;
-    else if (waterTemp > 60) baseTime = 12;
-    else if (waterTemp > 50) baseTime = 6;
-    else if (waterTemp > 40) baseTime = 3;
-    else baseTime = 1.5;
-
-    // Adjust by current probability
-    return baseTime * probability;
+  coreTemperatureAt(prediction, hours) {
+    const points = prediction.coreTemperature;
+    const after = points.findIndex(p => p.hour >= hours);
+    if (after === -1) return points[points.length - 1].estimate;
+    if (after === 0) return points[0].estimate;
+
+    const a = points[after - 1];
+    const b = points[after];
+    return a.estimate + (b.estimate - a.estimate) * (hours - a.hour) / (b.hour - a.hour);
+  }
+
+  toCelsius(fahrenheit) {
+    return (fahrenheit - 32) * 5 / 9;
   }
 
   /**
    * Get search recommendations based on analysis
    */
-  getRecommendations(probability, conditions) {
+  getRecommendations(probability, conditions, prediction, elapsedHours) {
     const recommendations = [];
 
     if (probability < 0.5) {
@@ -134,6 +166,12 @@ class SurvivalAnalyzer {
       recommendations.push('Prioritize high-density search areas');
     }
 
+    if (elapsedHours >= prediction.functionalTime.estimate) {
+      recommendations.push('Past predicted functional time: survivor may be unable to help in own rescue');
+    } else if (prediction.functionalTime.estimate - elapsedHours < 2) {
+      recommendations.push('Functional time running out: survivor soon unable to grab a line or signal');
+    }
+
     if (conditions.waterTemp < 60) {
       recommendations.push('Cold water: Hypothermia risk - time is critical');
       recommendations.push('Prepare medical support for hypothermia treatment');
@@ -148,22 +186,29 @@ class SurvivalAnalyzer {
   }
 
   /**
-   * Calculate hypothermia stage based on time and temperature
+   * Calculate hypothermia stage from the predicted core temperature
+   * @param {Object} prediction - From predict()
+   * @param {Number} hoursInWater - Time since entering the water
    */
-  calculateHypothermiaStage(waterTemp, hoursInWater) {
-    const coldShockTime = 0.05; // 3 minutes
-    const exhaustionTime = waterTemp > 50 ? 1 : 0.5;
-    
-    if (hoursInWater < coldShockTime) {
+  calculateHypothermiaStage(prediction, hoursInWater) {
+    const { exposure } = prediction;
+    const coldWater = exposure.waterTempC < 15;
+
+    if (exposure.situation === 'immersed' && coldWater && hoursInWater < 0.05) {
       return 'cold-shock'; // 0-3 minutes: Cold shock response
-    } else if (hoursInWater < exhaustionTime) {
+    }
+    if (exposure.situation === 'immersed' && coldWater && !exposure.hasPFD && hoursInWater < 0.5) {
       return 'swim-failure'; // 3-30 minutes: Swimming failure
-    } else if (hoursInWater < this.estimateTimeRemaining(0.5, waterTemp)) {
-      return 'mild-hypothermia'; // Conscious but hypothermic
-    } else {
-      return 'severe-hypothermia'; // Critical condition
     }
+
+    const coreC = this.coreTemperatureAt(prediction, hoursInWater);
+    if (coreC >= 35) return 'normothermic';
+    if (coreC >= 32) return 'mild-hypothermia'; // Conscious, shivering
+    if (coreC > ColdWaterSurvivalModel.SURVIVAL_CORE_C) return 'moderate-hypothermia';
+    return 'severe-hypothermia'; // Critical condition
   }
 }
 
-module.exports = SurvivalAnalyzer;
\ No newline at end of file
+SurvivalAnalyzer.DEFAULT_HORIZON_HOURS = ColdWaterSurvivalModel.DEFAULT_HORIZON_HOURS;
+
+module.exports = SurvivalAnalyzer;
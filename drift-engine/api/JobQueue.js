@@ -0,0 +1,123 @@
+/**
+ * JobQueue.js
+ * Bounded priority queue with a fixed number of concurrent job slots
+ * Jobs of a higher priority always start first; equal priorities run FIFO
+ */
+
+class JobQueue {
+  /**
+   * @param {Object} options - { concurrency, maxQueued, priorities }
+   *   priorities: name -> rank (lower rank runs first)
+   */
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    this.maxQueued = options.maxQueued || 50;
+    this.priorities = options.priorities || { rescue: 0, training: 1 };
+    this.defaultPriority = options.defaultPriority || 'rescue';
+
+    this.pending = []; // { id, priority, rank, run, sequence }
+    this.running = new Map(); // id -> promise
+    this.sequence = 0;
+  }
+
+  /**
+   * Resolve a priority name, rejecting unknown values
+   */
+  resolvePriority(priority) {
+    const name = priority || this.defaultPriority;
+    if (!(name in this.priorities)) {
+      throw new Error(`Unknown priority '${name}' (expected ${Object.keys(this.priorities).join(', ')})`);
+    }
+    return name;
+  }
+
+  /**
+   * Add a job
+   * @param {String} id - Job id
+   * @param {String} priority - Priority name
+   * @param {Function} run - Returns a promise that settles when the job is done
+   */
+  enqueue(id, priority, run) {
+    if (this.isFull()) {
+      throw JobQueue.fullError();
+    }
+
+    const name = this.resolvePriority(priority);
+    const job = { id, priority: name, rank: this.priorities[name], run, sequence: this.sequence++ };
+
+    // Insert after every job of the same or higher priority
+    const index = this.pending.findIndex(p => p.rank > job.rank);
+    if (index === -1) {
+      this.pending.push(job);
+    } else {
+      this.pending.splice(index, 0, job);
+    }
+
+    this.drain();
+  }
+
+  /**
+   * Error for a refused job, tagged code 'QUEUE_FULL' so callers can tell
+   * a temporary refusal from a bad request
+   */
+  static fullError() {
+    const error = new Error('Simulation queue is full, try again later');
+    error.code = 'QUEUE_FULL';
+    return error;
+  }
+
+  /**
+   * Whether enqueue would be refused
+   */
+  isFull() {
+    return this.pending.length >= this.maxQueued;
+  }
+
+  /**
+   * Start queued jobs while slots are free
+   */
+  drain() {
+    while (this.running.size < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      const promise = Promise.resolve()
+        .then(() => job.run())
+        .catch(error => console.error(`[JobQueue] Job ${job.id} failed:`, error.message))
+        .finally(() => {
+          this.running.delete(job.id);
+          this.drain();
+        });
+      this.running.set(job.id, promise);
+    }
+  }
+
+  /**
+   * 1-based position among waiting jobs, 0 if running, null if unknown
+   */
+  getPosition(id) {
+    if (this.running.has(id)) return 0;
+    const index = this.pending.findIndex(job => job.id === id);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Drop a job that has not started yet
+   * @returns {Boolean} - true if the job was waiting and has been removed
+   */
+  remove(id) {
+    const index = this.pending.findIndex(job => job.id === id);
+    if (index === -1) return false;
+    this.pending.splice(index, 1);
+    return true;
+  }
+
+  getStats() {
+    return {
+      concurrency: this.concurrency,
+      running: this.running.size,
+      queued: this.pending.length,
+      maxQueued: this.maxQueued
+    };
+  }
+}
+
+module.exports = JobQueue;
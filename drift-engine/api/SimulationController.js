@@ -4,16 +4,60 @@
  * Manages simulation lifecycle: create, run, monitor, retrieve results
  */
 
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { Worker } = require('worker_threads');
+const EnvironmentalProvider = require('../core/EnvironmentalProvider');
+const ForcingField = require('../core/ForcingField');
+const InitialDistribution = require('../core/InitialDistribution');
+const Ensemble = require('../core/Ensemble');
+const ObjectClasses = require('../core/ObjectClasses');
+const StateTransitions = require('../core/StateTransitions');
 const ParticleEngine = require('../core/ParticleEngine');
-const EnvironmentalManager = require('../core/EnvironmentalManager');
 const TimeSteppingSimulator = require('../core/TimeSteppingSimulator');
+const SeededRandom = require('../core/SeededRandom');
+const FileSimulationStore = require('../storage/FileSimulationStore');
+const LeewayCatalog = require('../physics/LeewayCatalog');
+const JobQueue = require('./JobQueue');
+const ResultExporter = require('../export/ResultExporter');
+const SearchPlanner = require('../planning/SearchPlanner');
+const SearchPatternGenerator = require('../planning/SearchPatternGenerator');
+const SearchUpdater = require('../planning/SearchUpdater');
+const RouteExporter = require('../export/RouteExporter');
 const DensityAnalyzer = require('../analysis/DensityAnalyzer');
 const ProbabilityCalculator = require('../analysis/ProbabilityCalculator');
 const SurvivalAnalyzer = require('../analysis/SurvivalAnalyzer');
 
-class SimulationController {
-  constructor() {
-    this.simulations = new Map(); // Active simulations
+const WORKER_SCRIPT = path.join(__dirname, 'SimulationWorker.js');
+
+class SimulationController extends EventEmitter {
+  /**
+   * @param {Object} options - { services, forcingDir, store, concurrency, maxQueued }
+   *   services: { noaaService, hfRadarService, adcircService }
+   *   store: SimulationStore implementation (defaults to FileSimulationStore)
+   *   concurrency: simulations run in parallel worker threads (default: CPU count - 1)
+   *   maxQueued: simulations allowed to wait for a worker before new ones are rejected
+   */
+  constructor(options = {}) {
+    super();
+    this.setMaxListeners(0); // One listener per open stream
+    this.simulations = new Map(); // Live and restored simulations
+    this.store = options.store || new FileSimulationStore();
+    this.queue = new JobQueue({
+      concurrency: options.concurrency ||
+        parseInt(process.env.SIMULATION_CONCURRENCY, 10) ||
+        Math.max(1, os.cpus().length - 1),
+      maxQueued: options.maxQueued || parseInt(process.env.SIMULATION_MAX_QUEUED, 10) || 50
+    });
+    this.services = options.services || {};
+    this.environmentalProvider = new EnvironmentalProvider(this.services);
+    this.leewayCatalog = options.leewayCatalog || new LeewayCatalog();
+
+    // Local forcing files may only be read from this directory
+    this.forcingDir = path.resolve(
+      options.forcingDir || process.env.FORCING_DATA_DIR || path.join(process.cwd(), 'data', 'forcing')
+    );
   }
 
   /**
@@ -23,149 +67,505 @@ class SimulationController {
    */
   async startSimulation(config) {
     const id = `sim_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    // A multi-point / line / area / track start stands in for the LKP
+    if (config.initialDistribution) {
+      const distribution = new InitialDistribution(config.initialDistribution, { lkp: config.lkp });
+      if (!config.lkp) {
+        config = { ...config, lkp: distribution.getCentroid() };
+      }
+    }
+
+    // Simulation time zero defaults to the start of the incident (window
+    // start or vessel departure) so release times line up with it
+    if (!config.startTime) {
+      const startTime = config.incidentWindow?.start ||
+        (config.initialDistribution?.type === 'track' ? config.initialDistribution.departureTime : null);
+      if (startTime) config = { ...config, startTime };
+    }
+    if (config.incidentWindow) {
+      ParticleEngine.resolveIncidentWindow(config.incidentWindow, config.startTime);
+    }
+
+    if (config.mode && config.mode !== 'forward' && config.mode !== 'backtrack') {
+      throw new Error(`Unknown simulation mode '${config.mode}' (expected forward, backtrack)`);
+    }
+    if (config.mode === 'backtrack' && config.incidentWindow) {
+      throw new Error('incidentWindow cannot be used when backtracking');
+    }
+    if (config.weighting !== undefined && (typeof config.weighting !== 'object' || config.weighting === null)) {
+      throw new Error('weighting must be an object, e.g. { survivability: true }');
+    }
+    if (config.mode === 'backtrack' && config.weighting?.survivability) {
+      throw new Error('Survivability weighting cannot be used when backtracking');
+    }
+    if (config.survival !== undefined) {
+      const threshold = config.survival?.terminationThreshold;
+      if (typeof config.survival !== 'object' || config.survival === null ||
+          (threshold !== undefined && (typeof threshold !== 'number' || !(threshold > 0 && threshold < 1)))) {
+        throw new Error('survival must be an object, e.g. { terminationThreshold: 0.05 } (between 0 and 1)');
+      }
+    }
+    if (config.victimProfile !== undefined) {
+      new SurvivalAnalyzer().validateProfile(config.victimProfile);
+    }
+    if (config.contourLevels !== undefined) {
+      new ProbabilityCalculator({ levels: config.contourLevels });
+    }
+
+    const integration = config.integration || {};
+    if (integration.scheme && !TimeSteppingSimulator.INTEGRATORS.includes(integration.scheme)) {
+      throw new Error(`Unknown integration scheme '${integration.scheme}' (expected ${TimeSteppingSimulator.INTEGRATORS.join(', ')})`);
+    }
+    const wholeSeconds = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+    if (integration.timeStepSeconds !== undefined && !wholeSeconds(integration.timeStepSeconds, 1, 3600)) {
+      throw new Error('integration.timeStepSeconds must be a whole number of seconds between 1 and 3600');
+    }
+    if (integration.minStepSeconds !== undefined && !wholeSeconds(integration.minStepSeconds, 1, 3600)) {
+      throw new Error('integration.minStepSeconds must be a whole number of seconds between 1 and 3600');
+    }
+    ['shoreDepth', 'maxShoreStepKm', 'shearToleranceKm'].forEach(key => {
+      const value = integration[key];
+      if (value !== undefined && (typeof value !== 'number' || !(value > 0) || !isFinite(value))) {
+        throw new Error(`integration.${key} must be a positive number`);
+      }
+    });
+    if (config.outputIntervalSeconds !== undefined && !wholeSeconds(config.outputIntervalSeconds, 60, 86400)) {
+      throw new Error('outputIntervalSeconds must be a whole number of seconds between 60 and 86400');
+    }
+
+    const ensemble = config.ensemble ? new Ensemble(config.ensemble) : null;
+    if (ensemble && (config.particleCount || 10000) < ensemble.size) {
+      throw new Error('particleCount must be at least the number of ensemble members');
+    }
+
+    const objectClasses = config.objects !== undefined ? new ObjectClasses(config.objects) : null;
+    if (objectClasses && config.mode === 'backtrack') {
+      throw new Error('objects cannot be used when backtracking');
+    }
+    if (objectClasses && (config.particleCount || 10000) < objectClasses.size) {
+      throw new Error('particleCount must be at least the number of object classes');
+    }
+
+    const stateTransitions = config.transitions !== undefined ? new StateTransitions(config.transitions) : null;
+    if (stateTransitions && config.mode === 'backtrack') {
+      throw new Error('transitions cannot be used when backtracking');
+    }
     
     // Validate configuration
     if (!config.lkp || !config.lkp.lat || !config.lkp.lng) {
       throw new Error('Invalid LKP coordinates');
     }
 
-    // Initialize simulation components
-    const particleEngine = new ParticleEngine({
-      particleCount: config.particleCount || 10000,
-      lkp: config.lkp,
-      objectType: config.objectType || 'person-in-water'
-    });
+    // Normalise the seed up front so it can be echoed and persisted
+    const seed = new SeededRandom(config.seed).seed;
+    const leewayObject = this.leewayCatalog.resolve(config.objectType);
+    let leewayObjects = null;
+    if (objectClasses) {
+      const survivalAnalyzer = new SurvivalAnalyzer();
+      leewayObjects = objectClasses.classes.map(objectClass => {
+        const object = this.leewayCatalog.resolve(objectClass.objectType);
+        const profile = objectClasses.victimProfileFor(objectClass, object);
+        if (profile) survivalAnalyzer.validateProfile(profile);
+        return object;
+      });
+    }
+    const transitionObjects = stateTransitions
+      ? stateTransitions.transitions.map(t => {
+        const objects = { from: this.leewayCatalog.resolve(t.from), to: this.leewayCatalog.resolve(t.to) };
+        if (objects.from.id === objects.to.id) {
+          throw new Error(`Transition '${t.name}' must change to a different object type`);
+        }
+        return objects;
+      })
+      : null;
+    const priority = this.queue.resolvePriority(config.priority);
 
-    const envManager = new EnvironmentalManager(config.lkp);
-    
-    const simulator = new TimeSteppingSimulator(
-      particleEngine,
-      envManager,
-      {
-        objectType: config.objectType || 'person-in-water',
-        durationHours: config.durationHours || 72
-      }
-    );
+    // Live forcing unless the caller explicitly opts out (e.g. training runs)
+    // Refuse up front rather than fetch data for a run that cannot be queued
+    if (this.queue.isFull()) {
+      throw JobQueue.fullError();
+    }
 
-    // Store simulation
-    const simulation = {
+    let provided = null;
+    if (config.useLiveData !== false && this.environmentalProvider.isAvailable()) {
+      provided = await this.environmentalProvider.getConditions(config.lkp.lat, config.lkp.lng);
+    }
+
+    const forcingField = await this.loadForcingField(config);
+
+    // Alternate data sources for ensemble members: own gridded forcing, and
+    // the live conditions unless the source opts out
+    const ensembleSources = [];
+    for (const source of ensemble ? ensemble.sources : []) {
+      const sourceField = await this.loadForcingField({ ...config, forcing: source.forcing });
+      ensembleSources.push({
+        name: source.name || null,
+        provided: source.useLiveData === false ? null : provided,
+        forcingField: sourceField ? sourceField.toJSON() : null
+      });
+    }
+
+    const record = {
       id,
-      status: 'running',
+      status: 'queued',
       progress: 0,
       config,
-      simulator,
-      particleEngine,
-      envManager,
+      seed,
+      priority,
       startTime: Date.now(),
       endTime: null,
-      results: null
+      error: null
     };
 
-    this.simulations.set(id, simulation);
+    // Forcing and leeway coefficients are persisted with the run so a resume
+    // replays exactly the same inputs even if the catalog changes
+    const environment = {
+      provided,
+      forcingField: forcingField ? forcingField.toJSON() : null,
+      leewayObject,
+      ...(leewayObjects ? { leewayObjects } : {}),
+      ...(transitionObjects ? { transitionObjects } : {}),
+      ...(ensemble ? { ensembleSources } : {})
+    };
 
-    // Run simulation asynchronously
-    setImmediate(() => this.runSimulation(id));
+    await this.store.saveSimulation(record);
+    await this.store.saveEnvironment(id, environment);
+
+    let simulation;
+    try {
+      simulation = this.launchSimulation(record, environment);
+    } catch (error) {
+      // Filled up while the inputs were being gathered: leave nothing behind
+      await this.store.deleteSimulation(id);
+      throw error;
+    }
 
     return {
       simulationId: id,
-      status: 'started',
+      status: simulation.status,
+      seed,
+      priority,
+      queuePosition: this.queue.getPosition(id),
       estimatedDuration: config.durationHours || 72
     };
   }
 
   /**
-   * Run simulation to completion
+   * Queue a simulation for execution on a worker thread
+   * @param {Object} record - Persisted simulation record
+   * @param {Object} environment - { provided, forcingField, leewayObject, leewayObjects,
+   *   transitionObjects } as stored
+   * Throws (leaving any previous in-memory entry in place) when the queue is full
    */
-  async runSimulation(id) {
-    const sim = this.simulations.get(id);
-    if (!sim) return;
+  launchSimulation(record, environment) {
+    const previous = this.simulations.get(record.id);
+    const simulation = {
+      ...record,
+      status: 'queued',
+      environment,
+      snapshots: [],
+      worker: null,
+      results: null,
+      persisting: Promise.resolve()
+    };
 
+    this.simulations.set(record.id, simulation);
     try {
-      const durationHours = sim.config.durationHours || 72;
-      const timeStepSeconds = 600; // 10-minute time steps
-      const totalSteps = (durationHours * 3600) / timeStepSeconds;
+      this.queue.enqueue(record.id, record.priority, () => this.runSimulation(record.id));
+    } catch (error) {
+      if (previous) this.simulations.set(record.id, previous);
+      else this.simulations.delete(record.id);
+      throw error;
+    }
 
-      for (let step = 0; step < totalSteps; step++) {
-        sim.simulator.step(timeStepSeconds);
-        sim.progress = ((step + 1) / totalSteps) * 100;
+    return simulation;
+  }
 
-        // Yield control periodically to prevent blocking
-        if (step % 10 === 0) {
-          await new Promise(resolve => setImmediate(resolve));
-        }
+  /**
+   * Load gridded forcing requested in config.forcing
+   * Supported: { file } (JSON in forcingDir), { source: 'hf-radar', bounds, resolution }, { grid }
+   * @returns {ForcingField|null}
+   */
+  async loadForcingField(config) {
+    const forcing = config.forcing;
+    if (!forcing) return null;
+
+    const options = { startTime: forcing.startTime };
+
+    if (forcing.grid) {
+      return ForcingField.fromJSON(forcing.grid, options);
+    }
+
+    if (forcing.file) {
+      const filePath = path.resolve(this.forcingDir, forcing.file);
+      if (!filePath.startsWith(this.forcingDir + path.sep)) {
+        throw new Error('Forcing file must be inside the forcing data directory');
       }
+      return ForcingField.fromFile(filePath, options);
+    }
 
-      // Simulation complete - generate results
-      sim.status = 'completed';
-      sim.results = this.generateResults(sim);
-      sim.endTime = Date.now();
-      sim.progress = 100;
+    if (forcing.source === 'hf-radar') {
+      if (!this.services.hfRadarService) {
+        throw new Error('HF Radar service not available for gridded forcing');
+      }
+      const radius = forcing.radiusDegrees || 0.25;
+      const bounds = forcing.bounds || {
+        north: config.lkp.lat + radius,
+        south: config.lkp.lat - radius,
+        east: config.lkp.lng + radius,
+        west: config.lkp.lng - radius
+      };
+      const grid = await this.services.hfRadarService.getCurrentGrid(bounds, forcing.resolution || 0.05);
+      return ForcingField.fromHFRadarGrid(grid, {
+        ...options,
+        includeSimulated: forcing.includeSimulated === true
+      });
+    }
 
-    } catch (error) {
-      sim.status = 'failed';
-      sim.error = error.message;
+    throw new Error('Unsupported forcing configuration');
+  }
+
+  /**
+   * Run simulation to completion in a worker thread
+   * Resolves when the worker has exited
+   */
+  runSimulation(id) {
+    const sim = this.simulations.get(id);
+    if (!sim || sim.status !== 'queued') return Promise.resolve();
+
+    this.setStatus(sim, 'running');
+
+    return new Promise(resolve => {
+      const worker = new Worker(WORKER_SCRIPT, {
+        workerData: { record: this.toRecord(sim), environment: sim.environment }
+      });
+      sim.worker = worker;
+
+      worker.on('message', message => {
+        switch (message.type) {
+          case 'progress':
+            this.updateProgress(sim, message.progress);
+            break;
+          case 'snapshot':
+            // Persist each new hourly snapshot along with progress
+            sim.snapshots.push(message.snapshot);
+            this.notify(id, { type: 'snapshot', snapshot: message.snapshot });
+            this.persist(sim, store => store.saveSnapshot(id, message.snapshot));
+            break;
+          case 'completed':
+            sim.results = message.results;
+            sim.endTime = Date.now();
+            this.updateProgress(sim, 100);
+            this.setStatus(sim, 'completed', null, store => store.saveResults(id, message.results));
+            break;
+          case 'stopped':
+            // Halted on request - keep the partial results
+            sim.results = message.results;
+            sim.endTime = Date.now();
+            this.setStatus(sim, 'stopped', null, store => store.saveResults(id, message.results));
+            break;
+          case 'failed':
+            this.setStatus(sim, 'failed', message.error);
+            break;
+        }
+      });
+
+      worker.on('error', error => {
+        this.setStatus(sim, 'failed', error.message);
+      });
+
+      worker.on('exit', code => {
+        sim.worker = null;
+        sim.environment = null;
+        if (sim.status === 'running') {
+          this.setStatus(sim, 'failed', `Simulation worker exited unexpectedly (code ${code})`);
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Change status, notify stream subscribers and persist
+   */
+  setStatus(sim, status, error = null, write) {
+    sim.status = status;
+    if (error) sim.error = error;
+    this.notify(sim.id, { type: 'status', status, error: sim.error || null });
+    return this.persist(sim, write);
+  }
+
+  /**
+   * Record progress, notifying subscribers only when the whole percentage changes
+   */
+  updateProgress(sim, progress) {
+    const previous = Math.floor(sim.progress);
+    sim.progress = progress;
+    if (Math.floor(progress) !== previous) {
+      this.notify(sim.id, { type: 'progress', progress: Math.round(progress) });
     }
   }
 
+  notify(id, event) {
+    this.emit(`simulation:${id}`, event);
+  }
+
   /**
-   * Generate comprehensive results from simulation
+   * Stream a simulation's progress and snapshots
+   * Snapshots already produced at or after `fromHour` (or strictly after
+   * `afterHour`) are replayed first, then live events follow until the run
+   * reaches a final status
+   * @param {String} id - Simulation id
+   * @param {Object} options - { fromHour, afterHour }
+   * @param {Function} listener - Called with { type: 'status'|'progress'|'snapshot', ... }
+   * @returns {Function} - Unsubscribe
    */
-  generateResults(sim) {
-    const densityAnalyzer = new DensityAnalyzer();
-    const probabilityCalc = new ProbabilityCalculator();
-    const survivalAnalyzer = new SurvivalAnalyzer();
+  async subscribe(id, options, listener) {
+    const sim = this.simulations.get(id);
+    if (!sim) {
+      throw new Error('Simulation not found');
+    }
 
-    const particles = sim.particleEngine.getAllParticles();
-    
-    // Analyze particle distribution
-    const density = densityAnalyzer.analyze(particles);
-    const probability = probabilityCalc.calculate(particles);
-    
-    // Calculate survival factors
-    const elapsedHours = (sim.endTime - sim.startTime) / (1000 * 3600);
-    const survival = survivalAnalyzer.analyze(
-      sim.config.victimProfile || { age: 40, hasPFD: false },
-      sim.envManager.conditions,
-      elapsedHours
-    );
+    const fromTime = (options.fromHour || 0) * 3600;
+    const afterTime = options.afterHour !== undefined ? options.afterHour * 3600 : null;
+
+    // Live runs hold every snapshot in memory; only finished runs restored
+    // after a restart need the store (and they emit no further events)
+    const isLive = sim.status === 'queued' || sim.status === 'running';
+    const snapshots = isLive || sim.snapshots.length > 0
+      ? sim.snapshots
+      : await this.store.loadSnapshots(id);
+
+    listener({ type: 'status', status: sim.status, error: sim.error || null });
+    listener({ type: 'progress', progress: Math.round(sim.progress) });
+    snapshots
+      .filter(snapshot => (afterTime !== null ? snapshot.time > afterTime : snapshot.time >= fromTime))
+      .forEach(snapshot => listener({ type: 'snapshot', snapshot }));
+
+    // Replay and subscription happen in the same tick, so nothing is missed
+    const eventName = `simulation:${id}`;
+    this.on(eventName, listener);
+    return () => this.off(eventName, listener);
+  }
 
-    // Particle statistics
-    const stats = sim.particleEngine.getStats();
+  /**
+   * Write a simulation's record (after an optional extra write) to the store
+   * Writes are chained per simulation so they land in order
+   */
+  persist(sim, write) {
+    sim.persisting = sim.persisting
+      .then(async () => {
+        if (write) await write(this.store);
+        // Deleted simulations must not be recreated by a late write
+        if (this.simulations.get(sim.id) === sim) {
+          await this.store.saveSimulation(this.toRecord(sim));
+        }
+      })
+      .catch(error => {
+        console.error(`[SimulationController] Failed to persist ${sim.id}:`, error.message);
+      });
+    return sim.persisting;
+  }
 
+  /**
+   * Persistable view of a simulation (no engine objects)
+   */
+  toRecord(sim) {
     return {
-      simulationId: sim.id,
-      particles: {
-        total: stats.total,
-        active: stats.active,
-        beached: stats.beached,
-        recovered: stats.recovered
-      },
-      density: {
-        heatMap: density.heatMap,
-        maxDensity: density.maxDensity,
-        totalCells: density.totalCells
-      },
-      probability: {
-        polygon50: probability.polygon50,
-        polygon90: probability.polygon90,
-        centroid: probability.centroid,
-        confidence: probability.confidence
-      },
-      survival: {
-        probability: survival.probability,
-        timeRemaining: survival.timeRemaining,
-        urgency: survival.urgency,
-        recommendations: survival.recommendations
-      },
-      environmental: sim.envManager.conditions,
-      snapshots: sim.simulator.getSnapshots(),
-      duration: {
-        simulated: sim.config.durationHours,
-        elapsed: (sim.endTime - sim.startTime) / 1000
+      id: sim.id,
+      status: sim.status,
+      progress: sim.progress,
+      config: sim.config,
+      seed: sim.seed,
+      priority: sim.priority,
+      startTime: sim.startTime,
+      endTime: sim.endTime,
+      error: sim.error || null,
+      resumeCount: sim.resumeCount || 0
+    };
+  }
+
+  /**
+   * Reload persisted simulations after a restart
+   * Runs that were in flight when the process died are marked 'interrupted'
+   */
+  async initialize() {
+    const records = await this.store.listSimulations();
+
+    for (const record of records) {
+      if (record.status === 'running' || record.status === 'queued') {
+        record.status = 'interrupted';
+        record.error = 'Server restarted while simulation was running';
+        await this.store.saveSimulation(record);
       }
+
+      // Restored entries carry no engine; results load lazily from the store
+      this.simulations.set(record.id, {
+        ...record,
+        snapshots: [],
+        results: null,
+        persisting: Promise.resolve()
+      });
+    }
+
+    return { restored: records.length };
+  }
+
+  /**
+   * Resume an interrupted simulation
+   * The run restarts from its stored config, seed and forcing, so it
+   * reproduces the original trajectory exactly
+   */
+  async resumeSimulation(id) {
+    const sim = this.simulations.get(id);
+    if (!sim) {
+      throw new Error('Simulation not found');
+    }
+
+    if (sim.status !== 'interrupted') {
+      throw new Error(`Only interrupted simulations can be resumed (status: ${sim.status})`);
+    }
+    if (this.queue.isFull()) {
+      throw JobQueue.fullError();
+    }
+
+    const environment = await this.store.loadEnvironment(id);
+    await this.store.clearSnapshots(id);
+
+    const record = {
+      ...this.toRecord(sim),
+      status: 'queued',
+      progress: 0,
+      endTime: null,
+      error: null,
+      resumeCount: (sim.resumeCount || 0) + 1
+    };
+
+    await this.store.saveSimulation(record);
+    try {
+      this.launchSimulation(record, environment);
+    } catch (error) {
+      // Still interrupted: put its record back
+      await this.store.saveSimulation(this.toRecord(sim));
+      throw error;
+    }
+
+    return {
+      simulationId: id,
+      status: 'resumed',
+      seed: record.seed,
+      queuePosition: this.queue.getPosition(id)
     };
   }
 
+  /**
+   * Worker queue load (for health reporting)
+   */
+  getQueueStats() {
+    return this.queue.getStats();
+  }
+
   /**
    * Get simulation status
    */
@@ -175,10 +575,20 @@ class SimulationController {
       throw new Error('Simulation not found');
     }
 
+    return this.statusOf(sim);
+  }
+
+  /**
+   * Status view of a simulation (also for one just deleted)
+   */
+  statusOf(sim) {
     return {
       id: sim.id,
       status: sim.status,
       progress: Math.round(sim.progress),
+      seed: sim.seed,
+      priority: sim.priority,
+      queuePosition: sim.status === 'queued' ? this.queue.getPosition(sim.id) : null,
       startTime: sim.startTime,
       endTime: sim.endTime,
       error: sim.error
@@ -187,37 +597,296 @@ class SimulationController {
 
   /**
    * Get simulation results
+   * Stopped runs return their partial results; runs restored after a
+   * restart are loaded from the store
    */
-  getSimulationResults(id) {
+  async getSimulationResults(id) {
     const sim = this.simulations.get(id);
     if (!sim) {
       throw new Error('Simulation not found');
     }
     
-    if (sim.status !== 'completed') {
+    if (sim.status !== 'completed' && sim.status !== 'stopped') {
       throw new Error('Simulation not completed yet');
     }
 
+    if (!sim.results) {
+      sim.results = await this.store.loadResults(id);
+      if (!sim.results) {
+        throw new Error(sim.status === 'stopped'
+          ? 'Simulation was stopped before producing results'
+          : 'Simulation results not found');
+      }
+    }
+
     return sim.results;
   }
 
+  /**
+   * Export results for GIS tools
+   * Timestamps count from config.startTime (the real-world time of hour 0),
+   * falling back to when the simulation was submitted
+   * @param {String} format - 'geojson', 'kml' or 'csv'
+   * @param {Object} options - { includeParticles }
+   * @returns {Object} - { contentType, filename, body }
+   */
+  async exportResults(id, format, options = {}) {
+    const results = await this.getSimulationResults(id);
+    const sim = this.simulations.get(id);
+
+    const exporter = new ResultExporter(options);
+    return exporter.export(format, results, {
+      simulationId: id,
+      lkp: sim.config.lkp,
+      startTime: sim.config.startTime || sim.startTime
+    });
+  }
+
+  /**
+   * Plan search effort over a completed simulation's distribution
+   * Once searches have been recorded the plan covers the probability they
+   * left behind
+   * @param {Object} request - { units, areas, areaSizeNm, hour } where hour picks
+   *   a snapshot (default: the final distribution)
+   * @returns {Object} - SearchPlanner plan with simulationId and hour
+   */
+  async planSearch(id, request = {}) {
+    const results = await this.getSimulationResults(id);
+    const searches = await this.getSearches(this.simulations.get(id));
+
+    let density = results.density;
+    let hour = results.duration?.simulated ?? null;
+    let totalMass = results.particles.total;
+    let update = null;
+    if (searches.length > 0 || (request.hour !== undefined && request.hour !== null)) {
+      const weighted = await this.weightedDistribution(id, request.hour);
+      density = new DensityAnalyzer().analyze(weighted.particles);
+      hour = weighted.snapshot.hour;
+      totalMass = weighted.particles.reduce((sum, p) => sum + p.weight, 0);
+      update = weighted.update;
+    }
+
+    const planner = new SearchPlanner({ areaSizeNm: request.areaSizeNm });
+    const plan = planner.plan(density, {
+      units: request.units,
+      areas: request.areas,
+      totalParticles: results.particles.total,
+      totalMass
+    });
+
+    return {
+      simulationId: id,
+      hour,
+      ...plan,
+      ...(searches.length > 0 ? {
+        priorSearches: {
+          sorties: update.sorties.length,
+          cumulativePos: update.cumulativePos,
+          remainingProbability: update.remainingProbability
+        }
+      } : {})
+    };
+  }
+
+  /**
+   * Generate an IAMSAR search pattern over a completed simulation
+   * @param {Object} request - See SearchPatternGenerator.generate; startTime
+   *   defaults to the real-world time of searchHour
+   * @param {String} format - 'json' (default), 'gpx' or 'geojson'
+   * @returns {Object} - Pattern, or { contentType, filename, body } for route formats
+   */
+  async generateSearchPattern(id, request = {}, format = 'json') {
+    let results = await this.getSimulationResults(id);
+    const sim = this.simulations.get(id);
+
+    const searchHour = request.searchHour ?? results.duration?.simulated ?? 0;
+    const origin = new Date(sim.config.startTime || sim.startTime).getTime();
+    const startTime = request.startTime ||
+      (results.mode === 'backtrack' ? null : new Date(origin + searchHour * 3600000).toISOString());
+
+    // Fit the pattern to the probability earlier searches left behind
+    const searches = await this.getSearches(sim);
+    const snapshots = results.snapshots || [];
+    const target = snapshots.find(s => s.time === Math.round(searchHour * 3600)) ||
+      snapshots.filter(s => s.hour <= searchHour).pop();
+    if (searches.length > 0 && target) {
+      const updater = new SearchUpdater();
+      const update = updater.update(snapshots, searches, target.hour);
+      const weighted = { ...target, particles: updater.applyWeights(target.particles, update.weights) };
+      results = {
+        ...results,
+        density: new DensityAnalyzer().analyze(weighted.particles),
+        probability: new ProbabilityCalculator().calculate(weighted.particles),
+        snapshots: snapshots.map(s => (s === target ? weighted : s))
+      };
+    }
+
+    const route = new SearchPatternGenerator().generate(results, { ...request, searchHour, startTime });
+    if (format === 'json') {
+      return { simulationId: id, searchHour, ...route };
+    }
+    return new RouteExporter().export(format, route, { simulationId: id });
+  }
+
+  /**
+   * Sorties recorded against a simulation, loaded from the store on first use
+   */
+  async getSearches(sim) {
+    if (!sim.searches) {
+      const stored = await this.store.loadSearches(sim.id);
+      if (!sim.searches) sim.searches = stored;
+    }
+    return sim.searches;
+  }
+
+  /**
+   * Record a completed search sortie that did not find the object
+   * @param {Object} sortie - { id, name, unitId, hour, time, track: [{ lat, lng }],
+   *   sweepWidthNm, trackSpacingNm, pod } where time (ISO) stands in for hour,
+   *   counted from config.startTime
+   * @returns {Object} - Updated probability map (see getSearchUpdate)
+   */
+  async recordSearch(id, sortie = {}) {
+    const results = await this.getSimulationResults(id);
+    const sim = this.simulations.get(id);
+
+    if (results.mode === 'backtrack') {
+      throw new Error('Searches can only be recorded against forward simulations');
+    }
+
+    let hour = sortie.hour;
+    if (hour === undefined && sortie.time) {
+      const origin = new Date(sim.config.startTime || sim.startTime).getTime();
+      hour = (new Date(sortie.time).getTime() - origin) / 3600000;
+    }
+    const simulated = results.duration?.simulated ?? 0;
+    if (hour > simulated) {
+      throw new Error(`Sortie flown after the end of the simulation (hour ${hour}, simulated ${simulated})`);
+    }
+
+    const updater = new SearchUpdater();
+    const searches = await this.getSearches(sim);
+
+    // Check and record in one synchronous block (no await in between), so
+    // concurrent requests for the same sortie cannot both get through
+    const recorded = updater.normalize({ ...sortie, hour }, searches.length);
+    if (searches.some(s => s.id === recorded.id)) {
+      throw new Error(`Sortie '${recorded.id}' already recorded`);
+    }
+    searches.push(recorded);
+
+    await this.persist(sim, store => store.saveSearches(id, searches));
+    return this.getSearchUpdate(id);
+  }
+
+  /**
+   * Probability map after the recorded searches
+   * @param {Number} hour - Snapshot to update (default: the last); sorties flown
+   *   after it are left out
+   * @returns {Object} - { simulationId, hour, searches, cumulativePos, remainingProbability, density, probability }
+   */
+  async getSearchUpdate(id, hour) {
+    const { snapshot, particles, update } = await this.weightedDistribution(id, hour);
+    const density = new DensityAnalyzer().analyze(particles);
+    const probability = new ProbabilityCalculator({ levels: this.simulations.get(id).config.contourLevels })
+      .calculate(particles);
+
+    return {
+      simulationId: id,
+      hour: snapshot.hour,
+      searches: update.sorties,
+      cumulativePos: update.cumulativePos,
+      remainingProbability: update.remainingProbability,
+      density: {
+        heatMap: density.heatMap,
+        maxDensity: density.maxDensity,
+        totalCells: density.totalCells,
+        gridSize: density.gridSize
+      },
+      probability: {
+        polygon50: probability.polygon50,
+        polygon90: probability.polygon90,
+        centroid: probability.centroid || null,
+        confidence: probability.confidence,
+        contours: probability.contours
+      }
+    };
+  }
+
+  /**
+   * Highest-density region contours of a snapshot, after the recorded searches
+   * @param {Number} hour - Snapshot hour (default: the last snapshot)
+   * @param {Array} levels - Probability levels (default: the run's contourLevels)
+   * @returns {Object} - { simulationId, hour, surface, contours } (see ProbabilityCalculator)
+   */
+  async getProbabilityContours(id, hour, levels) {
+    const { snapshot, particles } = await this.weightedDistribution(id, hour);
+    const calculator = new ProbabilityCalculator({ levels: levels ?? this.simulations.get(id).config.contourLevels });
+    const probability = calculator.calculate(particles);
+
+    return {
+      simulationId: id,
+      hour: snapshot.hour,
+      surface: probability.surface,
+      contours: probability.contours
+    };
+  }
+
+  /**
+   * Snapshot particles weighted by the searches flown up to that snapshot
+   * @param {Number} hour - Snapshot hour (default: the last snapshot)
+   * @returns {Object} - { results, snapshot, particles, update }
+   */
+  async weightedDistribution(id, hour) {
+    const results = await this.getSimulationResults(id);
+    const snapshots = results.snapshots || [];
+
+    const snapshot = hour === undefined || hour === null
+      ? snapshots[snapshots.length - 1]
+      : snapshots.find(s => s.time === Math.round(hour * 3600));
+    if (!snapshot) {
+      throw new Error(hour === undefined || hour === null ? 'Simulation has no snapshots' : `No snapshot at hour ${hour}`);
+    }
+
+    const updater = new SearchUpdater();
+    const update = updater.update(snapshots, await this.getSearches(this.simulations.get(id)), snapshot.hour);
+    return { results, snapshot, update, particles: updater.applyWeights(snapshot.particles, update.weights) };
+  }
+
   /**
    * Get snapshot at specific hour
+   * @param {Object} page - { offset, limit } slice of the particle list (default: all)
+   * @returns {Object} - Snapshot with paged particles and { pagination }
    */
-  getSnapshot(id, hour) {
+  async getSnapshot(id, hour, page = {}) {
     const sim = this.simulations.get(id);
     if (!sim) {
       throw new Error('Simulation not found');
     }
 
-    const snapshots = sim.simulator.getSnapshots();
-    const snapshot = snapshots.find(s => s.time === hour * 3600);
+    const snapshots = sim.snapshots && sim.snapshots.length > 0
+      ? sim.snapshots
+      : await this.store.loadSnapshots(id);
+    const snapshot = snapshots.find(s => s.time === Math.round(hour * 3600));
     
     if (!snapshot) {
       throw new Error('Snapshot not found for specified hour');
     }
 
-    return snapshot;
+    const total = snapshot.particles.length;
+    const offset = Math.max(0, page.offset || 0);
+    const limit = page.limit > 0 ? page.limit : total;
+
+    return {
+      ...snapshot,
+      particles: snapshot.particles.slice(offset, offset + limit),
+      pagination: {
+        offset,
+        limit,
+        total,
+        hasMore: offset + limit < total
+      }
+    };
   }
 
   /**
@@ -228,6 +897,9 @@ class SimulationController {
       id: sim.id,
       status: sim.status,
       progress: Math.round(sim.progress),
+      seed: sim.seed,
+      priority: sim.priority,
+      queuePosition: sim.status === 'queued' ? this.queue.getPosition(sim.id) : null,
       startTime: sim.startTime,
       config: {
         lkp: sim.config.lkp,
@@ -240,27 +912,68 @@ class SimulationController {
   /**
    * Delete simulation
    */
-  deleteSimulation(id) {
-    if (!this.simulations.has(id)) {
+  async deleteSimulation(id) {
+    const sim = this.simulations.get(id);
+    if (!sim) {
       throw new Error('Simulation not found');
     }
     
+    this.queue.remove(id);
     this.simulations.delete(id);
+
+    // Final event for stream subscribers and pending stop requests; also
+    // keeps the terminated worker's exit from being reported as a failure
+    sim.status = 'deleted';
+    this.notify(id, { type: 'status', status: 'deleted', error: null });
+
+    if (sim.worker) {
+      await sim.worker.terminate();
+    }
+
+    // Release snapshots/results held in memory
+    sim.snapshots = [];
+    sim.results = null;
+    sim.environment = null;
+    sim.searches = null;
+    this.removeAllListeners(`simulation:${id}`);
+
+    await sim.persisting;
+    await this.store.deleteSimulation(id);
   }
 
   /**
    * Stop running simulation
+   * A running worker halts after its current step and reports partial results;
+   * resolves once the simulation has reached a final status (including
+   * 'deleted' when it is deleted meanwhile)
    */
-  stopSimulation(id) {
+  async stopSimulation(id) {
     const sim = this.simulations.get(id);
     if (!sim) {
       throw new Error('Simulation not found');
     }
 
-    if (sim.status === 'running') {
-      sim.status = 'stopped';
+    if (sim.status === 'queued' && this.queue.remove(id)) {
+      await this.setStatus(sim, 'stopped');
+    } else if (sim.status === 'running' && sim.worker) {
+      const eventName = `simulation:${id}`;
+      const finished = new Promise(resolve => {
+        const onEvent = event => {
+          if (event.type === 'status' && event.status !== 'running') {
+            this.off(eventName, onEvent);
+            resolve();
+          }
+        };
+        this.on(eventName, onEvent);
+      });
+
+      sim.worker.postMessage({ type: 'stop' });
+      await finished;
+      await sim.persisting;
     }
+
+    return this.statusOf(sim);
   }
 }
 
-module.exports = SimulationController;
\ No newline at end of file
+module.exports = SimulationController;
@@ -0,0 +1,39 @@
+/**
+ * SimulationWorker.js
+ * Worker thread entry point - runs one simulation off the main event loop
+ *
+ * workerData: { record, environment }
+ * Accepts: { type: 'stop' } - halt after the current step, keeping partial results
+ * Posts: { type: 'progress', progress }
+ *        { type: 'snapshot', snapshot }
+ *        { type: 'completed', results }
+ *        { type: 'stopped', results }
+ *        { type: 'failed', error }
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const SimulationRunner = require('../core/SimulationRunner');
+
+async function main() {
+  try {
+    const runner = new SimulationRunner(workerData.record, workerData.environment);
+
+    parentPort.on('message', message => {
+      if (message.type === 'stop') runner.stop();
+    });
+
+    const results = await runner.run({
+      onProgress: progress => parentPort.postMessage({ type: 'progress', progress }),
+      onSnapshot: snapshot => parentPort.postMessage({ type: 'snapshot', snapshot })
+    });
+
+    parentPort.postMessage({ type: runner.stopped ? 'stopped' : 'completed', results });
+  } catch (error) {
+    parentPort.postMessage({ type: 'failed', error: error.message });
+  } finally {
+    // The stop listener would otherwise keep the thread (and its queue slot) alive
+    parentPort.close();
+  }
+}
+
+main();
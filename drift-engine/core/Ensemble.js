@@ -0,0 +1,111 @@
+/**
+ * Ensemble.js
+ * Monte Carlo ensemble definition: N members, each drifting its share of
+ * the particles through its own realisation of the forcing
+ *
+ * config.ensemble:
+ *   members        - number of members (2-50; defaults to the number of sources)
+ *   includeControl - member 0 runs the unperturbed forcing (default true)
+ *   perturbations  - error distributions drawn once per member:
+ *     windSpeed / currentSpeed          fractional speed error
+ *     windDirection / currentDirection  direction error in degrees
+ *     each { distribution: 'normal', stdDev } or { distribution: 'uniform', halfWidth }
+ *   sources        - optional alternate data per member, cycled over the members:
+ *     [{ name, forcing, useLiveData }] - the member's gridded forcing (as in
+ *     config.forcing; none when omitted) and whether it keeps the live
+ *     conditions (default true)
+ */
+
+const SeededRandom = require('./SeededRandom');
+
+const MAX_MEMBERS = 50;
+
+const DEFAULT_PERTURBATIONS = {
+  windSpeed: { distribution: 'normal', stdDev: 0.15 },
+  windDirection: { distribution: 'normal', stdDev: 15 },
+  currentSpeed: { distribution: 'normal', stdDev: 0.25 },
+  currentDirection: { distribution: 'normal', stdDev: 20 }
+};
+
+class Ensemble {
+  /**
+   * @param {Object} options - config.ensemble (validated here)
+   * @param {SeededRandom} rng - Shared simulation random source
+   */
+  constructor(options = {}, rng) {
+    this.rng = rng || new SeededRandom();
+    this.sources = options.sources || [];
+    if (!Array.isArray(this.sources)) {
+      throw new Error('ensemble.sources must be an array');
+    }
+
+    this.size = options.members ?? this.sources.length;
+    if (!Number.isInteger(this.size) || this.size < 2 || this.size > MAX_MEMBERS) {
+      throw new Error(`ensemble.members must be a whole number between 2 and ${MAX_MEMBERS}`);
+    }
+
+    this.includeControl = options.includeControl !== false;
+    this.perturbations = {};
+    Object.keys(DEFAULT_PERTURBATIONS).forEach(name => {
+      this.perturbations[name] = this.validateDistribution(
+        name, { ...DEFAULT_PERTURBATIONS[name], ...options.perturbations?.[name] }
+      );
+    });
+  }
+
+  validateDistribution(name, spec) {
+    if (spec.distribution === 'normal') {
+      if (typeof spec.stdDev !== 'number' || !(spec.stdDev >= 0)) {
+        throw new Error(`ensemble.perturbations.${name}.stdDev must be a non-negative number`);
+      }
+      return { distribution: 'normal', stdDev: spec.stdDev };
+    }
+    if (spec.distribution === 'uniform') {
+      if (typeof spec.halfWidth !== 'number' || !(spec.halfWidth >= 0)) {
+        throw new Error(`ensemble.perturbations.${name}.halfWidth must be a non-negative number`);
+      }
+      return { distribution: 'uniform', halfWidth: spec.halfWidth };
+    }
+    throw new Error(`Unknown ${name} error distribution '${spec.distribution}' (expected normal, uniform)`);
+  }
+
+  /**
+   * Draw every member's forcing perturbation
+   * @returns {Array} - [{ member, control, source, perturbation }] where source
+   *   indexes ensemble.sources (null for the run's own forcing) and
+   *   perturbation is { windSpeedFactor, windDirectionOffset, currentSpeedFactor, currentDirectionOffset }
+   */
+  drawMembers() {
+    const members = [];
+    for (let member = 0; member < this.size; member++) {
+      const control = this.includeControl && member === 0;
+      members.push({
+        member,
+        control,
+        source: this.sources.length > 0 ? member % this.sources.length : null,
+        perturbation: control ? {
+          windSpeedFactor: 1,
+          windDirectionOffset: 0,
+          currentSpeedFactor: 1,
+          currentDirectionOffset: 0
+        } : {
+          windSpeedFactor: Math.max(0, 1 + this.draw(this.perturbations.windSpeed)),
+          windDirectionOffset: this.draw(this.perturbations.windDirection),
+          currentSpeedFactor: Math.max(0, 1 + this.draw(this.perturbations.currentSpeed)),
+          currentDirectionOffset: this.draw(this.perturbations.currentDirection)
+        }
+      });
+    }
+    return members;
+  }
+
+  draw(spec) {
+    return spec.distribution === 'uniform'
+      ? this.rng.uniform(-spec.halfWidth, spec.halfWidth)
+      : this.rng.gaussian(0, spec.stdDev);
+  }
+}
+
+Ensemble.MAX_MEMBERS = MAX_MEMBERS;
+
+module.exports = Ensemble;
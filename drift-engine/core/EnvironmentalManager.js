@@ -4,56 +4,166 @@
  * Provides spatially and temporally varying environmental data
  */
 
+const SeededRandom = require('./SeededRandom');
+
 class EnvironmentalManager {
-  constructor(lkp) {
+  /**
+   * @param {Object} lkp - { lat, lng }
+   * @param {Object} options - { provided, forcingField, rng, generated, perturbation }
+   *   provided: EnvironmentalProvider output
+   *   forcingField: ForcingField sampled per location/time ahead of the scalar conditions
+   *   generated: synthetic conditions to start from (ensemble members share
+   *     the base run's draw instead of generating their own)
+   *   perturbation: ensemble member error applied to wind and current
+   *     { windSpeedFactor, windDirectionOffset, currentSpeedFactor, currentDirectionOffset }
+   */
+  constructor(lkp, options = {}) {
     this.lkp = lkp;
-    this.conditions = this.generateConditions();
+    this.forcingField = options.forcingField || null;
+    this.rng = options.rng || new SeededRandom();
+    this.perturbation = options.perturbation || null;
+    this.generated = options.generated || this.generateConditions();
+    this.conditions = JSON.parse(JSON.stringify(this.generated));
+    this.metadata = this.applyProvidedConditions(options.provided);
+
+    if (this.forcingField) {
+      this.metadata.forcingField = this.forcingField.describe();
+    }
+    if (this.perturbation) {
+      this.metadata.perturbation = { ...this.perturbation };
+    }
   }
 
   /**
-   * Generate realistic environmental conditions
-   * In production, this would fetch from NOAA/weather APIs
+   * Overlay fetched conditions onto generated ones
+   * Fields the provider could not resolve keep their generated values
+   * @returns {Object} - Per-field { source, quality } metadata
+   */
+  applyProvidedConditions(provided) {
+    const generated = { source: 'generated', quality: 'synthetic' };
+    const metadata = {};
+
+    ['wind', 'current', 'waves', 'waterTemp', 'airTemp', 'visibility'].forEach(field => {
+      const value = provided?.conditions?.[field];
+      if (value !== null && value !== undefined) {
+        this.conditions[field] = value;
+        metadata[field] = provided.metadata[field];
+      } else {
+        metadata[field] = { ...generated };
+      }
+    });
+
+    this.conditions.seaState = this.calculateSeaState(this.conditions.waves.height);
+    metadata.seaState = { source: 'derived', quality: metadata.waves.quality, from: 'waves' };
+
+    return metadata;
+  }
+
+  /**
+   * Check whether a field is driven by generated (non-measured) values
+   */
+  isSynthetic(field) {
+    return !this.metadata || this.metadata[field]?.quality === 'synthetic';
+  }
+
+  /**
+   * Generate synthetic environmental conditions
+   * Fallback for fields EnvironmentalProvider could not resolve
    */
   generateConditions() {
     return {
       wind: {
-        speed: 10 + Math.random() * 15, // knots (10-25)
-        direction: Math.random() * 360, // degrees true
-        gusts: 15 + Math.random() * 20 // knots
+        speed: 10 + this.rng.next() * 15, // knots (10-25)
+        direction: this.rng.next() * 360, // degrees true
+        gusts: 15 + this.rng.next() * 20 // knots
       },
       current: {
-        speed: 0.5 + Math.random() * 1.5, // knots (0.5-2.0)
-        direction: Math.random() * 360, // degrees true
+        speed: 0.5 + this.rng.next() * 1.5, // knots (0.5-2.0)
+        direction: this.rng.next() * 360, // degrees true
         variation: 0.2 // +/- variation
       },
       waves: {
-        height: 1 + Math.random() * 3, // meters (1-4)
-        period: 4 + Math.random() * 6, // seconds (4-10)
-        direction: Math.random() * 360
+        height: 1 + this.rng.next() * 3, // meters (1-4)
+        period: 4 + this.rng.next() * 6, // seconds (4-10)
+        direction: this.rng.next() * 360
       },
-      waterTemp: 60 + Math.random() * 20, // °F (60-80)
-      airTemp: 65 + Math.random() * 20, // °F (65-85)
-      visibility: 5 + Math.random() * 10, // nautical miles
-      seaState: this.calculateSeaState(1 + Math.random() * 3)
+      waterTemp: 60 + this.rng.next() * 20, // °F (60-80)
+      airTemp: 65 + this.rng.next() * 20, // °F (65-85)
+      visibility: 5 + this.rng.next() * 10, // nautical miles
+      seaState: this.calculateSeaState(1 + this.rng.next() * 3)
     };
   }
 
   /**
    * Get environmental conditions at specific location and time
-   * Adds spatial variation for realism
+   * Gridded forcing is used where it covers the point; the scalar
+   * conditions (with small spatial variation) fill the rest
+   */
+  getConditionsAt(lat, lng, time, variation = this.drawVariation()) {
+    const scalar = this.getScalarConditionsAt(lat, lng, variation);
+    if (!this.forcingField) return this.perturb(scalar);
+
+    const gridded = this.forcingField.sample(lat, lng, time);
+    return this.perturb({
+      wind: gridded.wind || scalar.wind,
+      current: gridded.current || scalar.current,
+      waves: gridded.waves || scalar.waves,
+      waterTemp: gridded.waterTemp !== null ? gridded.waterTemp : scalar.waterTemp,
+      airTemp: scalar.airTemp
+    });
+  }
+
+  /**
+   * Apply the ensemble member's wind and current error
    */
-  getConditionsAt(lat, lng, time) {
-    // Add small spatial variations
+  perturb(conditions) {
+    const p = this.perturbation;
+    if (!p) return conditions;
+
+    return {
+      ...conditions,
+      wind: {
+        ...conditions.wind,
+        speed: conditions.wind.speed * p.windSpeedFactor,
+        direction: conditions.wind.direction + p.windDirectionOffset
+      },
+      current: {
+        ...conditions.current,
+        speed: conditions.current.speed * p.currentSpeedFactor,
+        direction: conditions.current.direction + p.currentDirectionOffset
+      }
+    };
+  }
+
+  /**
+   * Draw the small random spatial variation applied to scalar conditions
+   * Drawn once per particle step so integrator stages share it
+   */
+  drawVariation() {
+    return {
+      windSpeed: (this.rng.next() - 0.5) * 2,
+      windDirection: (this.rng.next() - 0.5) * 10,
+      currentSpeed: (this.rng.next() - 0.5) * 0.2,
+      currentDirection: (this.rng.next() - 0.5) * 15
+    };
+  }
+
+  /**
+   * Scalar conditions with small random spatial variation
+   * @param {Object} variation - From drawVariation (null for none)
+   */
+  getScalarConditionsAt(lat, lng, variation = this.drawVariation()) {
+    const v = variation || { windSpeed: 0, windDirection: 0, currentSpeed: 0, currentDirection: 0 };
     const spatialVariation = {
       wind: {
-        speed: this.conditions.wind.speed + (Math.random() - 0.5) * 2,
-        direction: this.conditions.wind.direction + (Math.random() - 0.5) * 10
+        speed: this.conditions.wind.speed + v.windSpeed,
+        direction: this.conditions.wind.direction + v.windDirection
       },
       current: {
-        speed: this.conditions.current.speed + (Math.random() - 0.5) * 0.2,
-        direction: this.conditions.current.direction + (Math.random() - 0.5) * 15
+        speed: this.conditions.current.speed + v.currentSpeed,
+        direction: this.conditions.current.direction + v.currentDirection
       },
-      waves: this.conditions.waves,
+      waves: { ...this.conditions.waves },
       waterTemp: this.conditions.waterTemp,
       airTemp: this.conditions.airTemp
     };
@@ -66,19 +176,24 @@ class EnvironmentalManager {
    * Simulates changing weather patterns
    */
   updateConditions(time) {
-    // Gradually change wind direction (weather systems moving)
-    this.conditions.wind.direction += (Math.random() - 0.5) * 10;
-    if (this.conditions.wind.direction < 0) this.conditions.wind.direction += 360;
-    if (this.conditions.wind.direction >= 360) this.conditions.wind.direction -= 360;
-
-    // Vary wind speed slightly
-    this.conditions.wind.speed += (Math.random() - 0.5) * 2;
-    this.conditions.wind.speed = Math.max(0, Math.min(40, this.conditions.wind.speed));
-
-    // Current direction changes more slowly
-    this.conditions.current.direction += (Math.random() - 0.5) * 5;
-    if (this.conditions.current.direction < 0) this.conditions.current.direction += 360;
-    if (this.conditions.current.direction >= 360) this.conditions.current.direction -= 360;
+    // Fetched fields are held as observed; only generated fields wander
+    if (this.isSynthetic('wind')) {
+      // Gradually change wind direction (weather systems moving)
+      this.conditions.wind.direction += (this.rng.next() - 0.5) * 10;
+      if (this.conditions.wind.direction < 0) this.conditions.wind.direction += 360;
+      if (this.conditions.wind.direction >= 360) this.conditions.wind.direction -= 360;
+
+      // Vary wind speed slightly
+      this.conditions.wind.speed += (this.rng.next() - 0.5) * 2;
+      this.conditions.wind.speed = Math.max(0, Math.min(40, this.conditions.wind.speed));
+    }
+
+    if (this.isSynthetic('current')) {
+      // Current direction changes more slowly
+      this.conditions.current.direction += (this.rng.next() - 0.5) * 5;
+      if (this.conditions.current.direction < 0) this.conditions.current.direction += 360;
+      if (this.conditions.current.direction >= 360) this.conditions.current.direction -= 360;
+    }
   }
 
   /**
@@ -0,0 +1,284 @@
+/**
+ * EnvironmentalProvider.js
+ * Builds simulation forcing (wind, current, waves, temperature) from live data services
+ *
+ * Fallback order per field (first usable source wins):
+ * - wind:      NDBC buoy (observed) -> ADCIRC/OFS model -> generated
+ * - current:   HF Radar (observed) -> CO-OPS current prediction -> ADCIRC/OFS model -> generated
+ * - waves:     NDBC buoy (observed) -> ADCIRC/OFS model -> generated
+ * - waterTemp: NDBC buoy (observed) -> generated
+ * - airTemp:   NDBC buoy (observed) -> generated
+ *
+ * Service output flagged as simulated (e.g. HF_Radar_Simulated, ADCIRC_Simulated)
+ * is never used as forcing. Fields with no usable source are left null and
+ * EnvironmentalManager fills them with generated values, tagged as such in the metadata.
+ *
+ * Direction convention: the drift engine moves particles TOWARD `direction`,
+ * so meteorological "from" directions (buoy wind/waves) are rotated by 180°.
+ */
+
+const MS_TO_KNOTS = 1.94384;
+const FEET_TO_METERS = 0.3048;
+
+class EnvironmentalProvider {
+  /**
+   * @param {Object} services - { noaaService, hfRadarService, adcircService } (all optional)
+   * @param {Object} options - { maxBuoyDistanceNm, maxCurrentStationDistanceNm }
+   */
+  constructor(services = {}, options = {}) {
+    this.noaaService = services.noaaService || null;
+    this.hfRadarService = services.hfRadarService || null;
+    this.adcircService = services.adcircService || null;
+
+    // Beyond these distances a station is not representative of the LKP
+    this.maxBuoyDistanceNm = options.maxBuoyDistanceNm || 100;
+    this.maxCurrentStationDistanceNm = options.maxCurrentStationDistanceNm || 20;
+  }
+
+  /**
+   * Check whether any data service is configured
+   */
+  isAvailable() {
+    return !!(this.noaaService || this.hfRadarService || this.adcircService);
+  }
+
+  /**
+   * Fetch forcing for a location
+   * @param {Number} lat - Latitude
+   * @param {Number} lng - Longitude
+   * @returns {Object} - { conditions, metadata } with null conditions for unresolved fields
+   */
+  async getConditions(lat, lng) {
+    const [noaa, hfRadar, adcirc] = await Promise.all([
+      this.fetchSafely('NOAA', () => this.noaaService && this.noaaService.getEnvironmentalData(lat, lng)),
+      this.fetchSafely('HF Radar', () => this.hfRadarService && this.hfRadarService.getSurfaceCurrents(lat, lng)),
+      this.fetchSafely('ADCIRC', () => this.adcircService && this.adcircService.getModelData(lat, lng))
+    ]);
+
+    const buoy = this.getUsableBuoy(noaa);
+    const model = this.isUsable(adcirc) ? adcirc : null;
+
+    const wind = this.resolveWind(buoy, model);
+    const current = this.resolveCurrent(hfRadar, noaa, model);
+    const waves = this.resolveWaves(buoy, model);
+    const waterTemp = this.resolveWaterTemp(buoy);
+    const airTemp = this.resolveAirTemp(buoy);
+
+    return {
+      conditions: {
+        wind: wind.value,
+        current: current.value,
+        waves: waves.value,
+        waterTemp: waterTemp.value,
+        airTemp: airTemp.value
+      },
+      metadata: {
+        wind: wind.meta,
+        current: current.meta,
+        waves: waves.meta,
+        waterTemp: waterTemp.meta,
+        airTemp: airTemp.meta
+      },
+      fetchedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Run a service call, logging and swallowing failures
+   */
+  async fetchSafely(name, fn) {
+    try {
+      return (await fn()) || null;
+    } catch (error) {
+      console.log(`[EnvironmentalProvider] ${name} fetch failed:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Check a service response is real (available and not simulated)
+   */
+  isUsable(data) {
+    if (!data || data.available === false) return false;
+    const source = String(data.source || '');
+    return data.quality !== 'simulated' && !/simulated/i.test(source);
+  }
+
+  /**
+   * Nearest buoy from the NOAA response, if close enough to be representative
+   */
+  getUsableBuoy(noaa) {
+    if (!noaa || !noaa.buoy) return null;
+    const station = noaa.stations?.buoys?.[0];
+    if (station && station.distance > this.maxBuoyDistanceNm) return null;
+
+    return {
+      ...noaa.buoy,
+      station: station ? { id: station.id, name: station.name, distanceNm: station.distance } : null
+    };
+  }
+
+  resolveWind(buoy, model) {
+    if (buoy && this.isNumber(buoy.wind?.speed) && this.isNumber(buoy.wind?.direction)) {
+      return {
+        value: {
+          speed: buoy.wind.speed,
+          direction: this.fromToToward(buoy.wind.direction),
+          gusts: this.isNumber(buoy.wind.gusts) ? buoy.wind.gusts : buoy.wind.speed
+        },
+        meta: this.buoyMeta(buoy)
+      };
+    }
+
+    if (model && this.isNumber(model.wind?.speed)) {
+      // ADCIRC/OFS wind is m/s, meteorological convention
+      const speed = model.wind.speed * MS_TO_KNOTS;
+      return {
+        value: {
+          speed,
+          direction: this.fromToToward(model.wind.direction),
+          gusts: speed
+        },
+        meta: this.modelMeta(model)
+      };
+    }
+
+    return this.unresolved();
+  }
+
+  resolveCurrent(hfRadar, noaa, model) {
+    if (this.isUsable(hfRadar) && this.isNumber(hfRadar.speed)) {
+      return {
+        value: {
+          speed: hfRadar.speed * MS_TO_KNOTS,
+          direction: this.normalizeDirection(hfRadar.direction),
+          variation: 0.1
+        },
+        meta: {
+          source: hfRadar.source || 'HF_Radar',
+          quality: 'observed',
+          qcFlag: hfRadar.quality,
+          region: hfRadar.region,
+          resolution: hfRadar.resolution,
+          observedAt: hfRadar.timestamp
+        }
+      };
+    }
+
+    const station = noaa?.stations?.currents?.[0];
+    if (noaa?.currents && this.isNumber(noaa.currents.speed) &&
+        (!station || station.distance <= this.maxCurrentStationDistanceNm)) {
+      // CO-OPS velocity is signed along the flood axis (negative = ebb)
+      const speed = noaa.currents.speed;
+      return {
+        value: {
+          speed: Math.abs(speed),
+          direction: this.normalizeDirection(noaa.currents.direction + (speed < 0 ? 180 : 0)),
+          variation: 0.2
+        },
+        meta: {
+          source: 'NOAA_COOPS_Current_Prediction',
+          quality: 'predicted',
+          station: station ? { id: station.id, name: station.name, distanceNm: station.distance } : null,
+          observedAt: noaa.currents.fetchedAt
+        }
+      };
+    }
+
+    if (model && this.isNumber(model.current?.speed)) {
+      return {
+        value: {
+          speed: model.current.speed * MS_TO_KNOTS,
+          direction: this.normalizeDirection(model.current.direction),
+          variation: 0.2
+        },
+        meta: this.modelMeta(model)
+      };
+    }
+
+    return this.unresolved();
+  }
+
+  resolveWaves(buoy, model) {
+    if (buoy && this.isNumber(buoy.waves?.height)) {
+      return {
+        value: {
+          height: buoy.waves.height * FEET_TO_METERS,
+          period: this.isNumber(buoy.waves.period) ? buoy.waves.period : 6,
+          direction: this.isNumber(buoy.waves.direction)
+            ? this.fromToToward(buoy.waves.direction)
+            : this.fromToToward(buoy.wind?.direction || 0)
+        },
+        meta: this.buoyMeta(buoy)
+      };
+    }
+
+    if (model && this.isNumber(model.waves?.significantHeight)) {
+      return {
+        value: {
+          height: model.waves.significantHeight,
+          period: model.waves.peakPeriod,
+          direction: this.normalizeDirection(model.waves.direction)
+        },
+        meta: this.modelMeta(model)
+      };
+    }
+
+    return this.unresolved();
+  }
+
+  resolveWaterTemp(buoy) {
+    if (buoy && this.isNumber(buoy.water?.temperature)) {
+      return { value: buoy.water.temperature, meta: this.buoyMeta(buoy) };
+    }
+    return this.unresolved();
+  }
+
+  resolveAirTemp(buoy) {
+    if (buoy && this.isNumber(buoy.air?.temperature)) {
+      return { value: buoy.air.temperature, meta: this.buoyMeta(buoy) };
+    }
+    return this.unresolved();
+  }
+
+  buoyMeta(buoy) {
+    return {
+      source: 'NDBC_Buoy',
+      quality: 'observed',
+      station: buoy.station || { id: buoy.buoyId, name: buoy.stationName },
+      observedAt: buoy.timestamp
+    };
+  }
+
+  modelMeta(model) {
+    return {
+      source: model.source || 'ADCIRC',
+      quality: 'model',
+      model: model.model,
+      resolution: model.resolution,
+      forecastHour: model.forecastHour,
+      observedAt: model.timestamp
+    };
+  }
+
+  unresolved() {
+    return { value: null, meta: null };
+  }
+
+  /**
+   * Convert a meteorological "from" direction to a drift "toward" direction
+   */
+  fromToToward(direction) {
+    return this.normalizeDirection(direction + 180);
+  }
+
+  normalizeDirection(direction) {
+    return ((direction % 360) + 360) % 360;
+  }
+
+  isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+}
+
+module.exports = EnvironmentalProvider;
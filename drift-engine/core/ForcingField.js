@@ -0,0 +1,355 @@
+/**
+ * ForcingField.js
+ * Time-varying gridded forcing on a regular lat/lng/time grid
+ * Bilinear interpolation in space, linear interpolation in time
+ *
+ * Grid variables (flat arrays indexed [time][lat][lng], null = missing):
+ * - windU, windV: 10 m wind components (m/s, toward east/north)
+ * - currentU, currentV: surface current components (m/s, toward east/north)
+ * - waveHeight (m), wavePeriod (s), waveDirection (degrees, direction of travel)
+ * - sst: sea surface temperature (°C)
+ *
+ * Times are seconds relative to simulation start.
+ */
+
+const fs = require('fs');
+
+const MS_TO_KNOTS = 1.94384;
+
+const VARIABLES = [
+  'windU', 'windV',
+  'currentU', 'currentV',
+  'waveHeight', 'wavePeriod', 'waveDirection',
+  'sst'
+];
+
+// Directions are interpolated as unit vectors (see interpolateDirection)
+const DIRECTION_VARIABLES = ['waveDirection'];
+
+class ForcingField {
+  /**
+   * @param {Object} grid - { lats, lngs, times, variables, source }
+   */
+  constructor(grid) {
+    this.lats = grid.lats;
+    this.lngs = grid.lngs;
+    this.times = grid.times && grid.times.length > 0 ? grid.times : [0];
+    this.source = grid.source || 'gridded';
+    this.variables = {};
+
+    const size = this.times.length * this.lats.length * this.lngs.length;
+    VARIABLES.forEach(name => {
+      const values = grid.variables?.[name];
+      if (!values) return;
+      if (values.length !== size) {
+        throw new Error(`Forcing variable ${name} has ${values.length} values, expected ${size}`);
+      }
+      this.variables[name] = Float64Array.from(values, v => (v === null || v === undefined ? NaN : v));
+    });
+
+    // Unit-vector components of direction fields, computed once rather than per sample
+    this.directionComponents = {};
+    DIRECTION_VARIABLES.forEach(name => {
+      const values = this.variables[name];
+      if (!values) return;
+      this.directionComponents[name] = {
+        sin: values.map(d => Math.sin(d * Math.PI / 180)),
+        cos: values.map(d => Math.cos(d * Math.PI / 180))
+      };
+    });
+
+    this.validateAxes();
+  }
+
+  validateAxes() {
+    const ascending = axis => axis.every((v, i) => i === 0 || v > axis[i - 1]);
+    if (this.lats.length < 1 || this.lngs.length < 1) {
+      throw new Error('Forcing grid needs at least one latitude and longitude');
+    }
+    if (!ascending(this.lats) || !ascending(this.lngs) || !ascending(this.times)) {
+      throw new Error('Forcing grid axes must be strictly ascending');
+    }
+  }
+
+  hasVariable(name) {
+    return !!this.variables[name];
+  }
+
+  /**
+   * Sample forcing at a location and time
+   * Returns conditions in EnvironmentalManager units, null for unavailable fields
+   * @param {Number} lat - Latitude
+   * @param {Number} lng - Longitude
+   * @param {Number} time - Seconds since simulation start
+   * @returns {Object} - { wind, current, waves, waterTemp }
+   */
+  sample(lat, lng, time) {
+    const result = { wind: null, current: null, waves: null, waterTemp: null };
+
+    const latPos = this.locate(this.lats, lat, false);
+    const lngPos = this.locate(this.lngs, this.gridLongitude(lng), false);
+    if (!latPos || !lngPos) return result;
+
+    // Times outside the grid are held at the nearest frame
+    const timePos = this.locate(this.times, time, true);
+    const at = name => this.interpolate(name, latPos, lngPos, timePos);
+
+    const windU = at('windU');
+    const windV = at('windV');
+    if (!isNaN(windU) && !isNaN(windV)) {
+      const speed = Math.sqrt(windU * windU + windV * windV) * MS_TO_KNOTS;
+      result.wind = { speed, direction: this.vectorDirection(windU, windV), gusts: speed };
+    }
+
+    const currentU = at('currentU');
+    const currentV = at('currentV');
+    if (!isNaN(currentU) && !isNaN(currentV)) {
+      result.current = {
+        speed: Math.sqrt(currentU * currentU + currentV * currentV) * MS_TO_KNOTS,
+        direction: this.vectorDirection(currentU, currentV),
+        variation: 0
+      };
+    }
+
+    const waveHeight = at('waveHeight');
+    if (!isNaN(waveHeight)) {
+      const wavePeriod = at('wavePeriod');
+      result.waves = {
+        height: waveHeight,
+        period: isNaN(wavePeriod) ? 6 : wavePeriod,
+        direction: this.interpolateDirection('waveDirection', latPos, lngPos, timePos)
+      };
+    }
+
+    const sst = at('sst');
+    if (!isNaN(sst)) {
+      result.waterTemp = sst * 9 / 5 + 32;
+    }
+
+    return result;
+  }
+
+  /**
+   * Express a longitude in the grid's convention, so grids given in 0-360
+   * or spanning the antimeridian (e.g. 170 to 190) sample particles whose
+   * longitudes are wrapped to [-180, 180)
+   */
+  gridLongitude(lng) {
+    const west = this.lngs[0];
+    if (lng >= west && lng < west + 360) return lng;
+    return west + ((((lng - west) % 360) + 360) % 360);
+  }
+
+  /**
+   * Find bracketing indices and fraction along an axis
+   * @returns {Object|null} - { i0, i1, f } or null when outside and not clamped
+   */
+  locate(axis, value, clamp) {
+    const n = axis.length;
+    if (n === 1) {
+      return clamp || value === axis[0] ? { i0: 0, i1: 0, f: 0 } : null;
+    }
+    if (value <= axis[0]) {
+      return clamp || value === axis[0] ? { i0: 0, i1: 0, f: 0 } : null;
+    }
+    if (value >= axis[n - 1]) {
+      return clamp || value === axis[n - 1] ? { i0: n - 1, i1: n - 1, f: 0 } : null;
+    }
+
+    // Binary search for the containing interval
+    let lo = 0;
+    let hi = n - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (axis[mid] <= value) lo = mid; else hi = mid;
+    }
+    return { i0: lo, i1: hi, f: (value - axis[lo]) / (axis[hi] - axis[lo]) };
+  }
+
+  index(t, i, j) {
+    return (t * this.lats.length + i) * this.lngs.length + j;
+  }
+
+  /**
+   * Bilinear in space at one time frame
+   * Missing corners are dropped and the remaining weights renormalised
+   */
+  bilinear(values, t, latPos, lngPos) {
+    const corners = [
+      [latPos.i0, lngPos.i0, (1 - latPos.f) * (1 - lngPos.f)],
+      [latPos.i0, lngPos.i1, (1 - latPos.f) * lngPos.f],
+      [latPos.i1, lngPos.i0, latPos.f * (1 - lngPos.f)],
+      [latPos.i1, lngPos.i1, latPos.f * lngPos.f]
+    ];
+
+    let sum = 0;
+    let weight = 0;
+    corners.forEach(([i, j, w]) => {
+      const v = values[this.index(t, i, j)];
+      if (!isNaN(v) && w > 0) {
+        sum += v * w;
+        weight += w;
+      }
+    });
+
+    if (weight === 0) {
+      // Exactly on a grid node with zero-weight neighbours
+      const v = values[this.index(t, latPos.i0, lngPos.i0)];
+      return isNaN(v) ? NaN : v;
+    }
+    return sum / weight;
+  }
+
+  interpolate(name, latPos, lngPos, timePos) {
+    const values = this.variables[name];
+    if (!values) return NaN;
+
+    const v0 = this.bilinear(values, timePos.i0, latPos, lngPos);
+    if (timePos.i0 === timePos.i1 || timePos.f === 0) return v0;
+
+    const v1 = this.bilinear(values, timePos.i1, latPos, lngPos);
+    if (isNaN(v0)) return v1;
+    if (isNaN(v1)) return v0;
+    return v0 + (v1 - v0) * timePos.f;
+  }
+
+  /**
+   * Interpolate a direction field via unit vectors to avoid 359°/1° wraparound
+   */
+  interpolateDirection(name, latPos, lngPos, timePos) {
+    const components = this.directionComponents[name];
+    if (!components) return 0;
+
+    const x = this.interpolateValues(components.sin, latPos, lngPos, timePos);
+    const y = this.interpolateValues(components.cos, latPos, lngPos, timePos);
+    if (isNaN(x) || isNaN(y)) return 0;
+    return this.vectorDirection(x, y);
+  }
+
+  interpolateValues(values, latPos, lngPos, timePos) {
+    const v0 = this.bilinear(values, timePos.i0, latPos, lngPos);
+    if (timePos.i0 === timePos.i1 || timePos.f === 0) return v0;
+    const v1 = this.bilinear(values, timePos.i1, latPos, lngPos);
+    return v0 + (v1 - v0) * timePos.f;
+  }
+
+  /**
+   * Direction of travel (degrees true) for an east/north vector
+   */
+  vectorDirection(u, v) {
+    return (Math.atan2(u, v) * 180 / Math.PI + 360) % 360;
+  }
+
+  /**
+   * Grid extent and coverage summary
+   */
+  describe() {
+    return {
+      source: this.source,
+      bounds: {
+        south: this.lats[0],
+        north: this.lats[this.lats.length - 1],
+        west: this.lngs[0],
+        east: this.lngs[this.lngs.length - 1]
+      },
+      shape: { times: this.times.length, lats: this.lats.length, lngs: this.lngs.length },
+      timeRange: { start: this.times[0], end: this.times[this.times.length - 1] },
+      variables: Object.keys(this.variables)
+    };
+  }
+
+  /**
+   * Plain-object form (round-trips through fromJSON)
+   */
+  toJSON() {
+    const variables = {};
+    Object.entries(this.variables).forEach(([name, values]) => {
+      variables[name] = Array.from(values, v => (isNaN(v) ? null : v));
+    });
+    return {
+      lats: this.lats,
+      lngs: this.lngs,
+      times: this.times,
+      source: this.source,
+      variables
+    };
+  }
+
+  /**
+   * Build from a plain object
+   * `times` may be seconds or ISO strings; ISO times are made relative to
+   * options.startTime (default: the first time in the file)
+   */
+  static fromJSON(data, options = {}) {
+    let times = data.times || [0];
+    if (times.length > 0 && typeof times[0] === 'string') {
+      const origin = new Date(options.startTime || data.startTime || times[0]).getTime();
+      times = times.map(t => (new Date(t).getTime() - origin) / 1000);
+    }
+    return new ForcingField({ ...data, times });
+  }
+
+  /**
+   * Load a forcing grid from a local JSON file
+   */
+  static fromFile(filePath, options = {}) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return ForcingField.fromJSON({ source: `file:${filePath}`, ...data }, options);
+  }
+
+  /**
+   * Build a current field from HFRadarService.getCurrentGrid output
+   * @param {Object|Array} frames - One getCurrentGrid result or an array of them (one per time)
+   * @param {Object} options - { startTime, includeSimulated }
+   */
+  static fromHFRadarGrid(frames, options = {}) {
+    const list = Array.isArray(frames) ? frames : [frames];
+    if (list.length === 0) {
+      throw new Error('No HF Radar grid frames supplied');
+    }
+
+    const { bounds, resolution } = list[0];
+    const round = v => Math.round(v * 1e6) / 1e6;
+    const lats = [];
+    const lngs = [];
+    for (let k = 0; bounds.south + k * resolution <= bounds.north + 1e-9; k++) {
+      lats.push(round(bounds.south + k * resolution));
+    }
+    for (let k = 0; bounds.west + k * resolution <= bounds.east + 1e-9; k++) {
+      lngs.push(round(bounds.west + k * resolution));
+    }
+
+    const origin = new Date(options.startTime || list[0].timestamp).getTime();
+    const times = list.map((frame, i) =>
+      frame.timestamp ? (new Date(frame.timestamp).getTime() - origin) / 1000 : i * 3600
+    );
+
+    const size = times.length * lats.length * lngs.length;
+    const currentU = new Array(size).fill(null);
+    const currentV = new Array(size).fill(null);
+
+    list.forEach((frame, t) => {
+      frame.grid.forEach(row => row.forEach(point => {
+        if (point.quality === 'simulated' && !options.includeSimulated) return;
+        const i = Math.round((point.lat - bounds.south) / resolution);
+        const j = Math.round((point.lng - bounds.west) / resolution);
+        if (i < 0 || i >= lats.length || j < 0 || j >= lngs.length) return;
+        const idx = (t * lats.length + i) * lngs.length + j;
+        currentU[idx] = point.u;
+        currentV[idx] = point.v;
+      }));
+    });
+
+    return new ForcingField({
+      lats,
+      lngs,
+      times,
+      source: 'HF_Radar_Grid',
+      variables: { currentU, currentV }
+    });
+  }
+}
+
+ForcingField.VARIABLES = VARIABLES;
+
+module.exports = ForcingField;
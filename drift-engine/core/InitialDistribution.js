@@ -0,0 +1,376 @@
+/**
+ * InitialDistribution.js
+ * Initial particle positions for the different ways a case can start
+ * (SAROPS-style scenarios)
+ *
+ * Types (config.initialDistribution.type):
+ * - point:       { position } single position (defaults to the LKP)
+ * - multi-point: { points: [{ lat, lng, weight, uncertaintyNm }], allocation } weighted candidate positions
+ *                allocation 'proportional' (default): particle counts follow the weights
+ *                allocation 'equal': every point gets the same number of particles and
+ *                the weights travel as particle probability weights instead, so an
+ *                unlikely scenario is still resolved by a full share of particles
+ * - line:        { points: [{ lat, lng }], crossTrackErrorNm } anywhere along a line / polyline
+ * - polygon:     { vertices: [{ lat, lng }] } anywhere inside an area
+ * - track:       { waypoints: [{ lat, lng, time }], departureTime, arrivalTime, crossTrackErrorNm }
+ *                vessel on a trackline; distress time uniform between departure and arrival
+ *
+ * uncertaintyNm (any type) adds circular-normal position error with that
+ * standard deviation to every sampled position.
+ */
+
+const CoordinateUtils = require('../../utils/CoordinateUtils');
+const SeededRandom = require('./SeededRandom');
+
+const TYPES = ['point', 'multi-point', 'line', 'polygon', 'track'];
+const ALLOCATIONS = ['proportional', 'equal'];
+
+class InitialDistribution {
+  /**
+   * @param {Object} spec - Distribution definition (see above)
+   * @param {Object} options - { lkp, rng }
+   */
+  constructor(spec, options = {}) {
+    this.spec = spec || { type: 'point' };
+    this.type = this.spec.type || 'point';
+    this.uncertaintyNm = this.spec.uncertaintyNm || 0;
+    this.rng = options.rng || new SeededRandom();
+
+    if (!TYPES.includes(this.type)) {
+      throw new Error(`Unknown initial distribution '${this.type}' (expected ${TYPES.join(', ')})`);
+    }
+
+    this.validate(options.lkp);
+  }
+
+  validate(lkp) {
+    const isPosition = p => p && typeof p.lat === 'number' && typeof p.lng === 'number';
+    const requirePositions = (list, min, name) => {
+      if (!Array.isArray(list) || list.length < min || !list.every(isPosition)) {
+        throw new Error(`${this.type} distribution needs at least ${min} ${name} with lat/lng`);
+      }
+    };
+
+    switch (this.type) {
+      case 'point':
+        this.position = this.spec.position || lkp;
+        if (!isPosition(this.position)) {
+          throw new Error('point distribution needs a position or LKP');
+        }
+        break;
+      case 'multi-point':
+        requirePositions(this.spec.points, 1, 'points');
+        if (this.spec.points.some(p => (p.weight ?? 1) < 0)) {
+          throw new Error('multi-point weights must not be negative');
+        }
+        if (this.spec.allocation && !ALLOCATIONS.includes(this.spec.allocation)) {
+          throw new Error(`Unknown multi-point allocation '${this.spec.allocation}' (expected ${ALLOCATIONS.join(', ')})`);
+        }
+        break;
+      case 'line':
+        requirePositions(this.spec.points, 2, 'points');
+        break;
+      case 'polygon':
+        requirePositions(this.spec.vertices, 3, 'vertices');
+        break;
+      case 'track':
+        requirePositions(this.spec.waypoints, 2, 'waypoints');
+        this.timeline = this.buildTimeline();
+        break;
+    }
+  }
+
+  /**
+   * Representative position (used as the LKP when none is given)
+   */
+  getCentroid() {
+    let points;
+    let weights;
+    switch (this.type) {
+      case 'point':
+        return { lat: this.position.lat, lng: this.position.lng };
+      case 'multi-point':
+        points = this.spec.points;
+        weights = points.map(p => p.weight ?? 1);
+        break;
+      case 'polygon':
+        points = this.spec.vertices;
+        break;
+      case 'line':
+        points = this.spec.points;
+        break;
+      case 'track':
+        points = this.spec.waypoints;
+        break;
+    }
+
+    weights = weights || points.map(() => 1);
+    const total = weights.reduce((a, b) => a + b, 0) || 1;
+    return {
+      lat: points.reduce((sum, p, i) => sum + p.lat * weights[i], 0) / total,
+      lng: points.reduce((sum, p, i) => sum + p.lng * weights[i], 0) / total
+    };
+  }
+
+  /**
+   * Draw initial positions
+   * @param {Number} count - Number of particles
+   * @returns {Array} - [{ lat, lng, source, trackTime?, weight? }]
+   */
+  sample(count) {
+    let positions;
+    switch (this.type) {
+      case 'point':
+        positions = this.samplePoint(count);
+        break;
+      case 'multi-point':
+        positions = this.sampleMultiPoint(count);
+        break;
+      case 'line':
+        positions = this.sampleLine(count, this.spec.points, this.spec.crossTrackErrorNm);
+        break;
+      case 'polygon':
+        positions = this.samplePolygon(count);
+        break;
+      case 'track':
+        positions = this.sampleTrack(count);
+        break;
+    }
+
+    return positions.map(p => this.applyUncertainty(p, p.uncertaintyNm ?? this.uncertaintyNm));
+  }
+
+  /**
+   * Single position; without an uncertainty particles fill a 100 m disc
+   */
+  samplePoint(count) {
+    const { lat, lng } = this.position;
+    if (this.uncertaintyNm > 0) {
+      return Array.from({ length: count }, () => ({ lat, lng, source: 'point' }));
+    }
+
+    const radiusKm = 0.1;
+    const positions = [];
+    for (let i = 0; i < count; i++) {
+      // Polar coordinates for even circular distribution
+      const angle = this.rng.next() * 2 * Math.PI;
+      const r = Math.sqrt(this.rng.next()) * radiusKm;
+      positions.push({
+        lat: lat + (r * Math.cos(angle)) / 111.32,
+        lng: lng + (r * Math.sin(angle)) / (111.32 * Math.cos(lat * Math.PI / 180)),
+        source: 'point'
+      });
+    }
+    return positions;
+  }
+
+  /**
+   * Particles split across candidate positions in proportion to weight
+   * (largest-remainder allocation, so counts are exact and reproducible),
+   * or evenly with the weights carried by the particles. Particle weights
+   * average 1 either way.
+   */
+  sampleMultiPoint(count) {
+    const points = this.spec.points;
+    const weights = points.map(p => p.weight ?? 1);
+    const total = weights.reduce((a, b) => a + b, 0);
+    if (total <= 0) {
+      throw new Error('multi-point weights must sum to more than zero');
+    }
+
+    const equal = this.spec.allocation === 'equal';
+    const exact = weights.map(w => (equal ? 1 / points.length : w / total) * count);
+    const counts = exact.map(Math.floor);
+    let remaining = count - counts.reduce((a, b) => a + b, 0);
+    exact
+      .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+      .sort((a, b) => b.remainder - a.remainder)
+      .forEach(({ index }) => {
+        if (remaining > 0) {
+          counts[index]++;
+          remaining--;
+        }
+      });
+
+    const positions = [];
+    points.forEach((point, index) => {
+      // Share of the scenario probability each of this point's particles carries
+      const weight = equal && counts[index] > 0 ? (weights[index] / total) * count / counts[index] : 1;
+      for (let i = 0; i < counts[index]; i++) {
+        positions.push({
+          lat: point.lat,
+          lng: point.lng,
+          source: `point-${index}`,
+          uncertaintyNm: point.uncertaintyNm ?? this.uncertaintyNm,
+          ...(equal ? { weight } : {})
+        });
+      }
+    });
+    return positions;
+  }
+
+  /**
+   * Uniform along a polyline with normal cross-track error
+   */
+  sampleLine(count, points, crossTrackErrorNm = 0) {
+    const legs = this.buildLegs(points);
+    const totalKm = legs.reduce((sum, leg) => sum + leg.lengthKm, 0);
+
+    const positions = [];
+    for (let i = 0; i < count; i++) {
+      const along = this.rng.next() * totalKm;
+      positions.push({
+        ...this.offsetCrossTrack(this.positionAlong(legs, along), crossTrackErrorNm),
+        source: 'line'
+      });
+    }
+    return positions;
+  }
+
+  /**
+   * Uniform inside a polygon (rejection sampling over its bounding box)
+   */
+  samplePolygon(count) {
+    const vertices = this.spec.vertices;
+    const bounds = CoordinateUtils.boundingBox(vertices);
+    const maxAttempts = count * 1000;
+
+    const positions = [];
+    let attempts = 0;
+    while (positions.length < count) {
+      if (++attempts > maxAttempts) {
+        throw new Error('Could not place particles inside polygon (is it degenerate?)');
+      }
+      const candidate = {
+        lat: bounds.south + this.rng.next() * (bounds.north - bounds.south),
+        lng: bounds.west + this.rng.next() * (bounds.east - bounds.west)
+      };
+      if (this.isPointInPolygon(candidate, vertices)) {
+        positions.push({ ...candidate, source: 'polygon' });
+      }
+    }
+    return positions;
+  }
+
+  /**
+   * Vessel track: distress time uniform over the voyage, position where the
+   * vessel would have been at that time, plus cross-track error
+   */
+  sampleTrack(count) {
+    const { legs, startMs, endMs } = this.timeline;
+
+    const positions = [];
+    for (let i = 0; i < count; i++) {
+      const time = startMs + this.rng.next() * (endMs - startMs);
+      const leg = legs.find(l => time <= l.endMs) || legs[legs.length - 1];
+      const fraction = leg.endMs > leg.startMs ? (time - leg.startMs) / (leg.endMs - leg.startMs) : 0;
+      const onTrack = CoordinateUtils.destination(leg.from.lat, leg.from.lng, leg.lengthKm * fraction, leg.bearing);
+
+      positions.push({
+        ...this.offsetCrossTrack({ ...onTrack, bearing: leg.bearing }, this.spec.crossTrackErrorNm),
+        source: 'track',
+        trackTime: new Date(time).toISOString()
+      });
+    }
+    return positions;
+  }
+
+  /**
+   * Times at each waypoint: explicit waypoint times where given, otherwise
+   * constant speed between departure and arrival
+   */
+  buildTimeline() {
+    const waypoints = this.spec.waypoints;
+    const legs = this.buildLegs(waypoints);
+    const totalKm = legs.reduce((sum, leg) => sum + leg.lengthKm, 0);
+
+    const departure = new Date(this.spec.departureTime || waypoints[0].time).getTime();
+    const arrival = new Date(this.spec.arrivalTime || waypoints[waypoints.length - 1].time).getTime();
+    if (isNaN(departure) || isNaN(arrival) || arrival <= departure) {
+      throw new Error('track distribution needs departureTime before arrivalTime');
+    }
+
+    let travelledKm = 0;
+    legs.forEach((leg, i) => {
+      const from = waypoints[i].time ? new Date(waypoints[i].time).getTime() : null;
+      const to = waypoints[i + 1].time ? new Date(waypoints[i + 1].time).getTime() : null;
+      leg.startMs = from ?? departure + (arrival - departure) * (travelledKm / (totalKm || 1));
+      travelledKm += leg.lengthKm;
+      leg.endMs = to ?? departure + (arrival - departure) * (travelledKm / (totalKm || 1));
+    });
+
+    return { legs, startMs: departure, endMs: arrival };
+  }
+
+  buildLegs(points) {
+    const legs = [];
+    for (let i = 0; i < points.length - 1; i++) {
+      const from = points[i];
+      const to = points[i + 1];
+      legs.push({
+        from,
+        to,
+        lengthKm: CoordinateUtils.distance(from.lat, from.lng, to.lat, to.lng),
+        bearing: CoordinateUtils.bearing(from.lat, from.lng, to.lat, to.lng)
+      });
+    }
+    return legs;
+  }
+
+  positionAlong(legs, distanceKm) {
+    let remaining = distanceKm;
+    for (const leg of legs) {
+      if (remaining <= leg.lengthKm) {
+        return { ...CoordinateUtils.destination(leg.from.lat, leg.from.lng, remaining, leg.bearing), bearing: leg.bearing };
+      }
+      remaining -= leg.lengthKm;
+    }
+    const last = legs[legs.length - 1];
+    return { lat: last.to.lat, lng: last.to.lng, bearing: last.bearing };
+  }
+
+  offsetCrossTrack(position, crossTrackErrorNm = 0) {
+    if (!crossTrackErrorNm) {
+      return { lat: position.lat, lng: position.lng };
+    }
+    const offsetKm = this.rng.gaussian(0, CoordinateUtils.nmToKm(crossTrackErrorNm));
+    return CoordinateUtils.destination(position.lat, position.lng, offsetKm, position.bearing + 90);
+  }
+
+  /**
+   * Circular-normal position error
+   */
+  applyUncertainty(position, uncertaintyNm) {
+    const { uncertaintyNm: _, ...rest } = position;
+    if (!uncertaintyNm) return rest;
+
+    const sigmaKm = CoordinateUtils.nmToKm(uncertaintyNm);
+    const dLat = this.rng.gaussian(0, sigmaKm);
+    const dLng = this.rng.gaussian(0, sigmaKm);
+    const distance = Math.sqrt(dLat * dLat + dLng * dLng);
+    const bearing = CoordinateUtils.toDegrees(Math.atan2(dLng, dLat));
+
+    return { ...rest, ...CoordinateUtils.destination(position.lat, position.lng, distance, bearing) };
+  }
+
+  /**
+   * Ray casting point-in-polygon test
+   */
+  isPointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const xi = polygon[i].lat, yi = polygon[i].lng;
+      const xj = polygon[j].lat, yj = polygon[j].lng;
+
+      const intersect = ((yi > point.lng) !== (yj > point.lng)) &&
+        (point.lat < (xj - xi) * (point.lng - yi) / (yj - yi) + xi);
+
+      if (intersect) inside = !inside;
+    }
+    return inside;
+  }
+}
+
+InitialDistribution.TYPES = TYPES;
+
+module.exports = InitialDistribution;
@@ -0,0 +1,145 @@
+/**
+ * ObjectClasses.js
+ * Mixed object populations: one case drifting several kinds of object at
+ * once (e.g. the hull of a capsized boat, its life raft and the people who
+ * were aboard), each with its own share of the particles, leeway object and
+ * survival profile
+ *
+ * config.objects: [{
+ *   id            - unique within the case
+ *   name          - label (default: the id)
+ *   objectType    - leeway catalog id or alias
+ *   share         - relative share of the particles (default: equal shares)
+ *   victimProfile - the person this class stands for (see SurvivalAnalyzer);
+ *                   PIW objects default to an average adult without a PFD and
+ *                   life rafts to the same adult in a raft; any other object
+ *                   carries nobody unless given a profile (null = nobody)
+ *   separation    - { from, hours }: drifts as class `from` (still aboard, or
+ *                   clinging to it) until `hours` after entering the water,
+ *                   and only starts losing heat to the water once separated
+ * }]
+ */
+
+const MAX_CLASSES = 20;
+
+const DEFAULT_VICTIM = { age: 40, hasPFD: false };
+
+class ObjectClasses {
+  /**
+   * @param {Array} objects - config.objects (validated here)
+   */
+  constructor(objects) {
+    if (!Array.isArray(objects) || objects.length === 0 || objects.length > MAX_CLASSES) {
+      throw new Error(`objects must be an array of 1 to ${MAX_CLASSES} object classes`);
+    }
+
+    const ids = objects.map((object, i) => {
+      if (typeof object !== 'object' || object === null) {
+        throw new Error(`objects[${i}] must be an object`);
+      }
+      return object.id !== undefined ? String(object.id) : `object-${i + 1}`;
+    });
+    ids.forEach((id, i) => {
+      if (ids.indexOf(id) !== i) throw new Error(`Duplicate object class id '${id}'`);
+    });
+
+    const shares = objects.map((object, i) => {
+      const share = object.share ?? 1;
+      if (typeof share !== 'number' || !(share > 0)) {
+        throw new Error(`Object class '${ids[i]}' share must be a positive number`);
+      }
+      return share;
+    });
+    const totalShare = shares.reduce((sum, share) => sum + share, 0);
+
+    this.classes = objects.map((object, i) => {
+      const separation = this.validateSeparation(object.separation, ids[i], ids);
+      if (object.victimProfile !== undefined && object.victimProfile !== null &&
+          (typeof object.victimProfile !== 'object' || Array.isArray(object.victimProfile))) {
+        throw new Error(`Object class '${ids[i]}' victimProfile must be an object or null`);
+      }
+
+      return {
+        index: i,
+        id: ids[i],
+        name: object.name || ids[i],
+        objectType: object.objectType,
+        share: shares[i] / totalShare,
+        victimProfile: object.victimProfile,
+        parent: separation ? ids.indexOf(separation.from) : null,
+        separationHours: separation ? separation.hours : null
+      };
+    });
+
+    // One level only: a class separates from something that drifts on its own
+    this.classes.forEach(objectClass => {
+      if (objectClass.parent !== null && this.classes[objectClass.parent].parent !== null) {
+        throw new Error(`Object class '${objectClass.id}' cannot separate from '${this.classes[objectClass.parent].id}', which separates itself`);
+      }
+    });
+  }
+
+  validateSeparation(separation, id, ids) {
+    if (separation === undefined || separation === null) return null;
+    if (typeof separation !== 'object') {
+      throw new Error(`Object class '${id}' separation must be { from, hours }`);
+    }
+    if (!ids.includes(String(separation.from)) || String(separation.from) === id) {
+      throw new Error(`Object class '${id}' separation.from must be another object class id`);
+    }
+    if (typeof separation.hours !== 'number' || !(separation.hours >= 0)) {
+      throw new Error(`Object class '${id}' separation.hours must be a non-negative number`);
+    }
+    return { from: String(separation.from), hours: separation.hours };
+  }
+
+  get size() {
+    return this.classes.length;
+  }
+
+  /**
+   * Survival profile for a class, given its resolved leeway object
+   * @param {Object} objectClass - One of this.classes
+   * @param {Object} leewayObject - LeewayCatalog entry for its objectType
+   * @returns {Object|null} - Victim profile, or null when it carries nobody
+   */
+  victimProfileFor(objectClass, leewayObject) {
+    if (objectClass.victimProfile !== undefined) return objectClass.victimProfile;
+    if (leewayObject?.category === 'piw') return DEFAULT_VICTIM;
+    if (leewayObject?.category === 'life-raft') return { ...DEFAULT_VICTIM, situation: 'raft' };
+    return null;
+  }
+
+  /**
+   * Class index for each of `count` particles
+   * Deals classes in proportion to their shares, interleaved so every class
+   * gets an even spread of source points / release slots
+   * @param {Number} count - Number of particles
+   * @returns {Array} - Class index per particle
+   */
+  assign(count) {
+    const dealt = this.classes.map(() => 0);
+    const assignment = [];
+
+    for (let i = 0; i < count; i++) {
+      // Class furthest behind its share of the particles dealt so far
+      let next = 0;
+      let deficit = -Infinity;
+      this.classes.forEach((objectClass, c) => {
+        const behind = objectClass.share * (i + 1) - dealt[c];
+        if (behind > deficit + 1e-12) {
+          deficit = behind;
+          next = c;
+        }
+      });
+      dealt[next]++;
+      assignment.push(next);
+    }
+
+    return assignment;
+  }
+}
+
+ObjectClasses.MAX_CLASSES = MAX_CLASSES;
+
+module.exports = ObjectClasses;
@@ -2,49 +2,178 @@
  * ParticleEngine.js
  * Manages particle initialization and state tracking for drift simulation
  * Creates 10,000+ particles distributed around Last Known Position (LKP)
+ * or along a trackline / area (see InitialDistribution)
  */
 
+const SeededRandom = require('./SeededRandom');
+const InitialDistribution = require('./InitialDistribution');
+
 class ParticleEngine {
   constructor(config) {
     this.particles = [];
+    this.rng = config.rng || new SeededRandom();
     this.config = {
       count: config.particleCount || 10000,
       lkp: config.lkp, // { lat, lng }
-      objectType: config.objectType || 'person-in-water'
+      objectType: config.objectType || 'person-in-water',
+      initialDistribution: config.initialDistribution || null,
+      startTime: config.startTime || null, // real-world time of simulation t=0
+      incidentWindow: config.incidentWindow || null,
+      ensembleMembers: config.ensembleMembers || 0,
+      objectClasses: config.objectClasses || null // ObjectClasses for mixed populations
     };
     this.initializeParticles();
+    this.assignReleaseTimes();
+    this.assignObjectClasses();
+    this.assignMembers();
   }
 
   /**
-   * Initialize particles in circular distribution around LKP
-   * Uses polar coordinates for even distribution
+   * Resolve an incident window to seconds relative to simulation start
+   * @param {Object} window - { start, end, mode: 'random' | 'continuous' }
+   * @param {String|Number} startTime - Real-world time of t=0 (default: window start)
+   * @returns {Object} - { start, end, mode } in seconds
+   */
+  static resolveIncidentWindow(window, startTime) {
+    const start = new Date(window.start).getTime();
+    const end = new Date(window.end).getTime();
+    if (isNaN(start) || isNaN(end) || end < start) {
+      throw new Error('incidentWindow needs start and end times with end after start');
+    }
+
+    const mode = window.mode || 'random';
+    if (mode !== 'random' && mode !== 'continuous') {
+      throw new Error(`Unknown incidentWindow mode '${mode}' (expected random, continuous)`);
+    }
+
+    const origin = startTime ? new Date(startTime).getTime() : start;
+    return {
+      start: Math.max(0, (start - origin) / 1000),
+      end: Math.max(0, (end - origin) / 1000),
+      mode
+    };
+  }
+
+  /**
+   * Initialize particles from the configured initial distribution
+   * (default: 100 m disc around the LKP)
    */
   initializeParticles() {
-    const radiusKm = 0.1; // Initial spread radius in kilometers
-    
-    for (let i = 0; i < this.config.count; i++) {
-      // Polar coordinates for even circular distribution
-      const angle = Math.random() * 2 * Math.PI;
-      const r = Math.sqrt(Math.random()) * radiusKm;
-      
-      // Convert to lat/lng offsets
-      const offsetLat = (r * Math.cos(angle)) / 111.32; // 1 degree lat ≈ 111.32 km
-      const offsetLng = (r * Math.sin(angle)) / (111.32 * Math.cos(this.config.lkp.lat * Math.PI / 180));
-      
+    const distribution = new InitialDistribution(this.config.initialDistribution, {
+      lkp: this.config.lkp,
+      rng: this.rng
+    });
+
+    distribution.sample(this.config.count).forEach((position, i) => {
       this.particles.push({
         id: i,
-        lat: this.config.lkp.lat + offsetLat,
-        lng: this.config.lkp.lng + offsetLng,
-        status: 'active', // 'active', 'beached', 'recovered'
-        age: 0, // seconds since initialization
+        lat: position.lat,
+        lng: position.lng,
+        source: position.source,
+        trackTime: position.trackTime || null,
+        status: 'active', // 'pending', 'active', 'beached', 'recovered'
+        weight: position.weight ?? 1, // probability weight (scenario share; 1 = one particle's worth)
+        baseWeight: position.weight ?? 1, // scenario weight before survivability
+        releaseTime: 0, // seconds after simulation start the particle enters the water
+        age: 0, // seconds since release
         beachedAt: null,
         recoveredAt: null
       });
+    });
+  }
+
+  /**
+   * Deal particles round-robin to ensemble members, so every member gets
+   * an even share of each source point / release slot - and, counting
+   * separately within each object class, of every class (classes are dealt
+   * by index too, so one shared count would tie each class to one member)
+   */
+  assignMembers() {
+    const members = this.config.ensembleMembers;
+    if (members < 2) return;
+
+    const dealt = new Map(); // object class -> particles dealt so far
+    this.particles.forEach(particle => {
+      const key = particle.objectClass ?? null;
+      const count = dealt.get(key) || 0;
+      particle.member = count % members;
+      dealt.set(key, count + 1);
+    });
+  }
+
+  /**
+   * Split particles between object classes by their shares
+   */
+  assignObjectClasses() {
+    if (!this.config.objectClasses) return;
+
+    const assignment = this.config.objectClasses.assign(this.particles.length);
+    this.particles.forEach((particle, i) => {
+      particle.objectClass = assignment[i];
+    });
+  }
+
+  /**
+   * Spread release times over the incident window
+   * - random: uniform random release across the window
+   * - continuous: evenly spaced releases (slots shuffled so that, e.g.,
+   *   multi-point sources are not released one after another)
+   * Track particles without a window are released at their own distress time.
+   * Particles released after t=0 wait as 'pending'.
+   */
+  assignReleaseTimes() {
+    const { incidentWindow, startTime } = this.config;
+    const origin = startTime ? new Date(startTime).getTime() : null;
+
+    if (incidentWindow) {
+      const window = ParticleEngine.resolveIncidentWindow(incidentWindow, startTime);
+      const span = window.end - window.start;
+      const count = this.particles.length;
+
+      const slots = this.particles.map((_, i) => i);
+      if (window.mode === 'continuous') {
+        for (let i = count - 1; i > 0; i--) {
+          const j = Math.floor(this.rng.next() * (i + 1));
+          [slots[i], slots[j]] = [slots[j], slots[i]];
+        }
+      }
+
+      this.particles.forEach((particle, i) => {
+        particle.releaseTime = window.mode === 'continuous'
+          ? window.start + span * ((slots[i] + 0.5) / count)
+          : window.start + span * this.rng.next();
+      });
+    } else if (origin !== null) {
+      this.particles.forEach(particle => {
+        if (particle.trackTime) {
+          particle.releaseTime = Math.max(0, (new Date(particle.trackTime).getTime() - origin) / 1000);
+        }
+      });
     }
+
+    this.particles.forEach(particle => {
+      if (particle.releaseTime > 0) particle.status = 'pending';
+    });
   }
 
   /**
-   * Get all active particles (not beached or recovered)
+   * Activate pending particles released before the given time
+   * @param {Number} time - Seconds since simulation start
+   * @returns {Number} - Number of particles released
+   */
+  releaseParticles(time) {
+    let released = 0;
+    this.particles.forEach(particle => {
+      if (particle.status === 'pending' && particle.releaseTime < time) {
+        particle.status = 'active';
+        released++;
+      }
+    });
+    return released;
+  }
+
+  /**
+   * Get all active particles (not pending, beached or recovered)
    */
   getActiveParticles() {
     return this.particles.filter(p => p.status === 'active');
@@ -69,13 +198,26 @@ class ParticleEngine {
 
   /**
    * Get particle statistics
+   * `mass` is the probability weight in each state
    */
   getStats() {
+    const massOf = status => this.particles
+      .filter(p => status === undefined || p.status === status)
+      .reduce((sum, p) => sum + p.weight, 0);
+
     return {
       total: this.particles.length,
       active: this.particles.filter(p => p.status === 'active').length,
+      pending: this.particles.filter(p => p.status === 'pending').length,
       beached: this.particles.filter(p => p.status === 'beached').length,
-      recovered: this.particles.filter(p => p.status === 'recovered').length
+      recovered: this.particles.filter(p => p.status === 'recovered').length,
+      mass: {
+        total: massOf(),
+        active: massOf('active'),
+        pending: massOf('pending'),
+        beached: massOf('beached'),
+        recovered: massOf('recovered')
+      }
     };
   }
 }
@@ -0,0 +1,85 @@
+/**
+ * SeededRandom.js
+ * Deterministic pseudo-random number generator for reproducible simulations
+ * Mulberry32: 32-bit state, fast, good enough statistical quality for Monte Carlo drift
+ *
+ * One instance is shared by every module of a simulation, so the same
+ * configuration and seed replay the exact same sequence of draws.
+ */
+
+class SeededRandom {
+  /**
+   * @param {Number|String} seed - Integer or string seed (random when omitted)
+   */
+  constructor(seed) {
+    this.seed = seed === undefined || seed === null
+      ? SeededRandom.generateSeed()
+      : SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Pick a fresh seed for runs that did not request one
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Reduce a number or string seed to an unsigned 32-bit integer
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return Math.floor(Math.abs(seed)) >>> 0;
+    }
+
+    // FNV-1a hash for string seeds (e.g. case numbers)
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Uniform random number in [0, 1) - drop-in for Math.random()
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Uniform random number in [min, max)
+   */
+  uniform(min, max) {
+    return min + (max - min) * this.next();
+  }
+
+  /**
+   * Normally distributed random number (Box-Muller)
+   */
+  gaussian(mean = 0, stdDev = 1) {
+    const u1 = 1 - this.next(); // (0, 1] avoids log(0)
+    const u2 = this.next();
+    return mean + stdDev * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  }
+
+  /**
+   * Current generator state (for checkpointing)
+   */
+  getState() {
+    return this.state;
+  }
+
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
+
+module.exports = SeededRandom;
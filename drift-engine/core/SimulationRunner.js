@@ -0,0 +1,455 @@
+/**
+ * SimulationRunner.js
+ * Builds the drift engine for one simulation and steps it to completion
+ * Self-contained (plain-data inputs, callbacks for output) so it can run in a worker thread
+ */
+
+const ParticleEngine = require('./ParticleEngine');
+const EnvironmentalManager = require('./EnvironmentalManager');
+const ForcingField = require('./ForcingField');
+const SeededRandom = require('./SeededRandom');
+const Ensemble = require('./Ensemble');
+const ObjectClasses = require('./ObjectClasses');
+const StateTransitions = require('./StateTransitions');
+const TimeSteppingSimulator = require('./TimeSteppingSimulator');
+const DensityAnalyzer = require('../analysis/DensityAnalyzer');
+const ProbabilityCalculator = require('../analysis/ProbabilityCalculator');
+const SurvivalAnalyzer = require('../analysis/SurvivalAnalyzer');
+const OriginAnalyzer = require('../analysis/OriginAnalyzer');
+const EnsembleAnalyzer = require('../analysis/EnsembleAnalyzer');
+const LeewayCatalog = require('../physics/LeewayCatalog');
+
+const DEFAULT_TERMINATION_THRESHOLD = 0.05;
+
+class SimulationRunner {
+  /**
+   * @param {Object} record - { id, config, seed }
+   * @param {Object} environment - { provided, forcingField, leewayObject, leewayObjects,
+   *   transitionObjects, ensembleSources } (forcing fields as plain JSON; ensembleSources
+   *   aligned with config.ensemble.sources, leewayObjects with config.objects and
+   *   transitionObjects ({ from, to }) with config.transitions)
+   */
+  constructor(record, environment) {
+    this.id = record.id;
+    this.config = record.config;
+    this.seed = record.seed;
+    this.durationHours = this.config.durationHours || 72; // effective run length
+
+    // One seeded random source drives every stochastic component, so the
+    // same config + seed (+ forcing) reproduces the run bit for bit
+    const rng = new SeededRandom(record.seed);
+
+    this.ensemble = this.config.ensemble ? new Ensemble(this.config.ensemble, rng) : null;
+    this.objectClasses = this.config.objects ? new ObjectClasses(this.config.objects) : null;
+
+    this.particleEngine = new ParticleEngine({
+      particleCount: this.config.particleCount || 10000,
+      lkp: this.config.lkp,
+      objectType: this.config.objectType || 'person-in-water',
+      initialDistribution: this.config.initialDistribution,
+      startTime: this.config.startTime,
+      incidentWindow: this.config.incidentWindow,
+      ensembleMembers: this.ensemble ? this.ensemble.size : 0,
+      objectClasses: this.objectClasses,
+      rng
+    });
+
+    this.envManager = new EnvironmentalManager(this.config.lkp, {
+      provided: environment?.provided || null,
+      forcingField: environment?.forcingField ? ForcingField.fromJSON(environment.forcingField) : null,
+      rng
+    });
+
+    // Ensemble members start from the same generated conditions, swap in
+    // their own data source if they have one, then apply their perturbation
+    this.members = null;
+    let memberEnvironments = null;
+    if (this.ensemble) {
+      this.members = this.ensemble.drawMembers();
+      memberEnvironments = this.members.map(member => {
+        const source = member.source !== null ? environment?.ensembleSources?.[member.source] : null;
+        return new EnvironmentalManager(this.config.lkp, {
+          provided: source ? source.provided : environment?.provided || null,
+          forcingField: source
+            ? (source.forcingField ? ForcingField.fromJSON(source.forcingField) : null)
+            : this.envManager.forcingField,
+          generated: this.envManager.generated,
+          perturbation: member.perturbation,
+          rng
+        });
+      });
+    }
+
+    // Each object class drifts with its own leeway object and survival profile
+    let objectClasses = null;
+    if (this.objectClasses) {
+      objectClasses = this.objectClasses.classes.map((objectClass, i) => {
+        const leewayObject = environment?.leewayObjects?.[i] ||
+          LeewayCatalog.getBuiltin(objectClass.objectType) || LeewayCatalog.getDefault();
+        return {
+          id: objectClass.id,
+          objectType: objectClass.objectType,
+          leewayObject,
+          parent: objectClass.parent,
+          separationSeconds: (objectClass.separationHours || 0) * 3600,
+          victimProfile: this.objectClasses.victimProfileFor(objectClass, leewayObject)
+        };
+      });
+    }
+    // State transitions between leeway objects, on canonical object ids
+    let stateTransitions = null;
+    const stateObjects = {};
+    if (this.config.transitions) {
+      const resolve = (object, idOrAlias) => object || LeewayCatalog.getBuiltin(idOrAlias) || LeewayCatalog.getDefault();
+      const transitions = this.config.transitions.map((transition, i) => {
+        const from = resolve(environment?.transitionObjects?.[i]?.from, transition.from);
+        const to = resolve(environment?.transitionObjects?.[i]?.to, transition.to);
+        stateObjects[from.id] = from;
+        stateObjects[to.id] = to;
+        return { ...transition, from: from.id, to: to.id };
+      });
+      stateTransitions = new StateTransitions(transitions, rng);
+    }
+
+    const carriesPeople = !objectClasses || objectClasses.some(objectClass => objectClass.victimProfile);
+
+    this.simulator = new TimeSteppingSimulator(
+      this.particleEngine,
+      this.envManager,
+      {
+        objectType: this.config.objectType || 'person-in-water',
+        durationHours: this.durationHours,
+        mode: this.config.mode,
+        integration: this.config.integration,
+        outputIntervalSeconds: this.config.outputIntervalSeconds,
+        leeway: this.config.leeway,
+        leewayObject: environment?.leewayObject || null,
+        memberEnvironments,
+        objectClasses,
+        stateTransitions,
+        stateObjects,
+        survival: carriesPeople ? {
+          victimProfile: this.victimProfile(),
+          weighting: Boolean(this.config.weighting?.survivability)
+        } : null,
+        rng
+      }
+    );
+
+    this.startTime = null;
+    this.endTime = null;
+    this.stopRequested = false;
+    this.stopped = false;
+  }
+
+  /**
+   * Victim described in the config, else an average adult without a PFD
+   */
+  victimProfile() {
+    return this.config.victimProfile || { age: 40, hasPFD: false };
+  }
+
+  /**
+   * Ask a running simulation to halt after the current step
+   * Results are still generated from the partial run
+   */
+  stop() {
+    this.stopRequested = true;
+  }
+
+  /**
+   * Step the simulation to completion
+   * @param {Object} callbacks - { onProgress(percent), onSnapshot(snapshot) }
+   * @returns {Object} - Results (see generateResults); partial if stopped
+   */
+  async run(callbacks = {}) {
+    const { onProgress = () => {}, onSnapshot = () => {} } = callbacks;
+
+    this.startTime = Date.now();
+
+    const durationSeconds = Math.round(this.durationHours * 3600);
+    const timeStepSeconds = this.config.integration?.timeStepSeconds || 600; // 10-minute time steps
+    const outputIntervalSeconds = this.config.outputIntervalSeconds || 3600;
+    let reportedSnapshots = 0;
+
+    while (this.simulator.getCurrentTime() < durationSeconds) {
+      if (this.stopRequested) {
+        this.stopped = true;
+        break;
+      }
+
+      // Shorten the step to land exactly on output times and the end of the run
+      const time = this.simulator.getCurrentTime();
+      const nextOutput = (Math.floor(time / outputIntervalSeconds) + 1) * outputIntervalSeconds;
+      this.simulator.step(Math.min(timeStepSeconds, nextOutput - time, durationSeconds - time));
+
+      const snapshots = this.simulator.getSnapshots();
+      for (; reportedSnapshots < snapshots.length; reportedSnapshots++) {
+        onSnapshot(snapshots[reportedSnapshots]);
+      }
+
+      onProgress((this.simulator.getCurrentTime() / durationSeconds) * 100);
+
+      // Yield every step so a stop request is handled promptly
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    this.endTime = Date.now();
+    return this.generateResults();
+  }
+
+  /**
+   * Generate comprehensive results from simulation
+   */
+  generateResults() {
+    const densityAnalyzer = new DensityAnalyzer();
+    const probabilityCalc = new ProbabilityCalculator({ levels: this.config.contourLevels });
+    const survivalAnalyzer = new SurvivalAnalyzer();
+
+    const particles = this.particleEngine.getAllParticles();
+
+    // Analyze particle distribution
+    const density = densityAnalyzer.analyze(particles);
+    const probability = probabilityCalc.calculate(particles);
+
+    // Survival at the incident conditions over the simulated time, and
+    // per snapshot from the water each particle actually drifted through
+    const simulatedHours = this.simulator.getCurrentTime() / 3600;
+    const survival = survivalAnalyzer.analyze(
+      this.victimProfile(),
+      this.envManager.conditions,
+      simulatedHours
+    );
+    const curve = this.survivalCurve();
+    const probabilityNow = curve.length > 1 ? curve[curve.length - 1].probability : survival.probability;
+
+    // Particle statistics
+    const stats = this.particleEngine.getStats();
+    const simulatorStats = this.simulator.getStats();
+
+    const results = {
+      simulationId: this.id,
+      seed: this.seed,
+      mode: this.config.mode === 'backtrack' ? 'backtrack' : 'forward',
+      particles: {
+        total: stats.total,
+        active: stats.active,
+        pending: stats.pending,
+        beached: stats.beached,
+        recovered: stats.recovered,
+        mass: stats.mass
+      },
+      density: {
+        heatMap: density.heatMap,
+        maxDensity: density.maxDensity,
+        totalCells: density.totalCells,
+        gridSize: density.gridSize,
+        totalMass: density.totalMass,
+        beached: density.beached
+      },
+      probability: {
+        polygon50: probability.polygon50,
+        polygon90: probability.polygon90,
+        centroid: probability.centroid,
+        confidence: probability.confidence,
+        beachedFraction: probability.beachedFraction,
+        surface: probability.surface,
+        contours: probability.contours
+      },
+      survival: {
+        probability: probabilityNow,
+        hoursInWater: simulatedHours,
+        timeRemaining: survival.timeRemaining,
+        functionalTimeRemaining: survival.functionalTimeRemaining,
+        functionalTime: survival.functionalTime,
+        survivalTime: survival.survivalTime,
+        hypothermiaStage: survival.hypothermiaStage,
+        coreTemperature: survival.coreTemperature,
+        urgency: survivalAnalyzer.urgencyFor(probabilityNow),
+        recommendations: survival.recommendations,
+        curve,
+        termination: this.terminationPoint(curve)
+      },
+      leeway: this.objectClasses
+        ? { ...this.simulator.leewayCalc.getDivergenceStats(particles), objectType: null, objectName: 'Mixed objects' }
+        : this.simulator.leewayCalc.getDivergenceStats(particles),
+      beaching: {
+        total: simulatorStats.totalBeached,
+        mass: stats.mass.beached,
+        locations: simulatorStats.beachingLocations
+      },
+      environmental: {
+        ...this.envManager.conditions,
+        sources: this.envManager.metadata
+      },
+      snapshots: this.simulator.getSnapshots(),
+      partial: this.stopped,
+      duration: {
+        simulated: this.stopped
+          ? this.simulator.getCurrentTime() / 3600
+          : this.durationHours,
+        requested: this.durationHours,
+        elapsed: (this.endTime - this.startTime) / 1000
+      }
+    };
+
+    if (this.simulator.stateTransitions) {
+      const summary = this.simulator.stateSummary(particles.filter(p => p.status !== 'pending'));
+      results.transitions = {
+        definitions: this.simulator.stateTransitions.transitions.map(({ index, ...t }) => t),
+        states: summary.states,
+        total: summary.transitions.total,
+        byTransition: summary.transitions.byTransition
+      };
+    }
+
+    if (this.objectClasses) {
+      // density / probability above are the combined map over every class
+      results.objects = this.analyzeObjectClasses(particles, densityAnalyzer, probabilityCalc);
+    }
+
+    if (this.ensemble) {
+      // density / probability above already combine every member's particles
+      results.ensemble = new EnsembleAnalyzer().analyze(
+        particles,
+        this.simulator.getSnapshots(),
+        this.members,
+        this.config.ensemble.sources
+      );
+    }
+
+    if (results.mode === 'backtrack') {
+      const window = this.config.originWindow || {};
+      results.origin = new OriginAnalyzer().analyze(
+        this.simulator.getSnapshots(),
+        {
+          minHours: window.minHours ?? 0,
+          maxHours: window.maxHours ?? results.duration.simulated
+        },
+        simulatorStats.shoreOrigins
+      );
+    }
+
+    return results;
+  }
+
+  /**
+   * Per-class probability maps, leeway and survival for mixed populations
+   * @returns {Array} - [{ id, name, objectType, objectName, share, separation, particles,
+   *   mass, density, probability, leeway, survival }] (survival null for classes carrying nobody)
+   */
+  analyzeObjectClasses(particles, densityAnalyzer, probabilityCalc) {
+    return this.simulator.objectClasses.map((objectClass, index) => {
+      const definition = this.objectClasses.classes[index];
+      const own = particles.filter(p => p.objectClass === index);
+      const density = densityAnalyzer.analyze(own);
+      const probability = probabilityCalc.calculate(own);
+
+      let survival = null;
+      if (objectClass.victimProfile && this.simulator.survival) {
+        const curve = this.survivalCurve(snapshot => snapshot.objects?.[index]?.survival);
+        survival = {
+          victimProfile: objectClass.victimProfile,
+          probability: curve.length > 1 ? curve[curve.length - 1].probability : 1,
+          curve,
+          termination: this.terminationPoint(curve)
+        };
+      }
+
+      return {
+        id: objectClass.id,
+        name: definition.name,
+        objectType: objectClass.leewayObject.id,
+        objectName: objectClass.leewayObject.name,
+        share: definition.share,
+        separation: definition.parent !== null
+          ? { from: this.objectClasses.classes[definition.parent].id, hours: definition.separationHours }
+          : null,
+        particles: own.length,
+        mass: own.reduce((sum, p) => sum + p.weight, 0),
+        density: {
+          heatMap: density.heatMap,
+          maxDensity: density.maxDensity,
+          totalCells: density.totalCells,
+          gridSize: density.gridSize,
+          totalMass: density.totalMass,
+          beached: density.beached
+        },
+        probability: {
+          polygon50: probability.polygon50,
+          polygon90: probability.polygon90,
+          centroid: probability.centroid,
+          confidence: probability.confidence,
+          beachedFraction: probability.beachedFraction,
+          surface: probability.surface,
+          contours: probability.contours
+        },
+        leeway: this.simulator.leewayCalcs[index].getDivergenceStats(own),
+        survival
+      };
+    });
+  }
+
+  /**
+   * Survival probability per snapshot (hour 0 = everyone alive)
+   * @param {Function} select - Picks the survival summary from a snapshot
+   *   (default: every person in the case)
+   * @returns {Array} - [{ hour, time, probability, waterTemp, hoursInWater, censored }]
+   */
+  survivalCurve(select = snapshot => snapshot.survival) {
+    if (this.config.mode === 'backtrack') return [];
+
+    const origin = this.config.startTime ? new Date(this.config.startTime).getTime() : null;
+    const timeAt = hour => (origin !== null ? new Date(origin + hour * 3600000).toISOString() : null);
+
+    return [
+      {
+        hour: 0,
+        time: timeAt(0),
+        probability: 1,
+        waterTemp: this.envManager.conditions.waterTemp,
+        hoursInWater: 0,
+        censored: false
+      },
+      ...this.simulator.getSnapshots()
+        .filter(s => select(s))
+        .map(s => ({ hour: s.hour, time: timeAt(s.hour), ...select(s) }))
+    ];
+  }
+
+  /**
+   * Search-termination guidance: when survival first drops below the
+   * configured threshold (config.survival.terminationThreshold, default 5%),
+   * interpolated between snapshots. Indeterminate while any survival time
+   * behind the curve is censored: the model then only says the person
+   * outlasts its horizon, which is no grounds for calling off a search.
+   * @returns {Object} - { threshold, reached, indeterminate, hour, time } (null when backtracking)
+   */
+  terminationPoint(curve) {
+    if (curve.length === 0) return null;
+
+    const threshold = this.config.survival?.terminationThreshold ?? DEFAULT_TERMINATION_THRESHOLD;
+    const below = curve.findIndex(point => point.probability < threshold);
+    if ((below === -1 ? curve : curve.slice(0, below + 1)).some(point => point.censored)) {
+      return { threshold, reached: false, indeterminate: true, hour: null, time: null };
+    }
+    if (below <= 0) {
+      return { threshold, reached: false, indeterminate: false, hour: null, time: null };
+    }
+
+    const a = curve[below - 1];
+    const b = curve[below];
+    const hour = a.hour + (b.hour - a.hour) * (a.probability - threshold) / (a.probability - b.probability);
+    return {
+      threshold,
+      reached: true,
+      indeterminate: false,
+      hour,
+      time: this.config.startTime
+        ? new Date(new Date(this.config.startTime).getTime() + hour * 3600000).toISOString()
+        : null
+    };
+  }
+}
+
+module.exports = SimulationRunner;
@@ -0,0 +1,104 @@
+/**
+ * StateTransitions.js
+ * Probabilistic changes of leeway object while drifting: a vessel capsizes,
+ * a raft loses its drogue, a PIW lets go of a cooler
+ *
+ * config.transitions: [{
+ *   from        - leeway catalog id or alias of the state left
+ *   to          - leeway catalog id or alias of the state entered
+ *   ratePerHour - chance per hour a particle in `from` makes the change
+ *   name        - label (default 'from -> to')
+ * }]
+ *
+ * Each particle carries its current state (a leeway object id) and drifts
+ * with that object's coefficients. Every step a particle in a state with
+ * outgoing transitions changes with probability 1 - (1 - R)^dt, R the summed
+ * hourly rate (capped at 1); with several ways out, the target is drawn in
+ * proportion to the rates. States are followed through any chain of
+ * transitions (vessel -> swamped -> capsized).
+ */
+
+const SeededRandom = require('./SeededRandom');
+
+const MAX_TRANSITIONS = 20;
+
+class StateTransitions {
+  /**
+   * @param {Array} transitions - config.transitions (validated here); from / to
+   *   should already be canonical object ids when used in a run
+   * @param {SeededRandom} rng - Shared simulation random source
+   */
+  constructor(transitions, rng) {
+    this.rng = rng || new SeededRandom();
+
+    if (!Array.isArray(transitions) || transitions.length === 0 || transitions.length > MAX_TRANSITIONS) {
+      throw new Error(`transitions must be an array of 1 to ${MAX_TRANSITIONS} state transitions`);
+    }
+
+    this.transitions = transitions.map((transition, i) => {
+      if (typeof transition !== 'object' || transition === null) {
+        throw new Error(`transitions[${i}] must be an object`);
+      }
+      if (typeof transition.from !== 'string' || typeof transition.to !== 'string' || !transition.from || !transition.to) {
+        throw new Error(`transitions[${i}] needs from and to object types`);
+      }
+      if (transition.from === transition.to) {
+        throw new Error(`transitions[${i}] must change to a different object type`);
+      }
+      const rate = transition.ratePerHour;
+      if (typeof rate !== 'number' || !(rate > 0 && rate <= 1)) {
+        throw new Error(`transitions[${i}] ratePerHour must be between 0 (exclusive) and 1`);
+      }
+
+      return {
+        index: i,
+        name: transition.name || `${transition.from} -> ${transition.to}`,
+        from: transition.from,
+        to: transition.to,
+        ratePerHour: rate
+      };
+    });
+
+    // Ways out of each state
+    this.outgoing = new Map();
+    this.transitions.forEach(transition => {
+      if (!this.outgoing.has(transition.from)) this.outgoing.set(transition.from, []);
+      this.outgoing.get(transition.from).push(transition);
+    });
+  }
+
+  /**
+   * Every object id a particle can be in through these transitions
+   */
+  get states() {
+    return [...new Set(this.transitions.flatMap(t => [t.from, t.to]))];
+  }
+
+  /**
+   * Possibly move a particle to a new state over one time step
+   * @param {Object} particle - Particle carrying its current `state`
+   * @param {Number} deltaHours - Step length in hours
+   * @returns {Object|null} - The transition made, or null
+   */
+  advance(particle, deltaHours) {
+    const ways = this.outgoing.get(particle.state);
+    if (!ways || deltaHours <= 0) return null;
+
+    const rate = Math.min(1, ways.reduce((sum, t) => sum + t.ratePerHour, 0));
+    const probability = 1 - Math.pow(1 - rate, deltaHours);
+    if (this.rng.next() >= probability) return null;
+
+    let transition = ways[0];
+    if (ways.length > 1) {
+      let pick = this.rng.next() * ways.reduce((sum, t) => sum + t.ratePerHour, 0);
+      transition = ways.find(t => (pick -= t.ratePerHour) < 0) || ways[ways.length - 1];
+    }
+
+    particle.state = transition.to;
+    return transition;
+  }
+}
+
+StateTransitions.MAX_TRANSITIONS = MAX_TRANSITIONS;
+
+module.exports = StateTransitions;
@@ -9,6 +9,26 @@
  * - Surf zone processes
  * - Land exclusion
  * - HF Radar and ADCIRC integration
+ * - Euler, RK2 or RK4 integration with adaptive sub-stepping (config.integration)
+ * - Geodesic displacement (Geodesy): drift is latitude-correct and wraps
+ *   across the antimeridian
+ * - Ensembles (config.memberEnvironments): each particle drifts through its
+ *   ensemble member's EnvironmentalManager
+ * - Backtracking (config.mode = 'backtrack'): reverse-time drift from where
+ *   an object was found; forcing is sampled backwards in time and negated,
+ *   nothing beaches, and particles reaching land are kept as possible
+ *   shore origins
+ * - Survival tracking (config.survival = { victimProfile, weighting }): each
+ *   particle accumulates cold exposure from the water temperature it drifts
+ *   through and snapshots carry the resulting survival probability; with
+ *   weighting on, particles' weights also fall with the chance the person
+ *   is still alive
+ * - Mixed object populations (config.objectClasses): each particle drifts
+ *   with its class's leeway object (its parent's until it separates) and
+ *   survival profile
+ * - State transitions (config.stateTransitions): particles change leeway
+ *   object at random while drifting (capsizing, swamping, losing a drogue);
+ *   snapshots report how many are in each state and how many changed
  */
 
 const WindDriftCalculator = require('../physics/WindDriftCalculator');
@@ -17,20 +37,46 @@ const WaveDriftCalculator = require('../physics/WaveDriftCalculator');
 const LeewayCalculator = require('../physics/LeewayCalculator');
 const DiffusionCalculator = require('../physics/DiffusionCalculator');
 const ShallowWaterPhysics = require('../physics/ShallowWaterPhysics');
+const Geodesy = require('../physics/Geodesy');
+const SurvivalAnalyzer = require('../analysis/SurvivalAnalyzer');
+const SeededRandom = require('./SeededRandom');
 
 class TimeSteppingSimulator {
   constructor(particleEngine, environmentalManager, config) {
     this.particleEngine = particleEngine;
     this.environmentalManager = environmentalManager;
+    this.memberEnvironments = config.memberEnvironments || null; // indexed by particle.member
     this.config = config;
+    this.rng = config.rng || new SeededRandom();
     
-    // Initialize physics calculators
+    // Initialize physics calculators (all draw from the shared random source)
     this.windCalc = new WindDriftCalculator();
     this.currentCalc = new CurrentDriftCalculator();
-    this.waveCalc = new WaveDriftCalculator();
-    this.leewayCalc = new LeewayCalculator(config.objectType);
-    this.diffusionCalc = new DiffusionCalculator();
-    this.shallowWaterPhysics = new ShallowWaterPhysics();
+    this.waveCalc = new WaveDriftCalculator(this.rng);
+    this.leewayCalc = new LeewayCalculator(config.objectType, this.rng, {
+      ...config.leeway,
+      object: config.leewayObject
+    });
+
+    // Mixed populations: [{ id, objectType, leewayObject, parent, separationSeconds, victimProfile }]
+    // indexed by particle.objectClass, each class with its own leeway calculator
+    this.objectClasses = config.objectClasses || null;
+    this.leewayCalcs = this.objectClasses
+      ? this.objectClasses.map(objectClass => new LeewayCalculator(objectClass.objectType, this.rng, {
+        ...config.leeway,
+        object: objectClass.leewayObject
+      }))
+      : null;
+
+    // Leeway per transition state (config.stateObjects: { id: leewayObject })
+    this.stateTransitions = config.stateTransitions || null;
+    this.stateLeeway = new Map();
+    Object.values(config.stateObjects || {}).forEach(object => {
+      this.stateLeeway.set(object.id, new LeewayCalculator(object.id, this.rng, { ...config.leeway, object }));
+    });
+
+    this.diffusionCalc = new DiffusionCalculator(this.rng);
+    this.shallowWaterPhysics = new ShallowWaterPhysics(this.rng);
     
     // External services (injected)
     this.bathymetryService = config.bathymetryService || null;
@@ -38,148 +84,497 @@ class TimeSteppingSimulator {
     this.hfRadarService = config.hfRadarService || null;
     this.adcircService = config.adcircService || null;
     
-    this.currentTime = 0;
+    this.backtrack = config.mode === 'backtrack';
+    this.direction = this.backtrack ? -1 : 1; // sign applied to deterministic drift
+
+    // Integration scheme and adaptive sub-stepping
+    this.integration = {
+      scheme: 'euler', // 'euler', 'rk2' or 'rk4'
+      adaptive: false,
+      minStepSeconds: 30,
+      shoreDepth: 20, // meters; sub-step inside this depth
+      maxShoreStepKm: 0.1, // max drift per sub-step near shore
+      shearToleranceKm: 0.05, // max velocity change x step length
+      ...config.integration
+    };
+    this.outputIntervalSeconds = config.outputIntervalSeconds || 3600;
+
+    // Survival only makes sense forward in time
+    this.survival = !this.backtrack && config.survival ? config.survival : null;
+    // Model survival at least as far as the run goes, so warm-water survival
+    // times are censored beyond the run rather than at the default horizon
+    this.survivalAnalyzer = this.survival
+      ? new SurvivalAnalyzer({
+        horizonHours: Math.max(SurvivalAnalyzer.DEFAULT_HORIZON_HOURS, Math.ceil(config.durationHours || 0))
+      })
+      : null;
+
+    this.currentTime = 0; // seconds elapsed (backwards from the find when backtracking)
     this.snapshots = [];
     
     // Statistics
     this.stats = {
       totalBeached: 0,
       beachingLocations: [],
+      shoreOrigins: [],
       shallowWaterEncounters: 0,
       surfZoneEncounters: 0,
       landExclusions: 0,
-      reflections: 0
+      reflections: 0,
+      subSteps: 0
     };
     
     // Depth cache for performance
     this.depthCache = new Map();
+
+    // Every particle starts in its own object's state
+    if (this.stateTransitions) {
+      // Running counts (total, since the last snapshot, per transition)
+      this.stats.stateChanges = {
+        total: 0,
+        thisInterval: 0,
+        byTransition: this.stateTransitions.transitions.map(() => 0)
+      };
+      particleEngine.getAllParticles().forEach(particle => {
+        particle.state = (this.objectClasses
+          ? this.leewayCalcs[particle.objectClass]
+          : this.leewayCalc).object.id;
+        particle.stateChanges = 0;
+      });
+    }
   }
 
   /**
    * Advance simulation by deltaSeconds
    */
   step(deltaSeconds) {
+    const stepEnd = this.currentTime + deltaSeconds;
+
+    // Particles whose release time falls within this step start drifting now
+    this.particleEngine.releaseParticles(stepEnd);
     const particles = this.particleEngine.getActiveParticles();
-    const deltaHours = deltaSeconds / 3600;
 
-    this.environmentalManager.updateConditions(this.currentTime);
+    (this.memberEnvironments || [this.environmentalManager]).forEach(
+      environment => environment.updateConditions(this.currentTime)
+    );
 
     particles.forEach(particle => {
-      if (particle.status !== 'active') return;
+      // A particle released part-way through the step only drifts for the remainder
+      let time = Math.max(this.currentTime, particle.releaseTime);
+
+      // Adaptive sub-steps near shore / in strong shear
+      while (time < stepEnd && particle.status === 'active') {
+        const seconds = this.chooseSubStep(particle, time, stepEnd - time);
+        this.advanceParticle(particle, time, seconds);
+        time += seconds;
+      }
+    });
 
-      const env = this.environmentalManager.getConditionsAt(
-        particle.lat, particle.lng, this.currentTime
-      );
+    if (this.survival) {
+      this.trackSurvival(particles);
+    }
 
-      // Get depth at particle location
-      const depth = this.getDepthAt(particle.lat, particle.lng);
-      particle.depth = depth;
+    this.currentTime = stepEnd;
+    
+    // Snapshots at the output interval (hourly by default)
+    if (this.currentTime % this.outputIntervalSeconds === 0) {
+      this.snapshots.push(this.createSnapshot());
+    }
+  }
 
-      // === CALCULATE ALL DRIFT COMPONENTS ===
-      
-      // 1. Wind drift
-      const windDrift = this.windCalc.calculate(env.wind, deltaHours);
-      
-      // 2. Current drift (may be enhanced by HF Radar/ADCIRC)
-      let currentDrift = this.currentCalc.calculate(env.current, deltaHours);
+  /**
+   * Move one particle over [time, time + seconds]
+   */
+  advanceParticle(particle, time, seconds) {
+    const deltaHours = seconds / 3600;
+
+    // Get depth at particle location
+    const depth = this.getDepthAt(particle.lat, particle.lng);
+    particle.depth = depth;
+
+    if (this.objectClasses) {
+      this.separate(particle);
+    }
+    if (this.stateTransitions && !this.isAttached(particle)) {
+      this.changeState(particle, deltaHours);
+    }
+
+    // Per-step random draws are fixed before integrating so every
+    // integrator stage sees the same realisation
+    this.leewayFor(particle).advance(particle, deltaHours);
+    const environment = this.environmentFor(particle);
+    const noise = {
+      conditions: environment.drawVariation(),
+      waveSpread: this.waveCalc.drawSpread()
+    };
+
+    // Sampled per particle: gridded forcing varies in space and time
+    const env = environment.getConditionsAt(
+      particle.lat, particle.lng, this.forcingTime(time), noise.conditions
+    );
+    particle.waterTemp = env.waterTemp;
+
+    // === WIND, CURRENT, WAVE AND LEEWAY DRIFT (integrated) ===
+    const drift = this.integrate(particle, time, seconds, env, noise);
+    let totalLatDrift = drift.lat;
+    let totalLngDrift = drift.lng;
+
+    // === SHALLOW WATER MODIFICATIONS ===
+    if (depth < 20) {
+      this.stats.shallowWaterEncounters++;
       
-      // 3. Wave drift (Stokes)
-      const waveDrift = this.waveCalc.calculate(env.waves, deltaHours);
+      // Add bathymetry gradient to environment
+      env.bathymetryGradient = this.getBathymetryGradient(particle.lat, particle.lng);
       
-      // 4. Leeway (object-specific wind effect)
-      const leeway = this.leewayCalc.calculate(env.wind, deltaHours);
-
-      // Sum base drift
-      let totalLatDrift = windDrift.lat + currentDrift.lat + waveDrift.lat + leeway.lat;
-      let totalLngDrift = windDrift.lng + currentDrift.lng + waveDrift.lng + leeway.lng;
-
-      // === SHALLOW WATER MODIFICATIONS ===
-      if (depth < 20) {
-        this.stats.shallowWaterEncounters++;
-        
-        // Add bathymetry gradient to environment
-        env.bathymetryGradient = this.getBathymetryGradient(particle.lat, particle.lng);
-        
-        // Get shore info for tidal asymmetry
-        const shoreInfo = this.getShoreInfo(particle.lat, particle.lng);
-        if (shoreInfo) {
-          env.tidal = env.tidal || {};
-          env.tidal.shoreDirection = shoreInfo.direction;
-          env.tidal.phase = this.calculateTidalPhase();
-          env.waves.shoreNormal = shoreInfo.shoreNormal;
-        }
+      // Get shore info for tidal asymmetry
+      const shoreInfo = this.getShoreInfo(particle.lat, particle.lng);
+      if (shoreInfo) {
+        env.tidal = env.tidal || {};
+        env.tidal.shoreDirection = shoreInfo.direction;
+        env.tidal.phase = this.calculateTidalPhase();
+        env.waves.shoreNormal = shoreInfo.shoreNormal;
+      }
 
-        // Calculate all shallow water effects
-        const shallowEffects = this.shallowWaterPhysics.calculate(
-          particle, env, depth, deltaHours
-        );
+      // Calculate all shallow water effects
+      const shallowEffects = this.shallowWaterPhysics.calculate(
+        particle, env, depth, deltaHours
+      );
 
-        totalLatDrift += shallowEffects.lat;
-        totalLngDrift += shallowEffects.lng;
+      totalLatDrift += shallowEffects.lat;
+      totalLngDrift += shallowEffects.lng;
 
-        // Track surf zone
-        if (depth <= 5) {
-          this.stats.surfZoneEncounters++;
-        }
+      // Track surf zone
+      if (depth <= 5) {
+        this.stats.surfZoneEncounters++;
+      }
 
-        // Check beaching from shallow water processes
-        if (shallowEffects.beachingProbability > 0) {
-          if (Math.random() < shallowEffects.beachingProbability) {
-            this.beachParticle(particle, depth, shallowEffects.effects);
-            return;
-          }
+      // Check beaching from shallow water processes
+      // (in reverse time an object leaves the shore rather than beaching)
+      if (!this.backtrack && shallowEffects.beachingProbability > 0) {
+        if (this.rng.next() < shallowEffects.beachingProbability) {
+          this.beachParticle(particle, depth, shallowEffects.effects);
+          return;
         }
       }
+    }
+
+    // Reverse time: run the deterministic drift backwards. Diffusion is
+    // symmetric, so it still spreads particles in either direction
+    totalLatDrift *= this.direction;
+    totalLngDrift *= this.direction;
 
-      // === APPLY RANDOM DIFFUSION ===
-      const diffusion = this.calculateDiffusion(deltaHours);
-      totalLatDrift += diffusion.lat;
-      totalLngDrift += diffusion.lng;
+    // === APPLY RANDOM DIFFUSION ===
+    const diffusion = this.calculateDiffusion(deltaHours, particle);
+    totalLatDrift += diffusion.lat;
+    totalLngDrift += diffusion.lng;
 
-      // === CALCULATE NEW POSITION ===
-      const newLat = particle.lat + totalLatDrift;
-      const newLng = particle.lng + totalLngDrift;
+    // === CALCULATE NEW POSITION ===
+    const { lat: newLat, lng: newLng } = Geodesy.move(particle, totalLatDrift, totalLngDrift);
 
-      // === LAND EXCLUSION CHECK ===
-      const newDepth = this.getDepthAt(newLat, newLng);
+    // === LAND EXCLUSION CHECK ===
+    const newDepth = this.getDepthAt(newLat, newLng);
+    
+    if (newDepth <= 0) {
+      // Particle would be on land
+      this.stats.landExclusions++;
       
-      if (newDepth <= 0) {
-        // Particle would be on land
-        this.stats.landExclusions++;
-        
-        const shoreType = this.getShoreType(newLat, newLng);
-        const shoreNormal = this.getShoreNormal(particle.lat, particle.lng);
-        
-        const interaction = this.shallowWaterPhysics.checkShoreInteraction(
-          particle, shoreType, depth, shoreNormal
-        );
-
-        if (interaction.beached) {
-          this.beachParticle(particle, depth, ['land_contact'], shoreType);
-          return;
-        } else if (interaction.reflected && interaction.newPosition) {
-          // Reflect off shore
-          particle.lat = interaction.newPosition.lat;
-          particle.lng = interaction.newPosition.lng;
-          particle.reflectionCount = (particle.reflectionCount || 0) + 1;
-          this.stats.reflections++;
-        }
-        // If neither, particle stays at current position (blocked)
-      } else {
-        // Safe to move
-        particle.lat = newLat;
-        particle.lng = newLng;
+      const shoreType = this.getShoreType(newLat, newLng);
+
+      if (this.backtrack) {
+        // Backwards into land: the object may have entered the water here
+        this.markShoreOrigin(particle, depth, shoreType);
+        return;
+      }
+
+      const shoreNormal = this.getShoreNormal(particle.lat, particle.lng);
+      
+      const interaction = this.shallowWaterPhysics.checkShoreInteraction(
+        particle, shoreType, depth, shoreNormal
+      );
+
+      if (interaction.beached) {
+        this.beachParticle(particle, depth, ['land_contact'], shoreType);
+        return;
+      } else if (interaction.reflected && interaction.newPosition) {
+        // Reflect off shore
+        particle.lat = interaction.newPosition.lat;
+        particle.lng = interaction.newPosition.lng;
+        particle.reflectionCount = (particle.reflectionCount || 0) + 1;
+        this.stats.reflections++;
       }
+      // If neither, particle stays at current position (blocked)
+    } else {
+      // Safe to move
+      particle.lat = newLat;
+      particle.lng = newLng;
+    }
+
+    particle.age += seconds;
+  }
 
-      particle.age += deltaSeconds;
+  /**
+   * Add this step's time in the water to each particle's cold exposure
+   * (hours over the survival time predicted for the water it is in) and
+   * update its survival probability. Survival never rises again: warmer
+   * water slows the cold's toll but does not undo it. Particles that beached
+   * during the step count their time afloat, then keep the survival (and
+   * weight) they came ashore with.
+   */
+  trackSurvival(particles) {
+    particles.forEach(particle => {
+      const profile = this.victimProfileFor(particle);
+      if (!profile || particle.waterTemp === undefined || this.isAttached(particle)) return;
+      const conditions = { ...this.environmentFor(particle).conditions, waterTemp: particle.waterTemp };
+      const prediction = this.survivalAnalyzer.predictionFor(profile, conditions);
+
+      particle.exposure = (particle.exposure || 0) +
+        (particle.age - (particle.exposureAge || 0)) / 3600 / prediction.survivalTime.estimate;
+      particle.exposureAge = particle.age;
+      particle.survival = Math.min(
+        particle.survival ?? 1,
+        this.survivalAnalyzer.survivalFromExposure(prediction, particle.exposure)
+      );
+      particle.survivalCensored = prediction.survivalTime.censored;
+
+      if (this.survival.weighting) {
+        particle.weight = particle.baseWeight * particle.survival;
+      }
     });
+  }
 
-    this.currentTime += deltaSeconds;
-    
-    // Hourly snapshots
-    if (this.currentTime % 3600 === 0) {
-      this.snapshots.push(this.createSnapshot());
+  /**
+   * Survival across released particles standing for a person, each counted
+   * at its scenario weight: the chance the person is still alive if the run
+   * is right about where they drifted
+   * @returns {Object} - { probability, waterTemp (°F, mean afloat), hoursInWater (mean),
+   *   censored (some person's survival time lies beyond the model horizon) }
+   */
+  survivalSummary(particles) {
+    let mass = 0;
+    let alive = 0;
+    let hours = 0;
+    let afloat = 0;
+    let waterTemp = 0;
+    let censored = false;
+
+    particles.forEach(p => {
+      if (p.status === 'pending' || !this.victimProfileFor(p)) return;
+      if (p.survivalCensored) censored = true;
+      mass += p.baseWeight;
+      alive += p.baseWeight * (p.survival ?? 1);
+      hours += p.baseWeight * p.age / 3600;
+      if (p.status === 'active' && p.waterTemp !== undefined) {
+        afloat += p.baseWeight;
+        waterTemp += p.baseWeight * p.waterTemp;
+      }
+    });
+
+    return {
+      probability: mass > 0 ? alive / mass : 1,
+      waterTemp: afloat > 0 ? waterTemp / afloat : null,
+      hoursInWater: mass > 0 ? hours / mass : 0,
+      censored
+    };
+  }
+
+  /**
+   * Leeway calculator driving a particle: its object class's, or the class
+   * it has not yet separated from
+   */
+  leewayFor(particle) {
+    if (this.isAttached(particle)) {
+      return this.leewayCalcs[this.objectClasses[particle.objectClass].parent];
     }
+    if (this.stateLeeway.has(particle.state)) return this.stateLeeway.get(particle.state);
+    return this.objectClasses ? this.leewayCalcs[particle.objectClass] : this.leewayCalc;
+  }
+
+  /**
+   * Let a particle make one of the configured state transitions; it then
+   * draws fresh leeway errors for its new object
+   */
+  changeState(particle, deltaHours) {
+    const transition = this.stateTransitions.advance(particle, deltaHours);
+    if (!transition) return;
+
+    particle.leeway = null;
+    particle.stateChanges++;
+    const counts = this.stats.stateChanges;
+    counts.total++;
+    counts.thisInterval++;
+    counts.byTransition[transition.index]++;
+  }
+
+  /**
+   * Particle count and mass per state, and the changes made so far
+   * @param {Array} particles - Released particles
+   * @returns {Object} - { states: { id: { count, mass } }, transitions: { total,
+   *   thisInterval (since the last snapshot), byTransition: [{ name, from, to, count }] } }
+   */
+  stateSummary(particles) {
+    const states = {};
+    particles.forEach(p => {
+      if (!states[p.state]) states[p.state] = { count: 0, mass: 0 };
+      states[p.state].count++;
+      states[p.state].mass += p.weight;
+    });
+
+    const counts = this.stats.stateChanges;
+    return {
+      states,
+      transitions: {
+        total: counts.total,
+        thisInterval: counts.thisInterval,
+        byTransition: this.stateTransitions.transitions.map(t => ({
+          name: t.name,
+          from: t.from,
+          to: t.to,
+          count: counts.byTransition[t.index]
+        }))
+      }
+    };
+  }
+
+  /**
+   * Whether a particle still drifts with the object its class separates from
+   */
+  isAttached(particle) {
+    return Boolean(this.objectClasses) &&
+      this.objectClasses[particle.objectClass].parent !== null && !particle.separated;
+  }
+
+  /**
+   * Let go of the parent object once the class's separation time is reached:
+   * the particle draws fresh leeway errors for its own object and starts
+   * losing heat to the water from here
+   */
+  separate(particle) {
+    if (!this.isAttached(particle) ||
+        particle.age < this.objectClasses[particle.objectClass].separationSeconds) return;
+
+    particle.separated = true;
+    particle.leeway = null;
+    particle.exposureAge = particle.age;
+  }
+
+  /**
+   * Survival profile for the person a particle stands for (null for objects
+   * that carry nobody)
+   */
+  victimProfileFor(particle) {
+    if (!this.objectClasses) return this.survival.victimProfile || {};
+    return this.objectClasses[particle.objectClass].victimProfile;
+  }
+
+  /**
+   * Environmental manager driving a particle (its ensemble member's, if any)
+   */
+  environmentFor(particle) {
+    return this.memberEnvironments ? this.memberEnvironments[particle.member] : this.environmentalManager;
+  }
+
+  /**
+   * Forcing time for an elapsed simulation time (negative when backtracking)
+   */
+  forcingTime(time) {
+    return this.direction * time;
+  }
+
+  /**
+   * Drift velocity (degrees per hour, forward in time) from wind, current,
+   * waves and leeway at a position and time
+   * @param {Object} env - Conditions already sampled at this point (optional)
+   */
+  driftVelocity(particle, lat, lng, time, noise, env = null) {
+    const conditions = env || this.environmentFor(particle).getConditionsAt(
+      lat, lng, this.forcingTime(time), noise.conditions
+    );
+
+    const position = { lat, lng };
+    const wind = this.windCalc.calculate(conditions.wind, 1, position);
+    const current = this.currentCalc.calculate(conditions.current, 1, position);
+    const wave = this.waveCalc.calculate(conditions.waves, 1, position, noise.waveSpread);
+    const leeway = this.leewayFor(particle).calculate(conditions.wind, 1, particle, position);
+
+    return {
+      lat: wind.lat + current.lat + wave.lat + leeway.lat,
+      lng: wind.lng + current.lng + wave.lng + leeway.lng
+    };
+  }
+
+  /**
+   * Integrate the deterministic drift over one (sub-)step
+   * Intermediate stages sample forcing at the intermediate positions and
+   * times. Returns the displacement forward in time (the caller applies the
+   * backtracking sign).
+   * @returns {Object} - { lat, lng } displacement in degrees
+   */
+  integrate(particle, time, seconds, env, noise) {
+    const h = seconds / 3600;
+    const dir = this.direction;
+    const at = (k, fraction) => {
+      const stage = Geodesy.move(particle, dir * k.lat * h * fraction, dir * k.lng * h * fraction);
+      return this.driftVelocity(particle, stage.lat, stage.lng, time + seconds * fraction, noise);
+    };
+
+    const k1 = this.driftVelocity(particle, particle.lat, particle.lng, time, noise, env);
+
+    switch (this.integration.scheme) {
+      case 'rk2': {
+        // Midpoint method
+        const k2 = at(k1, 0.5);
+        return { lat: k2.lat * h, lng: k2.lng * h };
+      }
+      case 'rk4': {
+        const k2 = at(k1, 0.5);
+        const k3 = at(k2, 0.5);
+        const k4 = at(k3, 1);
+        return {
+          lat: (k1.lat + 2 * k2.lat + 2 * k3.lat + k4.lat) * h / 6,
+          lng: (k1.lng + 2 * k2.lng + 2 * k3.lng + k4.lng) * h / 6
+        };
+      }
+      default:
+        return { lat: k1.lat * h, lng: k1.lng * h };
+    }
+  }
+
+  /**
+   * Pick the next sub-step length (whole seconds)
+   * Halves the step while the particle is near shore and would move further
+   * than maxShoreStepKm, or while the drift velocity changes by more than
+   * shearToleranceKm over the step (strong tidal / shear currents)
+   */
+  chooseSubStep(particle, time, maxSeconds) {
+    const { adaptive, shoreDepth, maxShoreStepKm, shearToleranceKm } = this.integration;
+    // Never below a second, or halving would reach a zero-length step
+    const minStepSeconds = Math.max(1, this.integration.minStepSeconds || 0);
+    if (!adaptive || maxSeconds <= minStepSeconds) return maxSeconds;
+
+    const nearShore = this.getDepthAt(particle.lat, particle.lng) < shoreDepth;
+    const noise = { conditions: null, waveSpread: 0 }; // estimate without sub-grid noise
+    const v0 = this.driftVelocity(particle, particle.lat, particle.lng, time, noise);
+    const speedKmh = Geodesy.offsetKm(particle, v0.lat, v0.lng);
+
+    let seconds = maxSeconds;
+    while (seconds > minStepSeconds) {
+      const h = seconds / 3600;
+
+      if (nearShore && speedKmh * h > maxShoreStepKm) {
+        seconds = Math.max(minStepSeconds, Math.floor(seconds / 2));
+        continue;
+      }
+
+      const end = Geodesy.move(particle, this.direction * v0.lat * h, this.direction * v0.lng * h);
+      const v1 = this.driftVelocity(particle, end.lat, end.lng, time + seconds, noise);
+      const changeKm = Geodesy.offsetKm(particle, v1.lat - v0.lat, v1.lng - v0.lng) * h;
+      if (changeKm <= shearToleranceKm) break;
+
+      seconds = Math.max(minStepSeconds, Math.floor(seconds / 2));
+    }
+
+    if (seconds < maxSeconds) this.stats.subSteps++;
+    return seconds;
   }
 
   /**
@@ -203,6 +598,24 @@ class TimeSteppingSimulator {
     });
   }
 
+  /**
+   * Stop a backtracked particle at the shore as a possible origin
+   */
+  markShoreOrigin(particle, depth, shoreType = 'unknown') {
+    particle.status = 'shore-origin';
+    particle.shoreOriginAt = this.currentTime;
+    particle.beachType = shoreType;
+
+    this.stats.shoreOrigins.push({
+      lat: particle.lat,
+      lng: particle.lng,
+      time: this.currentTime,
+      hour: this.currentTime / 3600,
+      depth,
+      shoreType
+    });
+  }
+
   /**
    * Get depth at location (with caching)
    */
@@ -215,7 +628,7 @@ class TimeSteppingSimulator {
     
     // Simulate depth based on distance from typical shore
     // In production, would use BathymetryService
-    const depth = 20 + Math.random() * 30;
+    const depth = 20 + this.rng.next() * 30;
     
     this.depthCache.set(key, depth);
     return depth;
@@ -227,10 +640,10 @@ class TimeSteppingSimulator {
   getBathymetryGradient(lat, lng) {
     // Simplified gradient - would use BathymetryService
     return {
-      dzdx: (Math.random() - 0.5) * 0.01,
-      dzdy: (Math.random() - 0.5) * 0.01,
-      magnitude: Math.random() * 0.01,
-      direction: Math.random() * 360
+      dzdx: (this.rng.next() - 0.5) * 0.01,
+      dzdy: (this.rng.next() - 0.5) * 0.01,
+      magnitude: this.rng.next() * 0.01,
+      direction: this.rng.next() * 360
     };
   }
 
@@ -240,9 +653,9 @@ class TimeSteppingSimulator {
   getShoreInfo(lat, lng) {
     // Simplified - would use CoastlineService
     return {
-      distance: 5 + Math.random() * 10,
-      direction: Math.random() * 360,
-      shoreNormal: Math.random() * 360
+      distance: 5 + this.rng.next() * 10,
+      direction: this.rng.next() * 360,
+      shoreNormal: this.rng.next() * 360
     };
   }
 
@@ -251,14 +664,14 @@ class TimeSteppingSimulator {
    */
   getShoreType(lat, lng) {
     const types = ['sandy', 'rocky', 'muddy', 'marsh'];
-    return types[Math.floor(Math.random() * types.length)];
+    return types[Math.floor(this.rng.next() * types.length)];
   }
 
   /**
    * Get shore normal direction
    */
   getShoreNormal(lat, lng) {
-    return Math.random() * 360;
+    return this.rng.next() * 360;
   }
 
   /**
@@ -266,21 +679,20 @@ class TimeSteppingSimulator {
    */
   calculateTidalPhase() {
     const tidalPeriod = 44712; // M2 tide in seconds
-    return (this.currentTime % tidalPeriod) / tidalPeriod;
+    const time = this.direction * this.currentTime;
+    return (((time % tidalPeriod) + tidalPeriod) % tidalPeriod) / tidalPeriod;
   }
 
   /**
    * Calculate random diffusion
+   * @param {Object} position - { lat, lng } of the particle
    */
-  calculateDiffusion(deltaHours) {
+  calculateDiffusion(deltaHours, position) {
     const diffusionRate = 0.001;
     const distance = Math.sqrt(diffusionRate * deltaHours);
-    const angle = Math.random() * 2 * Math.PI;
+    const angle = this.rng.next() * 360;
     
-    return {
-      lat: (distance * Math.cos(angle)) / 111.32,
-      lng: (distance * Math.sin(angle)) / 111.32
-    };
+    return Geodesy.offset(position, distance, angle);
   }
 
   /**
@@ -290,17 +702,21 @@ class TimeSteppingSimulator {
     const particles = this.particleEngine.getAllParticles();
     const active = particles.filter(p => p.status === 'active');
     const beached = particles.filter(p => p.status === 'beached');
+    const pending = particles.filter(p => p.status === 'pending');
+    const shoreOrigin = particles.filter(p => p.status === 'shore-origin');
     
-    // Calculate centroid of active particles
-    let centroid = null;
-    if (active.length > 0) {
-      centroid = {
-        lat: active.reduce((sum, p) => sum + p.lat, 0) / active.length,
-        lng: active.reduce((sum, p) => sum + p.lng, 0) / active.length
-      };
-    }
+    // Weighted centroid of active particles
+    const massOf = group => group.reduce((sum, p) => sum + p.weight, 0);
+    const centroidOf = group => {
+      const mass = massOf(group);
+      return mass > 0 ? {
+        lat: group.reduce((sum, p) => sum + p.lat * p.weight, 0) / mass,
+        lng: group.reduce((sum, p) => sum + p.lng * p.weight, 0) / mass
+      } : null;
+    };
+    const centroid = centroidOf(active);
 
-    return {
+    const snapshot = {
       time: this.currentTime,
       hour: this.currentTime / 3600,
       centroid,
@@ -309,17 +725,64 @@ class TimeSteppingSimulator {
         lat: p.lat,
         lng: p.lng,
         status: p.status,
-        depth: p.depth
+        depth: p.depth,
+        ...(p.weight !== 1 ? { weight: p.weight } : {}),
+        ...(p.member !== undefined ? { member: p.member } : {}),
+        ...(p.objectClass !== undefined ? { objectClass: p.objectClass } : {}),
+        ...(p.state !== undefined ? { state: p.state } : {})
       })),
       stats: {
         active: active.length,
         beached: beached.length,
+        pending: pending.length,
+        shoreOrigin: shoreOrigin.length,
+        released: particles.length - pending.length,
         total: particles.length,
+        mass: {
+          active: massOf(active),
+          beached: massOf(beached),
+          pending: massOf(pending),
+          total: massOf(particles)
+        },
         beachedThisHour: this.stats.beachingLocations.filter(
           b => b.hour === this.currentTime / 3600
         ).length
       }
     };
+
+    if (this.survival) {
+      snapshot.survival = this.survivalSummary(particles);
+    }
+
+    if (this.stateTransitions) {
+      Object.assign(snapshot.stats, this.stateSummary(particles.filter(p => p.status !== 'pending')));
+      this.stats.stateChanges.thisInterval = 0;
+    }
+
+    // Per-class centroids (and survival, for classes carrying a person)
+    if (this.objectClasses) {
+      snapshot.objects = this.objectClasses.map((objectClass, index) => {
+        const own = particles.filter(p => p.objectClass === index);
+        const ownActive = own.filter(p => p.status === 'active');
+        return {
+          id: objectClass.id,
+          active: ownActive.length,
+          mass: massOf(own),
+          centroid: centroidOf(ownActive),
+          ...(this.survival && objectClass.victimProfile ? { survival: this.survivalSummary(own) } : {})
+        };
+      });
+    }
+
+    // Per-member centroids for ensemble runs
+    if (this.memberEnvironments) {
+      snapshot.members = this.memberEnvironments.map((_, member) => {
+        const own = active.filter(p => p.member === member);
+        return { member, active: own.length, centroid: centroidOf(own) };
+      });
+    }
+
+    return snapshot;
   }
 
   getSnapshots() { return this.snapshots; }
@@ -333,4 +796,6 @@ class TimeSteppingSimulator {
   }
 }
 
+TimeSteppingSimulator.INTEGRATORS = ['euler', 'rk2', 'rk4'];
+
 module.exports = TimeSteppingSimulator;
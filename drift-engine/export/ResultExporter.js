@@ -0,0 +1,372 @@
+/**
+ * ResultExporter.js
+ * Converts simulation results into GIS formats (GeoJSON, KML, CSV)
+ * so they load directly into Google Earth, ArcGIS and QGIS
+ *
+ * Exported features:
+ * - lkp: last known position (at simulation start)
+ * - probability: 50% / 90% containment polygons (at final time)
+ * - contour: highest-density region at each contour level, as multi-part
+ *   polygons with holes (at final time)
+ * - density: heat map grid cells as square polygons (at final time)
+ * - shoreline: cells holding beached probability mass (at final time)
+ * - particle: particle positions for every hourly snapshot
+ * - beaching: where and when particles came ashore
+ * - origin: origin probability cells (backtracking runs only)
+ *
+ * Backtracking runs count time backwards from the find, so their
+ * timestamps run backwards from startTime too.
+ */
+
+const FORMATS = {
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+  csv: { contentType: 'text/csv', extension: 'csv' }
+};
+
+const KML_STYLES = {
+  lkp: { icon: 'http://maps.google.com/mapfiles/kml/paddle/red-stars.png' },
+  probability50: { line: 'ff0000ff', fill: '400000ff' },
+  probability90: { line: 'ff00a5ff', fill: '2000a5ff' },
+  contour: { line: 'ff00ffff', fill: '1800ffff' },
+  density: { line: '00000000', fill: '6014b4ff' },
+  shoreline: { line: '00000000', fill: '6000d7ff' },
+  origin: { line: '00000000', fill: '60ff7800' },
+  particle: { icon: 'http://maps.google.com/mapfiles/kml/shapes/shaded_dot.png', scale: 0.3 },
+  beaching: { icon: 'http://maps.google.com/mapfiles/kml/shapes/triangle.png', scale: 0.6 }
+};
+
+class ResultExporter {
+  /**
+   * @param {Object} options - { includeParticles } (default true; particle
+   *   positions dominate export size for large runs)
+   */
+  constructor(options = {}) {
+    this.includeParticles = options.includeParticles !== false;
+  }
+
+  static get formats() {
+    return Object.keys(FORMATS);
+  }
+
+  /**
+   * Export results in the requested format
+   * @param {String} format - 'geojson', 'kml' or 'csv'
+   * @param {Object} results - Simulation results (see SimulationRunner.generateResults)
+   * @param {Object} context - { simulationId, lkp, startTime } where startTime is
+   *   the real-world time of simulation hour 0 (Date, ISO string or ms)
+   * @returns {Object} - { contentType, filename, body }
+   */
+  export(format, results, context) {
+    const name = String(format || 'geojson').toLowerCase();
+    const spec = FORMATS[name];
+    if (!spec) {
+      throw new Error(`Unsupported export format '${format}' (expected ${ResultExporter.formats.join(', ')})`);
+    }
+
+    const features = this.collectFeatures(results, context);
+    let body;
+    if (name === 'geojson') {
+      body = JSON.stringify(this.toGeoJSON(features, context));
+    } else if (name === 'kml') {
+      body = this.toKML(features, context);
+    } else {
+      body = this.toCSV(features);
+    }
+
+    return {
+      contentType: spec.contentType,
+      filename: `${context.simulationId}.${spec.extension}`,
+      body
+    };
+  }
+
+  /**
+   * Build the format-neutral feature list
+   * Geometry coordinates are [lng, lat] (GeoJSON order); rings are closed
+   */
+  collectFeatures(results, context) {
+    const origin = new Date(context.startTime).getTime();
+    const sign = results.mode === 'backtrack' ? -1 : 1;
+    const at = seconds => new Date(origin + sign * seconds * 1000).toISOString();
+    const finalSeconds = (results.duration?.simulated || 0) * 3600;
+    const features = [];
+
+    if (context.lkp) {
+      features.push({
+        kind: 'lkp',
+        name: results.mode === 'backtrack' ? 'Found Position' : 'Last Known Position',
+        geometry: { type: 'Point', coordinates: [context.lkp.lng, context.lkp.lat] },
+        time: at(0),
+        hour: 0,
+        properties: {}
+      });
+    }
+
+    [[50, results.probability?.polygon50], [90, results.probability?.polygon90]].forEach(([level, polygon]) => {
+      if (!polygon || polygon.length < 3) return;
+      features.push({
+        kind: 'probability',
+        name: `${level}% Probability Area`,
+        geometry: { type: 'Polygon', coordinates: [this.closeRing(polygon.map(p => [p.lng, p.lat]))] },
+        time: at(finalSeconds),
+        hour: finalSeconds / 3600,
+        properties: { level }
+      });
+    });
+
+    (results.probability?.contours || []).forEach(contour => {
+      if (contour.parts.length === 0) return;
+      const ring = points => this.closeRing(points.map(p => [p.lng, p.lat]));
+      features.push({
+        kind: 'contour',
+        name: `${Math.round(contour.level * 100)}% Highest-Density Region`,
+        geometry: {
+          type: 'MultiPolygon',
+          coordinates: contour.parts.map(part => [ring(part.outer), ...part.holes.map(ring)])
+        },
+        time: at(finalSeconds),
+        hour: finalSeconds / 3600,
+        properties: { level: contour.level, probability: contour.probability, areaKm2: contour.areaKm2 }
+      });
+    });
+
+    const cellFeatures = (kind, label, grid, seconds) => {
+      const half = (grid?.gridSize || 0.01) / 2;
+      (grid?.heatMap || []).forEach(cell => {
+        features.push({
+          kind,
+          name: `${label} ${cell.count}`,
+          geometry: {
+            type: 'Polygon',
+            coordinates: [this.closeRing([
+              [cell.lng - half, cell.lat - half],
+              [cell.lng + half, cell.lat - half],
+              [cell.lng + half, cell.lat + half],
+              [cell.lng - half, cell.lat + half]
+            ])]
+          },
+          time: at(seconds),
+          hour: seconds / 3600,
+          properties: { count: cell.count, mass: cell.mass, weight: cell.weight, probability: cell.probability }
+        });
+      });
+    };
+
+    cellFeatures('density', 'Density', results.density, finalSeconds);
+    if (results.density?.beached) {
+      cellFeatures('shoreline', 'Beached', { ...results.density.beached, gridSize: results.density.gridSize }, finalSeconds);
+    }
+    if (results.origin) {
+      cellFeatures('origin', 'Origin', results.origin, (results.origin.window.maxHours || 0) * 3600);
+    }
+
+    if (this.includeParticles) {
+      (results.snapshots || []).forEach(snapshot => {
+        snapshot.particles.forEach(p => {
+          features.push({
+            kind: 'particle',
+            name: `Particle ${p.id}`,
+            geometry: { type: 'Point', coordinates: [p.lng, p.lat] },
+            time: at(snapshot.time),
+            hour: snapshot.hour,
+            properties: {
+              particleId: p.id,
+              status: p.status,
+              ...(p.weight !== undefined ? { mass: p.weight } : {}),
+              ...(p.member !== undefined ? { member: p.member } : {})
+            }
+          });
+        });
+      });
+    }
+
+    (results.beaching?.locations || []).forEach((b, i) => {
+      features.push({
+        kind: 'beaching',
+        name: `Beaching ${i + 1}`,
+        geometry: { type: 'Point', coordinates: [b.lng, b.lat] },
+        time: at(b.time),
+        hour: b.hour,
+        properties: { shoreType: b.shoreType, depth: b.depth }
+      });
+    });
+
+    return features;
+  }
+
+  closeRing(ring) {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+  }
+
+  /**
+   * GeoJSON FeatureCollection (RFC 7946)
+   */
+  toGeoJSON(features, context) {
+    return {
+      type: 'FeatureCollection',
+      properties: {
+        simulationId: context.simulationId,
+        startTime: new Date(context.startTime).toISOString()
+      },
+      features: features.map(f => ({
+        type: 'Feature',
+        geometry: f.geometry,
+        properties: {
+          featureType: f.kind,
+          name: f.name,
+          time: f.time,
+          hour: f.hour,
+          ...f.properties
+        }
+      }))
+    };
+  }
+
+  /**
+   * KML 2.2 document with one folder per feature type
+   * Particles are grouped into one folder per snapshot hour for the time slider
+   */
+  toKML(features, context) {
+    const folders = new Map();
+    const addToFolder = (name, placemark) => {
+      if (!folders.has(name)) folders.set(name, []);
+      folders.get(name).push(placemark);
+    };
+
+    features.forEach(f => {
+      const placemark = this.kmlPlacemark(f);
+      if (f.kind === 'lkp') addToFolder('Last Known Position', placemark);
+      else if (f.kind === 'probability') addToFolder('Probability Areas', placemark);
+      else if (f.kind === 'contour') addToFolder('Highest-Density Regions', placemark);
+      else if (f.kind === 'density') addToFolder('Density', placemark);
+      else if (f.kind === 'shoreline') addToFolder('Beached Probability', placemark);
+      else if (f.kind === 'origin') addToFolder('Origin Probability', placemark);
+      else if (f.kind === 'particle') addToFolder(`Particles/Hour ${f.hour}`, placemark);
+      else addToFolder('Beaching', placemark);
+    });
+
+    // Nest "Particles/Hour N" folders under a single Particles folder
+    const topLevel = [];
+    const particleFolders = [];
+    folders.forEach((placemarks, name) => {
+      const [parent, child] = name.split('/');
+      const folder = `<Folder><name>${this.escapeXml(child || parent)}</name>${placemarks.join('')}</Folder>`;
+      if (child) particleFolders.push(folder); else topLevel.push(folder);
+    });
+    if (particleFolders.length > 0) {
+      topLevel.push(`<Folder><name>Particles</name>${particleFolders.join('')}</Folder>`);
+    }
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+      `<name>${this.escapeXml(`Drift simulation ${context.simulationId}`)}</name>` +
+      this.kmlStyles() +
+      topLevel.join('') +
+      '</Document></kml>\n';
+  }
+
+  kmlStyles() {
+    return Object.entries(KML_STYLES).map(([id, style]) => {
+      const icon = style.icon
+        ? `<IconStyle><scale>${style.scale || 1}</scale><Icon><href>${style.icon}</href></Icon></IconStyle>`
+        : '';
+      const line = style.line ? `<LineStyle><color>${style.line}</color><width>2</width></LineStyle>` : '';
+      const fill = style.fill ? `<PolyStyle><color>${style.fill}</color></PolyStyle>` : '';
+      return `<Style id="${id}">${icon}${line}${fill}</Style>`;
+    }).join('');
+  }
+
+  kmlPlacemark(feature) {
+    const style = feature.kind === 'probability' ? `probability${feature.properties.level}` : feature.kind;
+    const coords = points => points.map(([lng, lat]) => `${lng},${lat}`).join(' ');
+
+    const polygon = ([outer, ...holes]) => '<Polygon><outerBoundaryIs><LinearRing><coordinates>' +
+      coords(outer) +
+      '</coordinates></LinearRing></outerBoundaryIs>' +
+      holes.map(hole => '<innerBoundaryIs><LinearRing><coordinates>' +
+        coords(hole) +
+        '</coordinates></LinearRing></innerBoundaryIs>').join('') +
+      '</Polygon>';
+
+    let geometry;
+    if (feature.geometry.type === 'Point') {
+      geometry = `<Point><coordinates>${coords([feature.geometry.coordinates])}</coordinates></Point>`;
+    } else if (feature.geometry.type === 'MultiPolygon') {
+      geometry = `<MultiGeometry>${feature.geometry.coordinates.map(polygon).join('')}</MultiGeometry>`;
+    } else {
+      geometry = polygon(feature.geometry.coordinates);
+    }
+
+    const data = Object.entries({ featureType: feature.kind, hour: feature.hour, ...feature.properties })
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `<Data name="${key}"><value>${this.escapeXml(String(value))}</value></Data>`)
+      .join('');
+
+    return '<Placemark>' +
+      `<name>${this.escapeXml(feature.name)}</name>` +
+      `<TimeStamp><when>${feature.time}</when></TimeStamp>` +
+      `<styleUrl>#${style}</styleUrl>` +
+      `<ExtendedData>${data}</ExtendedData>` +
+      geometry +
+      '</Placemark>';
+  }
+
+  escapeXml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * CSV with one row per feature
+   * Points fill lat/lng; every row carries a WKT geometry for GIS import
+   */
+  toCSV(features) {
+    const propertyColumns = [];
+    features.forEach(f => Object.keys(f.properties).forEach(key => {
+      if (!propertyColumns.includes(key)) propertyColumns.push(key);
+    }));
+
+    const header = ['featureType', 'name', 'time', 'hour', 'lat', 'lng', ...propertyColumns, 'wkt'];
+    const rows = features.map(f => {
+      const point = f.geometry.type === 'Point' ? f.geometry.coordinates : null;
+      return [
+        f.kind,
+        f.name,
+        f.time,
+        f.hour,
+        point ? point[1] : '',
+        point ? point[0] : '',
+        ...propertyColumns.map(key => f.properties[key]),
+        this.toWKT(f.geometry)
+      ].map(value => this.csvValue(value)).join(',');
+    });
+
+    return [header.join(','), ...rows].join('\n') + '\n';
+  }
+
+  toWKT(geometry) {
+    if (geometry.type === 'Point') {
+      return `POINT (${geometry.coordinates.join(' ')})`;
+    }
+    const rings = polygon => polygon.map(ring => `(${ring.map(c => c.join(' ')).join(', ')})`).join(', ');
+    if (geometry.type === 'MultiPolygon') {
+      return `MULTIPOLYGON (${geometry.coordinates.map(polygon => `(${rings(polygon)})`).join(', ')})`;
+    }
+    return `POLYGON (${rings(geometry.coordinates)})`;
+  }
+
+  csvValue(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+module.exports = ResultExporter;
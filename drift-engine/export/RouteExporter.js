@@ -0,0 +1,117 @@
+/**
+ * RouteExporter.js
+ * Converts generated search patterns into routes for aircraft and vessel
+ * navigation systems (GPX 1.1) and GIS (GeoJSON)
+ *
+ * GPX: one <rte> with a <rtept> per waypoint (commence search point first)
+ * GeoJSON: the route as a LineString plus one Point per waypoint
+ */
+
+const FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' }
+};
+
+class RouteExporter {
+  static get formats() {
+    return Object.keys(FORMATS);
+  }
+
+  /**
+   * Export a search pattern
+   * @param {String} format - 'gpx' or 'geojson'
+   * @param {Object} route - SearchPatternGenerator output
+   * @param {Object} context - { simulationId }
+   * @returns {Object} - { contentType, filename, body }
+   */
+  export(format, route, context) {
+    const name = String(format || 'gpx').toLowerCase();
+    const spec = FORMATS[name];
+    if (!spec) {
+      throw new Error(`Unsupported route format '${format}' (expected ${RouteExporter.formats.join(', ')})`);
+    }
+
+    const body = name === 'gpx'
+      ? this.toGPX(route, context)
+      : JSON.stringify(this.toGeoJSON(route, context));
+
+    return {
+      contentType: spec.contentType,
+      filename: `${context.simulationId}-${route.code.toLowerCase()}.${spec.extension}`,
+      body
+    };
+  }
+
+  toGeoJSON(route, context) {
+    const properties = {
+      simulationId: context.simulationId,
+      name: route.name,
+      pattern: route.pattern,
+      code: route.code,
+      unitType: route.unitType,
+      trackSpacingNm: route.trackSpacingNm,
+      speedKnots: route.speedKnots,
+      trackLengthNm: route.totals.trackLengthNm,
+      durationHours: route.totals.durationHours,
+      driftCompensated: route.drift.applied
+    };
+
+    return {
+      type: 'FeatureCollection',
+      properties,
+      features: [
+        {
+          type: 'Feature',
+          geometry: { type: 'LineString', coordinates: route.waypoints.map(w => [w.lng, w.lat]) },
+          properties: { featureType: 'route', ...properties }
+        },
+        ...route.waypoints.map(w => ({
+          type: 'Feature',
+          geometry: { type: 'Point', coordinates: [w.lng, w.lat] },
+          properties: {
+            featureType: w.seq === 1 ? 'commence-search-point' : 'waypoint',
+            seq: w.seq,
+            elapsedMinutes: w.elapsedMinutes,
+            time: w.time
+          }
+        }))
+      ]
+    };
+  }
+
+  toGPX(route, context) {
+    const points = route.waypoints.map(w => {
+      const label = w.seq === 1 ? 'CSP' : `${route.code}${String(w.seq).padStart(2, '0')}`;
+      const time = w.time ? `<time>${w.time}</time>` : '';
+      return `<rtept lat="${w.lat}" lon="${w.lng}">${time}<name>${label}</name></rtept>`;
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<gpx version="1.1" creator="RescueGPS Drift Engine" xmlns="http://www.topografix.com/GPX/1/1">' +
+      `<metadata><name>${this.escapeXml(`Search pattern ${context.simulationId}`)}</name></metadata>` +
+      '<rte>' +
+      `<name>${this.escapeXml(route.name)}</name>` +
+      `<desc>${this.escapeXml(this.describe(route))}</desc>` +
+      `<type>${this.escapeXml(route.unitType)}</type>` +
+      points +
+      '</rte></gpx>\n';
+  }
+
+  describe(route) {
+    const drift = route.drift.applied
+      ? `, drift-compensated ${route.drift.speedKnots.toFixed(2)} kn toward ${Math.round(route.drift.direction)}°`
+      : '';
+    return `${route.code} pattern, track spacing ${route.trackSpacingNm} NM at ${route.speedKnots} kn${drift}`;
+  }
+
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+module.exports = RouteExporter;
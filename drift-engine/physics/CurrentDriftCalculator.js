@@ -4,6 +4,8 @@
  * Currents are the primary drift force in most marine SAR scenarios
  */
 
+const Geodesy = require('./Geodesy');
+
 class CurrentDriftCalculator {
   constructor() {
     this.currentFactor = 1.0; // Currents directly move objects at their speed
@@ -13,25 +15,18 @@ class CurrentDriftCalculator {
    * Calculate current-induced drift
    * @param {Object} current - { speed (knots), direction (degrees) }
    * @param {Number} deltaHours - Time step in hours
+   * @param {Object} position - { lat, lng } where the drift starts
    * @returns {Object} - { lat, lng } drift in degrees
    */
-  calculate(current, deltaHours) {
+  calculate(current, deltaHours, position) {
     const speedKnots = current.speed * this.currentFactor;
-    const directionRad = (current.direction * Math.PI) / 180;
     
     // Calculate drift distance in kilometers
     // 1 knot = 1.852 km/h
     const driftKm = speedKnots * deltaHours * 1.852;
     
-    // Convert to lat/lng offsets
-    // 1 degree latitude â‰ˆ 111.32 km
-    const latDrift = (driftKm * Math.cos(directionRad)) / 111.32;
-    const lngDrift = (driftKm * Math.sin(directionRad)) / 111.32;
-    
-    return {
-      lat: latDrift,
-      lng: lngDrift
-    };
+    // Convert to lat/lng offsets along the great circle
+    return Geodesy.offset(position, driftKm, current.direction);
   }
 
   /**
@@ -39,30 +34,24 @@ class CurrentDriftCalculator {
    * @param {Object} tidal - { phase, amplitude, direction }
    * @param {Number} time - Current simulation time in seconds
    * @param {Number} deltaHours - Time step in hours
+   * @param {Object} position - { lat, lng } where the drift starts
    * @returns {Object} - { lat, lng } drift in degrees
    */
-  calculateTidal(tidal, time, deltaHours) {
+  calculateTidal(tidal, time, deltaHours, position) {
     // Tidal cycle is approximately 12.42 hours (44712 seconds)
     const tidalPeriod = 44712;
     const phase = (time % tidalPeriod) / tidalPeriod * 2 * Math.PI;
     
     // Current speed varies sinusoidally with tide
     const speedKnots = tidal.amplitude * Math.sin(phase + (tidal.phase || 0));
-    const directionRad = (tidal.direction * Math.PI) / 180;
     
     // Reverse direction on ebb tide
-    const adjustedDirection = speedKnots < 0 ? directionRad + Math.PI : directionRad;
+    const adjustedDirection = speedKnots < 0 ? tidal.direction + 180 : tidal.direction;
     const adjustedSpeed = Math.abs(speedKnots);
     
     const driftKm = adjustedSpeed * deltaHours * 1.852;
     
-    const latDrift = (driftKm * Math.cos(adjustedDirection)) / 111.32;
-    const lngDrift = (driftKm * Math.sin(adjustedDirection)) / 111.32;
-    
-    return {
-      lat: latDrift,
-      lng: lngDrift
-    };
+    return Geodesy.offset(position, driftKm, adjustedDirection);
   }
 
   /**
@@ -4,9 +4,16 @@
  * Simulates turbulent mixing and uncertainty in drift prediction
  */
 
+const SeededRandom = require('../core/SeededRandom');
+const Geodesy = require('./Geodesy');
+
 class DiffusionCalculator {
-  constructor() {
+  /**
+   * @param {SeededRandom} rng - Shared simulation random source
+   */
+  constructor(rng) {
     this.diffusionRate = 0.001; // Base diffusion rate (km²/h)
+    this.rng = rng || new SeededRandom();
   }
 
   /**
@@ -19,14 +26,11 @@ class DiffusionCalculator {
     
     particles.forEach(particle => {
       // Random walk in 2D
-      const randomAngle = Math.random() * 2 * Math.PI;
-      const randomDistance = diffusionDistance * Math.random();
+      const randomAngle = this.rng.next() * 2 * Math.PI;
+      const randomDistance = diffusionDistance * this.rng.next();
       
-      const randomLat = (randomDistance * Math.cos(randomAngle)) / 111.32;
-      const randomLng = (randomDistance * Math.sin(randomAngle)) / 111.32;
-      
-      particle.lat += randomLat;
-      particle.lng += randomLng;
+      const offset = Geodesy.offset(particle, randomDistance, randomAngle * 180 / Math.PI);
+      Object.assign(particle, Geodesy.move(particle, offset.lat, offset.lng));
     });
   }
 
@@ -39,14 +43,11 @@ class DiffusionCalculator {
     
     particles.forEach(particle => {
       // Biased random walk
-      const randomAngle = directionRad + (Math.random() - 0.5) * Math.PI / 2; // +/- 45 degrees
-      const randomDistance = diffusionDistance * (0.5 + Math.random() * 0.5); // 50-100% of max
-      
-      const randomLat = (randomDistance * Math.cos(randomAngle)) / 111.32;
-      const randomLng = (randomDistance * Math.sin(randomAngle)) / 111.32;
+      const randomAngle = directionRad + (this.rng.next() - 0.5) * Math.PI / 2; // +/- 45 degrees
+      const randomDistance = diffusionDistance * (0.5 + this.rng.next() * 0.5); // 50-100% of max
       
-      particle.lat += randomLat;
-      particle.lng += randomLng;
+      const offset = Geodesy.offset(particle, randomDistance, randomAngle * 180 / Math.PI);
+      Object.assign(particle, Geodesy.move(particle, offset.lat, offset.lng));
     });
   }
 
@@ -0,0 +1,88 @@
+/**
+ * Geodesy.js
+ * Geodesic displacement service shared by the physics calculators
+ *
+ * Calculators work in kilometres along a bearing; this converts a move from
+ * a given position into latitude / longitude offsets along the great circle
+ * (CoordinateUtils.destination), so east-west drift is scaled by latitude.
+ * Longitudes are kept in [-180, 180) across the antimeridian, and moves past
+ * a pole come back down the opposite meridian.
+ */
+
+const CoordinateUtils = require('../../utils/CoordinateUtils');
+
+const KM_PER_DEGREE = 6371 * Math.PI / 180; // same sphere as CoordinateUtils
+
+class Geodesy {
+  /**
+   * Offset for moving distanceKm along bearing from a position
+   * @param {Object} position - { lat, lng } start (equator if omitted)
+   * @param {Number} distanceKm - Distance in kilometers (negative moves backwards)
+   * @param {Number} bearing - Bearing in degrees
+   * @returns {Object} - { lat, lng } offset in degrees
+   */
+  static offset(position, distanceKm, bearing) {
+    const lat = position?.lat || 0;
+    const lng = position?.lng || 0;
+    if (!distanceKm) return { lat: 0, lng: 0 };
+
+    const destination = CoordinateUtils.destination(lat, lng, distanceKm, bearing);
+    return {
+      lat: destination.lat - lat,
+      lng: Geodesy.wrapLongitude(destination.lng - lng)
+    };
+  }
+
+  /**
+   * Offset for a move given as north / east components
+   * @param {Object} position - { lat, lng } start
+   * @param {Number} northKm - Northward distance in kilometers
+   * @param {Number} eastKm - Eastward distance in kilometers
+   * @returns {Object} - { lat, lng } offset in degrees
+   */
+  static offsetNorthEast(position, northKm, eastKm) {
+    const distanceKm = Math.sqrt(northKm * northKm + eastKm * eastKm);
+    const bearing = CoordinateUtils.toDegrees(Math.atan2(eastKm, northKm));
+    return Geodesy.offset(position, distanceKm, bearing);
+  }
+
+  /**
+   * Apply a degree offset to a position
+   * Handles pole crossings and wraps longitude
+   * @returns {Object} - { lat, lng }
+   */
+  static move(position, dLat, dLng) {
+    let lat = position.lat + dLat;
+    let lng = position.lng + dLng;
+
+    if (lat > 90) {
+      lat = 180 - lat;
+      lng += 180;
+    } else if (lat < -90) {
+      lat = -180 - lat;
+      lng += 180;
+    }
+
+    return { lat, lng: Geodesy.wrapLongitude(lng) };
+  }
+
+  /**
+   * Length in kilometers of a small degree offset at a position
+   * (local flat-earth approximation, used for step-size estimates)
+   */
+  static offsetKm(position, dLat, dLng) {
+    const east = Geodesy.wrapLongitude(dLng) * Math.cos(CoordinateUtils.toRadians(position?.lat || 0));
+    return Math.sqrt(dLat * dLat + east * east) * KM_PER_DEGREE;
+  }
+
+  /**
+   * Wrap a longitude (or longitude difference) into [-180, 180)
+   */
+  static wrapLongitude(lng) {
+    return ((((lng + 180) % 360) + 360) % 360) - 180;
+  }
+}
+
+Geodesy.KM_PER_DEGREE = KM_PER_DEGREE;
+
+module.exports = Geodesy;
@@ -3,59 +3,127 @@
  * Calculates object-specific leeway drift
  * Different objects have different windage and drift characteristics
  * Based on USCG and IAMSAR leeway coefficients
+ *
+ * AP98 parameterisation (Allen & Plourde 1999):
+ *   DWL  = slope * U10 + offset        (downwind leeway)
+ *   CWL± = slope± * U10 + offset±      (crosswind leeway, right / left of downwind)
+ * with U10 the 10 m wind in m/s, slopes in % and offsets / Syx in cm/s.
+ *
+ * Each particle draws its own error terms (normal, std = Syx) and a
+ * divergence side once, and keeps them for its lifetime; particles jibe to
+ * the other side with a fixed probability per hour. The split between sides
+ * produces the characteristic bimodal leeway search area.
  */
 
+const SeededRandom = require('../core/SeededRandom');
+const LeewayCatalog = require('./LeewayCatalog');
+const Geodesy = require('./Geodesy');
+
+const KNOTS_TO_MS = 0.514444;
+const MS_TO_KNOTS = 1.94384;
+
 class LeewayCalculator {
-  constructor(objectType) {
+  /**
+   * @param {String} objectType - Leeway object type
+   * @param {SeededRandom} rng - Shared random source
+   * @param {Object} options - { jibeProbabilityPerHour, object } where object is a
+   *   resolved LeewayCatalog entry
+   */
+  constructor(objectType, rng, options = {}) {
     this.objectType = objectType;
-    
-    // Leeway coefficients from USCG SAR studies
-    // Format: { downwind: speed factor, crosswind: angle offset }
-    this.leewayFactors = {
-      'person-in-water': { downwind: 0.03, crosswind: 15 },
-      'person-with-pfd': { downwind: 0.04, crosswind: 20 },
-      'person-in-drysuit': { downwind: 0.05, crosswind: 25 },
-      'life-raft-4': { downwind: 0.06, crosswind: 10 },
-      'life-raft-6': { downwind: 0.065, crosswind: 12 },
-      'life-raft-10-plus': { downwind: 0.07, crosswind: 15 },
-      'small-vessel': { downwind: 0.05, crosswind: 5 },
-      'medium-vessel': { downwind: 0.04, crosswind: 3 },
-      'sailboat': { downwind: 0.08, crosswind: 20 },
-      'kayak': { downwind: 0.045, crosswind: 18 },
-      'canoe': { downwind: 0.05, crosswind: 20 },
-      'surfboard': { downwind: 0.035, crosswind: 25 },
-      'paddleboard': { downwind: 0.04, crosswind: 22 },
-      'wood-debris': { downwind: 0.02, crosswind: 30 },
-      'plastic-debris': { downwind: 0.045, crosswind: 25 },
-      'cooler': { downwind: 0.055, crosswind: 15 }
-    };
+    this.rng = rng || new SeededRandom();
+    this.jibeProbabilityPerHour = options.jibeProbabilityPerHour ?? 0.04;
+
+    // Coefficients come from the leeway catalog; a resolved object
+    // (including custom ones) can be passed in directly
+    this.object = options.object || LeewayCatalog.getBuiltin(objectType) || LeewayCatalog.getDefault();
   }
 
   /**
    * Calculate leeway drift
    * @param {Object} wind - { speed (knots), direction (degrees) }
    * @param {Number} deltaHours - Time step in hours
+   * @param {Object} particle - Particle carrying its own leeway state (optional)
+   * @param {Object} position - { lat, lng } where the drift starts (default: the particle)
    * @returns {Object} - { lat, lng } drift in degrees
    */
-  calculate(wind, deltaHours) {
-    const factor = this.leewayFactors[this.objectType] || this.leewayFactors['person-in-water'];
-    
-    const speedKnots = wind.speed * factor.downwind;
-    
-    // Leeway direction is wind direction plus crosswind angle
-    const leewayDirection = wind.direction + factor.crosswind;
-    const directionRad = (leewayDirection * Math.PI) / 180;
-    
+  calculate(wind, deltaHours, particle, position = particle) {
+    const factor = this.getLeewayParams();
+    const state = particle ? this.getParticleState(particle) : { side: 1, downwindError: 0, crosswindError: 0 };
+
+    const u10 = wind.speed * KNOTS_TO_MS;
+    const crosswind = state.side > 0 ? factor.cwlPos : factor.cwlNeg;
+
+    // Leeway components in cm/s
+    const downwindCms = (factor.dwl.slope * u10) + factor.dwl.offset + state.downwindError;
+    const crosswindCms = (crosswind.slope * u10) + crosswind.offset + state.crosswindError;
+
+    // Rotate into the wind frame (crosswind positive to the right of downwind)
+    const directionRad = (wind.direction * Math.PI) / 180;
+    const eastMs = (downwindCms * Math.sin(directionRad) + crosswindCms * Math.cos(directionRad)) / 100;
+    const northMs = (downwindCms * Math.cos(directionRad) - crosswindCms * Math.sin(directionRad)) / 100;
+
     // Calculate drift distance
-    const driftKm = speedKnots * deltaHours * 1.852;
-    
-    // Convert to lat/lng offsets
-    const latDrift = (driftKm * Math.cos(directionRad)) / 111.32;
-    const lngDrift = (driftKm * Math.sin(directionRad)) / 111.32;
-    
+    const eastKm = eastMs * MS_TO_KNOTS * deltaHours * 1.852;
+    const northKm = northMs * MS_TO_KNOTS * deltaHours * 1.852;
+
+    // Convert to lat/lng offsets along the great circle
+    return Geodesy.offsetNorthEast(position, northKm, eastKm);
+  }
+
+  /**
+   * Per-particle leeway state, drawn on first use
+   * Error terms are fixed for the particle's lifetime
+   */
+  getParticleState(particle) {
+    if (!particle.leeway) {
+      const factor = this.getLeewayParams();
+      const side = this.rng.next() < 0.5 ? 1 : -1;
+      particle.leeway = {
+        side, // +1 right of downwind, -1 left
+        downwindError: this.rng.gaussian(0, factor.dwl.syx),
+        crosswindError: this.rng.gaussian(0, (side > 0 ? factor.cwlPos : factor.cwlNeg).syx),
+        jibes: 0
+      };
+    }
+    return particle.leeway;
+  }
+
+  /**
+   * Advance a particle's leeway state by one time step (jibing)
+   * Called once per step, separately from calculate, so that integrator
+   * stages evaluating leeway several times do not jibe several times
+   */
+  advance(particle, deltaHours) {
+    this.maybeJibe(this.getParticleState(particle), deltaHours);
+  }
+
+  /**
+   * Switch divergence side with probability jibeProbabilityPerHour
+   */
+  maybeJibe(state, deltaHours) {
+    if (this.jibeProbabilityPerHour <= 0) return;
+
+    const probability = 1 - Math.pow(1 - this.jibeProbabilityPerHour, deltaHours);
+    if (this.rng.next() < probability) {
+      state.side = -state.side;
+      state.crosswindError = -state.crosswindError;
+      state.jibes++;
+    }
+  }
+
+  /**
+   * Count particles on each side of the downwind axis
+   */
+  getDivergenceStats(particles) {
+    const withState = particles.filter(p => p.leeway);
     return {
-      lat: latDrift,
-      lng: lngDrift
+      objectType: this.object.id,
+      objectName: this.object.name,
+      right: withState.filter(p => p.leeway.side > 0).length,
+      left: withState.filter(p => p.leeway.side < 0).length,
+      jibes: withState.reduce((sum, p) => sum + p.leeway.jibes, 0),
+      jibeProbabilityPerHour: this.jibeProbabilityPerHour
     };
   }
 
@@ -63,7 +131,7 @@ class LeewayCalculator {
    * Get leeway parameters for current object type
    */
   getLeewayParams() {
-    return this.leewayFactors[this.objectType] || this.leewayFactors['person-in-water'];
+    return this.object;
   }
 
   /**
@@ -71,7 +139,8 @@ class LeewayCalculator {
    */
   setObjectType(newType) {
     this.objectType = newType;
+    this.object = LeewayCatalog.getBuiltin(newType) || LeewayCatalog.getDefault();
   }
 }
 
-module.exports = LeewayCalculator;
\ No newline at end of file
+module.exports = LeewayCalculator;
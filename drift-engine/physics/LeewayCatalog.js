@@ -0,0 +1,271 @@
+/**
+ * LeewayCatalog.js
+ * Leeway object taxonomy: built-in categories from data/leeway-objects.json
+ * plus organisation-defined custom objects
+ *
+ * Objects are resolved by id or alias into the coefficient form used by
+ * LeewayCalculator: { dwl, cwlPos, cwlNeg } each { slope (%), offset (cm/s), syx (cm/s) }.
+ * Custom objects live in a JSON file (atomic writes, like FileSimulationStore).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BUILTIN_FILE = path.join(__dirname, '..', 'data', 'leeway-objects.json');
+const DEFAULT_OBJECT = 'piw-unknown';
+
+let builtinData = null;
+let tmpCounter = 0; // unique temp file names for writes in the same millisecond
+
+class LeewayCatalog {
+  /**
+   * @param {Object} options - { customFile } path for custom objects
+   */
+  constructor(options = {}) {
+    this.customFile = path.resolve(
+      options.customFile || process.env.LEEWAY_CUSTOM_OBJECTS_FILE ||
+      path.join(process.cwd(), 'data', 'leeway-objects.custom.json')
+    );
+    this.custom = new Map();
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Built-in taxonomy (loaded once per process)
+   */
+  static getBuiltinData() {
+    if (!builtinData) {
+      builtinData = JSON.parse(fs.readFileSync(BUILTIN_FILE, 'utf8'));
+    }
+    return builtinData;
+  }
+
+  /**
+   * Resolve a built-in object without a catalog instance (used in worker threads)
+   * @returns {Object|null} - Normalised object or null if unknown
+   */
+  static getBuiltin(idOrAlias) {
+    const data = LeewayCatalog.getBuiltinData();
+    for (const category of data.categories) {
+      const object = category.objects.find(o => o.id === idOrAlias || (o.aliases || []).includes(idOrAlias));
+      if (object) {
+        return LeewayCatalog.normalize(object, category.id, false);
+      }
+    }
+    return null;
+  }
+
+  static getDefault() {
+    return LeewayCatalog.getBuiltin(DEFAULT_OBJECT);
+  }
+
+  /**
+   * Coefficients with explicit left/right crosswind terms
+   * Left (negative) crosswind mirrors the right unless given
+   */
+  static normalize(object, category, custom) {
+    const cwlPos = object.cwlPos || object.cwl;
+    const cwlNeg = object.cwlNeg || { slope: -cwlPos.slope, offset: -cwlPos.offset, syx: cwlPos.syx };
+    return {
+      id: object.id,
+      name: object.name,
+      description: object.description || '',
+      category,
+      aliases: object.aliases || [],
+      custom,
+      dwl: { ...object.dwl },
+      cwlPos: { ...cwlPos },
+      cwlNeg: { ...cwlNeg }
+    };
+  }
+
+  /**
+   * Load custom objects from disk
+   */
+  async initialize() {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.customFile, 'utf8'));
+      (data.objects || []).forEach(object => this.custom.set(object.id, object));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    console.log(`[LeewayCatalog] ${this.list().length} object types (${this.custom.size} custom)`);
+    return { custom: this.custom.size };
+  }
+
+  /**
+   * Catalog summary with categories
+   * @param {Object} filter - { category }
+   */
+  describe(filter = {}) {
+    const data = LeewayCatalog.getBuiltinData();
+    const objects = this.list(filter);
+    const categories = data.categories.map(c => ({ id: c.id, name: c.name, description: c.description }));
+    if (this.custom.size > 0) {
+      categories.push({ id: 'custom', name: 'Custom objects', description: 'Organisation-defined leeway objects' });
+    }
+
+    return {
+      version: data.version,
+      model: data.model,
+      units: data.units,
+      categories: filter.category ? categories.filter(c => c.id === filter.category) : categories,
+      objects
+    };
+  }
+
+  /**
+   * All objects (built-in then custom), optionally for one category
+   */
+  list(filter = {}) {
+    const data = LeewayCatalog.getBuiltinData();
+    const objects = [];
+    data.categories.forEach(category => {
+      category.objects.forEach(object => objects.push(LeewayCatalog.normalize(object, category.id, false)));
+    });
+    this.custom.forEach(object => objects.push(LeewayCatalog.normalize(object, object.category || 'custom', true)));
+
+    return filter.category ? objects.filter(o => o.category === filter.category) : objects;
+  }
+
+  /**
+   * Look up an object by id or alias (custom objects first)
+   * @returns {Object|null}
+   */
+  get(idOrAlias) {
+    const custom = this.custom.get(idOrAlias) ||
+      [...this.custom.values()].find(o => (o.aliases || []).includes(idOrAlias));
+    if (custom) {
+      return LeewayCatalog.normalize(custom, custom.category || 'custom', true);
+    }
+    return LeewayCatalog.getBuiltin(idOrAlias);
+  }
+
+  /**
+   * Look up an object, throwing for unknown ids
+   */
+  resolve(idOrAlias) {
+    const object = this.get(idOrAlias || DEFAULT_OBJECT);
+    if (!object) {
+      throw new Error(`Unknown object type '${idOrAlias}'`);
+    }
+    return object;
+  }
+
+  /**
+   * Add an organisation-defined object
+   */
+  async addCustom(object) {
+    const entry = this.validate(object);
+    await this.change(custom => {
+      if (this.get(entry.id) || entry.aliases.some(alias => this.get(alias))) {
+        throw new Error(`Object type '${entry.id}' already exists`);
+      }
+      custom.set(entry.id, entry);
+    });
+    return this.get(entry.id);
+  }
+
+  /**
+   * Replace a custom object (built-in objects are read-only)
+   */
+  async updateCustom(id, object) {
+    await this.change(custom => {
+      this.assertCustom(id);
+      const entry = this.validate({ ...object, id, createdAt: this.custom.get(id).createdAt });
+      const clash = entry.aliases.find(alias => {
+        const existing = this.get(alias);
+        return existing && existing.id !== id;
+      });
+      if (clash) {
+        throw new Error(`Object type '${clash}' already exists`);
+      }
+      custom.set(id, entry);
+    });
+    return this.get(id);
+  }
+
+  async removeCustom(id) {
+    await this.change(custom => {
+      this.assertCustom(id);
+      custom.delete(id);
+    });
+  }
+
+  assertCustom(id) {
+    if (this.custom.has(id)) return;
+    if (LeewayCatalog.getBuiltin(id)) {
+      throw new Error(`Built-in object type '${id}' cannot be modified`);
+    }
+    throw new Error(`Unknown object type '${id}'`);
+  }
+
+  /**
+   * Validate and clean a custom object definition
+   */
+  validate(object) {
+    if (!object || typeof object.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(object.id)) {
+      throw new Error('Object id must be lowercase letters, digits and dashes');
+    }
+    if (!object.name) {
+      throw new Error('Object name is required');
+    }
+
+    const term = (value, name) => {
+      const valid = value && ['slope', 'offset', 'syx'].every(k => typeof value[k] === 'number' && isFinite(value[k]));
+      if (!valid || value.syx < 0) {
+        throw new Error(`${name} needs numeric slope, offset and syx (syx >= 0)`);
+      }
+      return { slope: value.slope, offset: value.offset, syx: value.syx };
+    };
+
+    const cwl = term(object.cwl || object.cwlPos, 'cwl');
+    const aliases = Array.isArray(object.aliases) ? object.aliases.map(String) : [];
+
+    return {
+      id: object.id,
+      name: String(object.name),
+      description: object.description ? String(object.description) : '',
+      category: object.category ? String(object.category) : 'custom',
+      aliases,
+      dwl: term(object.dwl, 'dwl'),
+      cwl,
+      ...(object.cwlNeg ? { cwlNeg: term(object.cwlNeg, 'cwlNeg') } : {}),
+      createdAt: object.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Change the custom objects: `apply` edits a copy of the current set (and
+   * may throw to reject the change), the copy is persisted, and only then
+   * replaces the live set - a failed write leaves the catalog as it was.
+   * Changes run one at a time, each on the result of the last.
+   */
+  change(apply) {
+    const run = async () => {
+      const custom = new Map(this.custom);
+      apply(custom);
+      await this.save(custom);
+      this.custom = custom;
+    };
+    const changed = this.writing.then(run, run);
+    this.writing = changed.catch(() => {});
+    return changed;
+  }
+
+  /**
+   * Write a set of custom objects (temp file + rename)
+   */
+  async save(custom) {
+    const data = { version: 1, objects: [...custom.values()] };
+    await fs.promises.mkdir(path.dirname(this.customFile), { recursive: true });
+    const tmpPath = `${this.customFile}.${process.pid}.${++tmpCounter}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await fs.promises.rename(tmpPath, this.customFile);
+  }
+}
+
+LeewayCatalog.DEFAULT_OBJECT = DEFAULT_OBJECT;
+
+module.exports = LeewayCatalog;
@@ -12,8 +12,16 @@
  * - Longshore currents
  */
 
+const SeededRandom = require('../core/SeededRandom');
+const Geodesy = require('./Geodesy');
+
 class ShallowWaterPhysics {
-  constructor() {
+  /**
+   * @param {SeededRandom} rng - Shared simulation random source
+   */
+  constructor(rng) {
+    this.rng = rng || new SeededRandom();
+
     // Physical constants
     this.g = 9.81; // Gravity (m/s²)
     this.rho = 1025; // Seawater density (kg/m³)
@@ -103,13 +111,13 @@ class ShallowWaterPhysics {
     const depthRatio = depth / this.shallowWaterThreshold;
 
     // 1. Bottom friction effect
-    const bottomFriction = this.calculateBottomFriction(depth, env.current);
+    const bottomFriction = this.calculateBottomFriction(depth, env.current, particle);
     result.lat += bottomFriction.lat;
     result.lng += bottomFriction.lng;
     result.effects.push('bottom_friction');
 
     // 2. Shallow water Stokes drift (enhanced near surface)
-    const stokesDrift = this.calculateShallowStokesDrift(env.waves, depth, deltaHours);
+    const stokesDrift = this.calculateShallowStokesDrift(env.waves, depth, deltaHours, particle);
     result.lat += stokesDrift.lat;
     result.lng += stokesDrift.lng;
     result.effects.push('shallow_stokes');
@@ -124,7 +132,7 @@ class ShallowWaterPhysics {
 
     // 4. Tidal asymmetry effects
     if (env.tidal) {
-      const tidalAsymmetry = this.calculateTidalAsymmetry(depth, env.tidal, deltaHours);
+      const tidalAsymmetry = this.calculateTidalAsymmetry(depth, env.tidal, deltaHours, particle);
       result.lat += tidalAsymmetry.lat;
       result.lng += tidalAsymmetry.lng;
       result.effects.push('tidal_asymmetry');
@@ -155,7 +163,7 @@ class ShallowWaterPhysics {
    * Calculate bottom friction reducing current speed
    * Uses quadratic drag law with Manning's n
    */
-  calculateBottomFriction(depth, current) {
+  calculateBottomFriction(depth, current, position) {
     // Manning's roughness coefficient (typical for sandy bottom)
     const manningN = 0.025;
     
@@ -166,22 +174,18 @@ class ShallowWaterPhysics {
     const reductionFactor = Math.min(0.8, frictionFactor * current.speed);
     
     // Apply friction as reduction to current drift
-    const dirRad = (current.direction * Math.PI) / 180;
     const reducedSpeed = current.speed * (1 - reductionFactor);
     const speedDiff = current.speed - reducedSpeed;
     
     // Return the reduction (negative drift adjustment)
-    return {
-      lat: -(speedDiff * Math.cos(dirRad) * 0.001) / 111.32,
-      lng: -(speedDiff * Math.sin(dirRad) * 0.001) / 111.32
-    };
+    return Geodesy.offset(position, -speedDiff * 0.001, current.direction);
   }
 
   /**
    * Calculate Stokes drift with shallow water correction
    * Stokes drift increases significantly in shallow water
    */
-  calculateShallowStokesDrift(waves, depth, deltaHours) {
+  calculateShallowStokesDrift(waves, depth, deltaHours, position) {
     const H = waves.height || 1; // Wave height (m)
     const T = waves.period || 6; // Wave period (s)
     const direction = waves.direction || 0;
@@ -206,12 +210,8 @@ class ShallowWaterPhysics {
     
     // Convert to km drift
     const driftKm = stokesDrift * deltaHours * 3.6; // m/s to km/h
-    const dirRad = (direction * Math.PI) / 180;
     
-    return {
-      lat: (driftKm * Math.cos(dirRad)) / 111.32,
-      lng: (driftKm * Math.sin(dirRad)) / 111.32
-    };
+    return Geodesy.offset(position, driftKm, direction);
   }
 
   /**
@@ -268,17 +268,14 @@ class ShallowWaterPhysics {
     
     const deflection = steeringStrength * Math.sin(angleDiff);
     
-    return {
-      lat: (deflection * Math.cos(isobathDir)) / 111.32,
-      lng: (deflection * Math.sin(isobathDir)) / 111.32
-    };
+    return Geodesy.offset(particle, deflection, isobathDir * 180 / Math.PI);
   }
 
   /**
    * Calculate tidal asymmetry effects
    * Flood/ebb tides have different durations and velocities in shallow water
    */
-  calculateTidalAsymmetry(depth, tidal, deltaHours) {
+  calculateTidalAsymmetry(depth, tidal, deltaHours, position) {
     // Tidal asymmetry parameter
     // In shallow water, flood tide is often shorter but stronger
     const asymmetryFactor = 0.1 * (this.shallowWaterThreshold / depth);
@@ -299,14 +296,10 @@ class ShallowWaterPhysics {
     
     // Apply in direction toward/away from shore
     const shoreDir = tidal.shoreDirection || 0;
-    const dirRad = (shoreDir * Math.PI) / 180;
     
     const driftKm = asymmetryEffect * deltaHours;
     
-    return {
-      lat: (driftKm * Math.cos(dirRad)) / 111.32,
-      lng: (driftKm * Math.sin(dirRad)) / 111.32
-    };
+    return Geodesy.offset(position, driftKm, shoreDir);
   }
 
   /**
@@ -331,7 +324,7 @@ class ShallowWaterPhysics {
       result.effects.push('wave_breaking');
       
       // Breaking waves create strong onshore transport
-      const breakingTransport = this.calculateBreakingWaveTransport(waves, depth, deltaHours);
+      const breakingTransport = this.calculateBreakingWaveTransport(waves, depth, deltaHours, particle);
       result.lat += breakingTransport.lat;
       result.lng += breakingTransport.lng;
       
@@ -340,7 +333,7 @@ class ShallowWaterPhysics {
     }
     
     // 2. Longshore current (from oblique wave approach)
-    const longshore = this.calculateLongshoreCurrent(waves, depth, deltaHours);
+    const longshore = this.calculateLongshoreCurrent(waves, depth, deltaHours, particle);
     result.lat += longshore.lat;
     result.lng += longshore.lng;
     if (longshore.magnitude > 0.01) {
@@ -349,14 +342,14 @@ class ShallowWaterPhysics {
     
     // 3. Rip current possibility
     if (env.ripCurrentRisk && env.ripCurrentRisk > 0.5) {
-      const ripCurrent = this.calculateRipCurrent(env, depth, deltaHours);
+      const ripCurrent = this.calculateRipCurrent(env, depth, deltaHours, particle);
       result.lat += ripCurrent.lat;
       result.lng += ripCurrent.lng;
       result.effects.push('rip_current');
     }
     
     // 4. Undertow (near-bottom offshore return flow)
-    const undertow = this.calculateUndertow(waves, depth, deltaHours);
+    const undertow = this.calculateUndertow(waves, depth, deltaHours, particle);
     result.lat += undertow.lat;
     result.lng += undertow.lng;
     if (undertow.magnitude > 0.01) {
@@ -369,7 +362,7 @@ class ShallowWaterPhysics {
   /**
    * Calculate transport from breaking waves
    */
-  calculateBreakingWaveTransport(waves, depth, deltaHours) {
+  calculateBreakingWaveTransport(waves, depth, deltaHours, position) {
     const H = waves.height;
     const direction = waves.direction || 0;
     
@@ -379,19 +372,15 @@ class ShallowWaterPhysics {
     const transportSpeed = 0.015 * celerity * (H / depth);
     
     const driftKm = transportSpeed * deltaHours * 3.6;
-    const dirRad = (direction * Math.PI) / 180;
     
-    return {
-      lat: (driftKm * Math.cos(dirRad)) / 111.32,
-      lng: (driftKm * Math.sin(dirRad)) / 111.32
-    };
+    return Geodesy.offset(position, driftKm, direction);
   }
 
   /**
    * Calculate longshore current from oblique waves
    * Using Longuet-Higgins formula
    */
-  calculateLongshoreCurrent(waves, depth, deltaHours) {
+  calculateLongshoreCurrent(waves, depth, deltaHours, position) {
     const H = waves.height || 1;
     const direction = waves.direction || 0;
     const shoreNormal = waves.shoreNormal || 270; // Assume west-facing shore
@@ -405,13 +394,12 @@ class ShallowWaterPhysics {
     const Vl = 0.2 * Math.sqrt(this.g * breakerHeight) * Math.sin(2 * approachAngle);
     
     // Longshore direction (perpendicular to shore normal)
-    const longshoreDirRad = ((shoreNormal + 90) * Math.PI) / 180;
+    const longshoreDir = shoreNormal + 90;
     
     const driftKm = Vl * deltaHours * 3.6;
     
     return {
-      lat: (driftKm * Math.cos(longshoreDirRad)) / 111.32,
-      lng: (driftKm * Math.sin(longshoreDirRad)) / 111.32,
+      ...Geodesy.offset(position, driftKm, longshoreDir),
       magnitude: Math.abs(Vl)
     };
   }
@@ -420,7 +408,7 @@ class ShallowWaterPhysics {
    * Calculate rip current effects
    * Rip currents are channelized offshore flows
    */
-  calculateRipCurrent(env, depth, deltaHours) {
+  calculateRipCurrent(env, depth, deltaHours, position) {
     const ripStrength = env.ripCurrentStrength || 0.5; // 0-1 scale
     const ripDirection = env.ripCurrentDirection || 180; // Typically offshore
     
@@ -428,18 +416,14 @@ class ShallowWaterPhysics {
     const ripSpeed = ripStrength * 1.5; // m/s
     
     const driftKm = ripSpeed * deltaHours * 3.6;
-    const dirRad = (ripDirection * Math.PI) / 180;
     
-    return {
-      lat: (driftKm * Math.cos(dirRad)) / 111.32,
-      lng: (driftKm * Math.sin(dirRad)) / 111.32
-    };
+    return Geodesy.offset(position, driftKm, ripDirection);
   }
 
   /**
    * Calculate undertow (return flow beneath breaking waves)
    */
-  calculateUndertow(waves, depth, deltaHours) {
+  calculateUndertow(waves, depth, deltaHours, position) {
     const H = waves.height || 1;
     const direction = waves.direction || 0;
     
@@ -451,11 +435,9 @@ class ShallowWaterPhysics {
     const undertowSpeed = 0.2 * (H / depth) * Math.min(1, 3 / depth);
     
     const driftKm = undertowSpeed * deltaHours * 3.6;
-    const dirRad = (undertowDir * Math.PI) / 180;
     
     return {
-      lat: (driftKm * Math.cos(dirRad)) / 111.32,
-      lng: (driftKm * Math.sin(dirRad)) / 111.32,
+      ...Geodesy.offset(position, driftKm, undertowDir),
       magnitude: undertowSpeed
     };
   }
@@ -475,12 +457,10 @@ class ShallowWaterPhysics {
     
     // Apply friction as general speed reduction
     const currentDir = env.current?.direction || 0;
-    const dirRad = (currentDir * Math.PI) / 180;
     const reduction = frictionReduction * (env.current?.speed || 0) * 0.001;
     
     return {
-      lat: -(reduction * Math.cos(dirRad)) / 111.32,
-      lng: -(reduction * Math.sin(dirRad)) / 111.32,
+      ...Geodesy.offset(particle, -reduction, currentDir),
       beachingProbability
     };
   }
@@ -500,7 +480,7 @@ class ShallowWaterPhysics {
     }
     
     // Random determination based on shore properties
-    const rand = Math.random();
+    const rand = this.rng.next();
     
     if (rand < shore.stickiness) {
       // Particle beaches (sticks to shore)
@@ -511,18 +491,15 @@ class ShallowWaterPhysics {
       };
     } else if (rand < shore.stickiness + shore.reflection) {
       // Particle reflects off shore
-      const reflectionAngle = shoreNormal + 180 + (Math.random() - 0.5) * 60;
-      const reflectionDistance = 0.01 + Math.random() * 0.02; // Small push offshore
+      const reflectionAngle = shoreNormal + 180 + (this.rng.next() - 0.5) * 60;
+      const reflectionDistance = 0.01 + this.rng.next() * 0.02; // Small push offshore
       
-      const reflectDirRad = (reflectionAngle * Math.PI) / 180;
+      const offset = Geodesy.offset(particle, reflectionDistance, reflectionAngle);
       
       return {
         beached: false,
         reflected: true,
-        newPosition: {
-          lat: particle.lat + (reflectionDistance * Math.cos(reflectDirRad)) / 111.32,
-          lng: particle.lng + (reflectionDistance * Math.sin(reflectDirRad)) / 111.32
-        }
+        newPosition: Geodesy.move(particle, offset.lat, offset.lng)
       };
     }
     
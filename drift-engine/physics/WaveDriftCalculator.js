@@ -4,18 +4,27 @@
  * Waves cause net forward motion even in deep water
  */
 
+const SeededRandom = require('../core/SeededRandom');
+const Geodesy = require('./Geodesy');
+
 class WaveDriftCalculator {
-  constructor() {
+  /**
+   * @param {SeededRandom} rng - Shared simulation random source
+   */
+  constructor(rng) {
     this.stokesFactor = 0.01; // Wave-induced drift factor
+    this.rng = rng || new SeededRandom();
   }
 
   /**
    * Calculate wave-induced drift (Stokes drift)
    * @param {Object} waves - { height (m), period (s), direction (degrees) }
    * @param {Number} deltaHours - Time step in hours
+   * @param {Object} position - { lat, lng } where the drift starts
+   * @param {Number} spread - Direction variation in degrees (default: drawn now)
    * @returns {Object} - { lat, lng } drift in degrees
    */
-  calculate(waves, deltaHours) {
+  calculate(waves, deltaHours, position, spread = this.drawSpread()) {
     const waveHeight = waves.height;
     const wavePeriod = waves.period;
     
@@ -24,21 +33,20 @@ class WaveDriftCalculator {
     const driftSpeed = (waveHeight * waveHeight) / wavePeriod * this.stokesFactor;
     
     // Direction includes some randomness to simulate wave spreading
-    const baseDirection = waves.direction || Math.random() * 360;
-    const directionVariation = (Math.random() - 0.5) * 30; // +/- 15 degrees
-    const directionRad = ((baseDirection + directionVariation) * Math.PI) / 180;
+    const baseDirection = waves.direction || this.rng.next() * 360;
     
     // Calculate drift distance
     const driftKm = driftSpeed * deltaHours;
     
-    // Convert to lat/lng offsets
-    const latDrift = (driftKm * Math.cos(directionRad)) / 111.32;
-    const lngDrift = (driftKm * Math.sin(directionRad)) / 111.32;
-    
-    return {
-      lat: latDrift,
-      lng: lngDrift
-    };
+    // Convert to lat/lng offsets along the great circle
+    return Geodesy.offset(position, driftKm, baseDirection + spread);
+  }
+
+  /**
+   * Random directional spreading of the wave drift
+   */
+  drawSpread() {
+    return (this.rng.next() - 0.5) * 30; // +/- 15 degrees
   }
 
   /**
@@ -0,0 +1,360 @@
+/**
+ * SearchPatternGenerator.js
+ * Turns a probability area into IAMSAR search pattern tasking
+ *
+ * Patterns:
+ * - expanding-square (SS): from the datum, legs S, S, 2S, 2S, 3S... turning right 90°
+ * - sector (VS): three equilateral triangles through the datum, six spokes 60° apart
+ * - parallel-track (PS): tracks along the area's long axis, S apart
+ * - creeping-line (CS): tracks across the long axis, advancing along it
+ *
+ * The area is fitted from polygon50 / polygon90, a high-density region
+ * (densest cells holding a given share of the particles) or a planner-given
+ * bounds / polygon. Its long axis is the principal axis of those points.
+ *
+ * Patterns are laid out in the water's frame; with drift compensation each
+ * waypoint is shifted by the drift (from the simulation centroid track)
+ * accumulated by the time the unit gets there, so the pattern moves with
+ * the object being searched for.
+ */
+
+const Geodesy = require('../physics/Geodesy');
+const CoordinateUtils = require('../../utils/CoordinateUtils');
+const DensityAnalyzer = require('../analysis/DensityAnalyzer');
+
+const NM_PER_DEGREE = Geodesy.KM_PER_DEGREE / 1.852;
+
+const PATTERNS = {
+  'expanding-square': 'SS',
+  sector: 'VS',
+  'parallel-track': 'PS',
+  'creeping-line': 'CS'
+};
+
+class SearchPatternGenerator {
+  static get patterns() {
+    return Object.keys(PATTERNS);
+  }
+
+  /**
+   * Generate a search pattern over simulation results
+   * @param {Object} results - Simulation results (see SimulationRunner.generateResults)
+   * @param {Object} request - { pattern, region, trackSpacingNm | sweepWidthNm, speedKnots,
+   *   orientation, searchHour, startTime, unitType, name, driftCompensation, maxLegs }
+   *   region: 'polygon50' (default), 'polygon90', { type: 'high-density', fraction },
+   *   { bounds: { north, south, east, west } } or { polygon: [{ lat, lng }] }
+   * @returns {Object} - { pattern, code, region, commenceSearchPoint, waypoints, legs, totals, drift }
+   */
+  generate(results, request = {}) {
+    const pattern = request.pattern || 'parallel-track';
+    if (!PATTERNS[pattern]) {
+      throw new Error(`Unknown search pattern '${pattern}' (expected ${SearchPatternGenerator.patterns.join(', ')})`);
+    }
+
+    const spacing = request.trackSpacingNm || request.sweepWidthNm;
+    if (typeof spacing !== 'number' || !(spacing > 0)) {
+      throw new Error('trackSpacingNm (or sweepWidthNm) must be a positive number');
+    }
+    if (typeof request.speedKnots !== 'number' || !(request.speedKnots > 0)) {
+      throw new Error('speedKnots must be a positive number');
+    }
+
+    const searchHour = request.searchHour ?? results.duration?.simulated ?? 0;
+    const region = this.resolveRegion(results, request.region, searchHour);
+    const origin = region.centroid;
+    const points = region.points.map(p => this.project(origin, p));
+    const axis = request.orientation ?? this.principalAxis(points);
+    const drift = request.driftCompensation === false || results.mode === 'backtrack'
+      ? { applied: false, speedKnots: 0, direction: 0, east: 0, north: 0 }
+      : this.estimateDrift(results.snapshots || [], searchHour);
+    const maxLegs = request.maxLegs || 60;
+
+    let track;
+    if (pattern === 'expanding-square') {
+      track = this.expandingSquare(points, spacing, request.orientation ?? (drift.applied ? drift.direction : 0), maxLegs);
+    } else if (pattern === 'sector') {
+      track = this.sector(points, request.orientation ?? (drift.applied ? drift.direction : 0));
+    } else {
+      track = this.parallelTracks(points, spacing, pattern === 'creeping-line' ? axis + 90 : axis, maxLegs);
+    }
+
+    return this.buildRoute(track, {
+      pattern,
+      origin,
+      region,
+      spacing,
+      axis,
+      drift,
+      speedKnots: request.speedKnots,
+      startTime: request.startTime || null,
+      unitType: request.unitType || 'vessel',
+      name: request.name || `${PATTERNS[pattern]} ${region.source}`
+    });
+  }
+
+  /**
+   * Points outlining the area to search
+   * @returns {Object} - { source, points, centroid }
+   */
+  resolveRegion(results, region = 'polygon50', searchHour) {
+    let source;
+    let points;
+
+    if (region === 'polygon50' || region === 'polygon90') {
+      source = region;
+      points = results.probability?.[region] || [];
+    } else if (region === 'high-density' || region?.type === 'high-density') {
+      const fraction = region.fraction || 0.5;
+      source = `high-density ${Math.round(fraction * 100)}%`;
+      points = this.highDensityPoints(results, fraction, searchHour);
+    } else if (region?.polygon) {
+      source = 'polygon';
+      points = region.polygon;
+    } else if (region?.bounds) {
+      const b = region.bounds;
+      source = 'bounds';
+      points = [
+        { lat: b.south, lng: b.west }, { lat: b.south, lng: b.east },
+        { lat: b.north, lng: b.east }, { lat: b.north, lng: b.west }
+      ];
+    } else {
+      throw new Error('region must be polygon50, polygon90, high-density, { bounds } or { polygon }');
+    }
+
+    if (!points || points.length === 0) {
+      throw new Error(`Search region '${source}' is empty`);
+    }
+
+    return {
+      source,
+      points: points.map(p => ({ lat: p.lat, lng: p.lng })),
+      centroid: {
+        lat: points.reduce((sum, p) => sum + p.lat, 0) / points.length,
+        lng: points.reduce((sum, p) => sum + p.lng, 0) / points.length
+      }
+    };
+  }
+
+  /**
+   * Corners of the densest cells holding `fraction` of the probability mass
+   */
+  highDensityPoints(results, fraction, searchHour) {
+    const snapshot = (results.snapshots || []).find(s => s.time === Math.round(searchHour * 3600));
+    const density = snapshot ? new DensityAnalyzer().analyze(snapshot.particles) : results.density;
+    const total = density.heatMap.reduce((sum, cell) => sum + (cell.mass ?? cell.count), 0);
+    const half = (density.gridSize || 0.01) / 2;
+
+    const points = [];
+    let held = 0;
+    for (const cell of density.heatMap) {
+      if (held >= fraction * total) break;
+      held += cell.mass ?? cell.count;
+      points.push(
+        { lat: cell.lat - half, lng: cell.lng - half }, { lat: cell.lat - half, lng: cell.lng + half },
+        { lat: cell.lat + half, lng: cell.lng + half }, { lat: cell.lat + half, lng: cell.lng - half }
+      );
+    }
+    return points;
+  }
+
+  /**
+   * Surface drift (knots, toward) of the particle centroid around the search hour
+   */
+  estimateDrift(snapshots, searchHour) {
+    const located = snapshots.filter(s => s.centroid);
+    const after = located.findIndex(s => s.hour > searchHour);
+    const pair = after > 0
+      ? [located[after - 1], located[after]]
+      : located.slice(-2);
+
+    if (pair.length < 2 || pair[1].hour === pair[0].hour) {
+      return { applied: false, speedKnots: 0, direction: 0, east: 0, north: 0 };
+    }
+
+    const hours = pair[1].hour - pair[0].hour;
+    const moved = this.project(pair[0].centroid, pair[1].centroid);
+    const east = moved.x / hours;
+    const north = moved.y / hours;
+    return {
+      applied: true,
+      speedKnots: Math.sqrt(east * east + north * north),
+      direction: (CoordinateUtils.toDegrees(Math.atan2(east, north)) + 360) % 360,
+      east,
+      north
+    };
+  }
+
+  /**
+   * Long-axis bearing (0-180) of a point cloud in the local plane
+   */
+  principalAxis(points) {
+    const n = points.length;
+    const mx = points.reduce((sum, p) => sum + p.x, 0) / n;
+    const my = points.reduce((sum, p) => sum + p.y, 0) / n;
+    let sxx = 0;
+    let syy = 0;
+    let sxy = 0;
+    points.forEach(p => {
+      sxx += (p.x - mx) ** 2;
+      syy += (p.y - my) ** 2;
+      sxy += (p.x - mx) * (p.y - my);
+    });
+    // Angle of the major eigenvector, converted from math angle to bearing
+    const angle = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+    return ((90 - CoordinateUtils.toDegrees(angle)) % 180 + 180) % 180;
+  }
+
+  /**
+   * Expanding square from the datum, until the square covers the area
+   * @returns {Array} - Water-frame waypoints { x, y } in NM
+   */
+  expandingSquare(points, spacing, heading, maxLegs) {
+    const radius = Math.max(spacing, ...points.map(p => Math.sqrt(p.x * p.x + p.y * p.y)));
+    const track = [{ x: 0, y: 0 }];
+    let position = { x: 0, y: 0 };
+
+    for (let leg = 0; leg < maxLegs; leg++) {
+      const length = spacing * (Math.floor(leg / 2) + 1);
+      if (length > 2 * radius + spacing) break;
+      const bearing = CoordinateUtils.toRadians(heading + 90 * leg);
+      position = { x: position.x + length * Math.sin(bearing), y: position.y + length * Math.cos(bearing) };
+      track.push(position);
+    }
+    return track;
+  }
+
+  /**
+   * Sector search: triangles on headings h, h+240, h+120 return through the datum
+   */
+  sector(points, heading) {
+    const radius = Math.max(...points.map(p => Math.sqrt(p.x * p.x + p.y * p.y)));
+    const at = bearing => {
+      const rad = CoordinateUtils.toRadians(bearing);
+      return { x: radius * Math.sin(rad), y: radius * Math.cos(rad) };
+    };
+
+    const track = [{ x: 0, y: 0 }];
+    [0, 240, 120].forEach(turn => {
+      track.push(at(heading + turn), at(heading + turn + 60), { x: 0, y: 0 });
+    });
+    return track;
+  }
+
+  /**
+   * Parallel tracks along `trackBearing`, S apart, first track S/2 inside the area
+   * (creeping line is the same layout with tracks across the long axis)
+   */
+  parallelTracks(points, spacing, trackBearing, maxLegs) {
+    const rad = CoordinateUtils.toRadians(trackBearing);
+    const along = { x: Math.sin(rad), y: Math.cos(rad) };
+    const across = { x: along.y, y: -along.x }; // 90° to the right
+
+    const a = points.map(p => p.x * along.x + p.y * along.y);
+    const c = points.map(p => p.x * across.x + p.y * across.y);
+    const aMin = Math.min(...a);
+    const aMax = Math.max(...a);
+    const cMin = Math.min(...c);
+    const cMax = Math.max(...c);
+
+    const width = cMax - cMin;
+    // Tolerance so rounding in the rotation cannot add a track outside the area
+    const trackCount = Math.min(maxLegs, Math.max(1, Math.ceil(width / spacing - 1e-9)));
+    const start = aMin + Math.min(spacing / 2, (aMax - aMin) / 2);
+    const end = aMax - Math.min(spacing / 2, (aMax - aMin) / 2);
+    const toPlane = (u, v) => ({ x: u * along.x + v * across.x, y: u * along.y + v * across.y });
+
+    const track = [];
+    for (let k = 0; k < trackCount; k++) {
+      const offset = cMin + spacing * (k + 0.5);
+      const [from, to] = k % 2 === 0 ? [start, end] : [end, start];
+      track.push(toPlane(from, offset), toPlane(to, offset));
+    }
+    return track;
+  }
+
+  /**
+   * Apply timing and drift, then convert to geographic waypoints and legs
+   */
+  buildRoute(track, options) {
+    const { origin, drift, speedKnots, spacing } = options;
+    const commence = options.startTime ? new Date(options.startTime).getTime() : null;
+
+    let elapsedHours = 0;
+    const waypoints = track.map((point, i) => {
+      if (i > 0) {
+        const prev = track[i - 1];
+        elapsedHours += Math.sqrt((point.x - prev.x) ** 2 + (point.y - prev.y) ** 2) / speedKnots;
+      }
+      const shifted = {
+        x: point.x + drift.east * elapsedHours,
+        y: point.y + drift.north * elapsedHours
+      };
+      return {
+        seq: i + 1,
+        ...this.unproject(origin, shifted),
+        elapsedMinutes: elapsedHours * 60,
+        time: commence !== null ? new Date(commence + elapsedHours * 3600000).toISOString() : null
+      };
+    });
+
+    const legs = waypoints.slice(1).map((to, i) => {
+      const from = waypoints[i];
+      return {
+        seq: i + 1,
+        from: from.seq,
+        to: to.seq,
+        bearing: CoordinateUtils.bearing(from.lat, from.lng, to.lat, to.lng),
+        distanceNm: CoordinateUtils.kmToNm(CoordinateUtils.distance(from.lat, from.lng, to.lat, to.lng)),
+        durationMinutes: to.elapsedMinutes - from.elapsedMinutes
+      };
+    });
+
+    const waterTrackNm = track.slice(1).reduce((sum, point, i) => (
+      sum + Math.sqrt((point.x - track[i].x) ** 2 + (point.y - track[i].y) ** 2)
+    ), 0);
+
+    return {
+      name: options.name,
+      pattern: options.pattern,
+      code: PATTERNS[options.pattern],
+      unitType: options.unitType,
+      region: { source: options.region.source, centroid: options.region.centroid },
+      trackSpacingNm: spacing,
+      orientation: options.axis,
+      speedKnots,
+      commenceSearchPoint: { lat: waypoints[0].lat, lng: waypoints[0].lng, time: waypoints[0].time },
+      waypoints,
+      legs,
+      totals: {
+        legs: legs.length,
+        trackLengthNm: waterTrackNm,
+        durationHours: elapsedHours,
+        areaCoveredNm2: waterTrackNm * spacing
+      },
+      drift: {
+        applied: drift.applied,
+        speedKnots: drift.speedKnots,
+        direction: drift.direction
+      }
+    };
+  }
+
+  /**
+   * Local tangent plane (NM east / north of an origin)
+   */
+  project(origin, point) {
+    return {
+      x: Geodesy.wrapLongitude(point.lng - origin.lng) * NM_PER_DEGREE * Math.cos(CoordinateUtils.toRadians(origin.lat)),
+      y: (point.lat - origin.lat) * NM_PER_DEGREE
+    };
+  }
+
+  unproject(origin, point) {
+    const offset = Geodesy.offsetNorthEast(origin, CoordinateUtils.nmToKm(point.y), CoordinateUtils.nmToKm(point.x));
+    return Geodesy.move(origin, offset.lat, offset.lng);
+  }
+}
+
+SearchPatternGenerator.CODES = PATTERNS;
+
+module.exports = SearchPatternGenerator;
@@ -0,0 +1,313 @@
+/**
+ * SearchPlanner.js
+ * Search effort allocation from a drift distribution (IAMSAR / Koopman search theory)
+ *
+ * For each density cell:
+ *   POC - probability of containment: share of all particles (or of their
+ *         probability weight, after searches) in the cell
+ * For each search area (planner-supplied, or square blocks of cells):
+ *   Z   - effort: track-line length x sweep width of the units assigned (NM²)
+ *   C   - coverage factor: Z / area
+ *   POD - probability of detection: 1 - exp(-C) (random / exponential detection)
+ *   POS - probability of success: POC x POD
+ * Cells take their area's coverage, so POD and POS are also reported per
+ * cell, best first, with the cumulative POS of searching down to that cell.
+ *
+ * Units are allocated greedily: each unit (largest effort first) goes to
+ * the area where it adds the most POS given the units already there. POD is
+ * concave in effort, so this converges on the optimal (Koopman) allocation
+ * as units get small relative to the areas.
+ */
+
+const Geodesy = require('../physics/Geodesy');
+
+const NM_PER_DEGREE = Geodesy.KM_PER_DEGREE / 1.852;
+
+class SearchPlanner {
+  /**
+   * @param {Object} options - { areaSizeNm } side of auto-generated search areas (default 3)
+   */
+  constructor(options = {}) {
+    this.areaSizeNm = options.areaSizeNm || 3;
+  }
+
+  /**
+   * Build a search plan
+   * @param {Object} density - DensityAnalyzer output ({ heatMap, gridSize })
+   * @param {Object} request - { units, areas, totalParticles, totalMass }
+   *   units: [{ id, name, sweepWidthNm, speedKnots, enduranceHours, transitHours, count }]
+   *   areas: optional [{ id, name, bounds: { north, south, east, west } } or { id, name, polygon: [{ lat, lng }] }]
+   *   totalParticles: particles the POC is a share of (default: particles in cells)
+   *   totalMass: probability weight the POC is a share of, for weighted densities
+   *     (default: totalParticles)
+   * @returns {Object} - { units, areas, cells, allocation, totals }
+   */
+  plan(density, request = {}) {
+    const units = this.normalizeUnits(request.units);
+    const gridSize = density.gridSize || 0.01;
+    const counted = density.heatMap.reduce((sum, cell) => sum + (cell.mass ?? cell.count), 0);
+    const totalParticles = request.totalParticles || density.heatMap.reduce((sum, cell) => sum + cell.count, 0);
+    const totalMass = request.totalMass ?? (request.totalParticles || counted);
+
+    const cells = density.heatMap.map(cell => ({
+      lat: cell.lat,
+      lng: cell.lng,
+      count: cell.count,
+      poc: totalMass > 0 ? (cell.mass ?? cell.count) / totalMass : 0,
+      areaId: null
+    }));
+
+    const areas = request.areas && request.areas.length > 0
+      ? this.assignToAreas(cells, request.areas)
+      : this.blockAreas(cells, gridSize);
+
+    const allocation = this.allocate(units, areas);
+
+    // Coverage, POD and POS per area, then per cell
+    areas.forEach(area => {
+      area.coverage = area.areaNm2 > 0 ? area.effortNm2 / area.areaNm2 : 0;
+      area.pod = 1 - Math.exp(-area.coverage);
+      area.pos = area.poc * area.pod;
+    });
+
+    const byId = new Map(areas.map(area => [area.id, area]));
+    cells.forEach(cell => {
+      const area = byId.get(cell.areaId);
+      cell.coverage = area ? area.coverage : 0;
+      cell.pod = area ? area.pod : 0;
+      cell.pos = cell.poc * cell.pod;
+    });
+    cells.sort((a, b) => b.pos - a.pos || b.poc - a.poc);
+
+    // Running POS from the best cell down: how much success the top N cells give
+    let cumulativePos = 0;
+    cells.forEach(cell => {
+      cumulativePos += cell.pos;
+      cell.cumulativePos = cumulativePos;
+    });
+
+    const poc = areas.reduce((sum, area) => sum + area.poc, 0);
+    const pos = areas.reduce((sum, area) => sum + area.pos, 0);
+
+    return {
+      gridSize,
+      totalParticles,
+      units,
+      areas: areas.sort((a, b) => b.pos - a.pos || b.poc - a.poc),
+      cells,
+      allocation,
+      totals: {
+        poc,
+        pos,
+        pod: poc > 0 ? pos / poc : 0,
+        effortNm2: units.reduce((sum, unit) => sum + unit.effortNm2, 0),
+        unassignedPoc: Math.max(0, counted / (totalMass || 1) - poc)
+      }
+    };
+  }
+
+  /**
+   * Validate units and work out each one's search effort
+   * Units with a count are expanded into individual units
+   */
+  normalizeUnits(units) {
+    if (!Array.isArray(units) || units.length === 0) {
+      throw new Error('At least one search unit is required');
+    }
+
+    const expanded = [];
+    units.forEach((unit, i) => {
+      const id = unit.id || `unit-${i + 1}`;
+      ['sweepWidthNm', 'speedKnots', 'enduranceHours'].forEach(field => {
+        if (typeof unit[field] !== 'number' || !(unit[field] > 0)) {
+          throw new Error(`Search unit '${id}' needs a positive ${field}`);
+        }
+      });
+
+      const transitHours = unit.transitHours || 0;
+      const searchHours = Math.max(0, unit.enduranceHours - 2 * transitHours);
+      const count = Number.isInteger(unit.count) && unit.count > 1 ? unit.count : 1;
+
+      for (let n = 0; n < count; n++) {
+        expanded.push({
+          id: count > 1 ? `${id}-${n + 1}` : id,
+          name: unit.name || id,
+          sweepWidthNm: unit.sweepWidthNm,
+          speedKnots: unit.speedKnots,
+          enduranceHours: unit.enduranceHours,
+          transitHours,
+          searchHours,
+          trackLengthNm: unit.speedKnots * searchHours,
+          effortNm2: unit.speedKnots * searchHours * unit.sweepWidthNm
+        });
+      }
+    });
+    return expanded;
+  }
+
+  /**
+   * Greedy effort allocation
+   * @returns {Array} - [{ unitId, areaId, posGain, coverage, trackSpacingNm }]
+   */
+  allocate(units, areas) {
+    areas.forEach(area => {
+      area.effortNm2 = 0;
+      area.units = [];
+    });
+
+    const order = [...units].sort((a, b) => b.effortNm2 - a.effortNm2);
+    const allocation = [];
+
+    order.forEach(unit => {
+      let best = null;
+      let bestGain = 0;
+      areas.forEach(area => {
+        if (area.areaNm2 <= 0) return;
+        const gain = area.poc * (
+          Math.exp(-area.effortNm2 / area.areaNm2) - Math.exp(-(area.effortNm2 + unit.effortNm2) / area.areaNm2)
+        );
+        if (gain > bestGain) {
+          best = area;
+          bestGain = gain;
+        }
+      });
+
+      if (!best) {
+        allocation.push({ unitId: unit.id, areaId: null, posGain: 0, coverage: 0, trackSpacingNm: null });
+        return;
+      }
+
+      best.effortNm2 += unit.effortNm2;
+      best.units.push(unit.id);
+      allocation.push({
+        unitId: unit.id,
+        areaId: best.id,
+        posGain: bestGain,
+        coverage: unit.effortNm2 / best.areaNm2,
+        // Parallel tracks S apart cover the area once: S = area / track length
+        trackSpacingNm: unit.trackLengthNm > 0 ? best.areaNm2 / unit.trackLengthNm : null
+      });
+    });
+
+    return allocation;
+  }
+
+  /**
+   * Group cells into square blocks of about areaSizeNm on a side
+   */
+  blockAreas(cells, gridSize) {
+    if (cells.length === 0) return [];
+
+    const meanLat = cells.reduce((sum, c) => sum + c.lat, 0) / cells.length;
+    const latSize = Math.max(gridSize, Math.round(this.areaSizeNm / NM_PER_DEGREE / gridSize) * gridSize);
+    const lngSize = latSize / Math.max(0.01, Math.cos(meanLat * Math.PI / 180));
+
+    const blocks = new Map();
+    cells.forEach(cell => {
+      const row = Math.floor(cell.lat / latSize);
+      const col = Math.floor(cell.lng / lngSize);
+      const id = `area-${row}-${col}`;
+      if (!blocks.has(id)) {
+        const bounds = {
+          south: row * latSize,
+          north: (row + 1) * latSize,
+          west: col * lngSize,
+          east: (col + 1) * lngSize
+        };
+        blocks.set(id, { id, name: id, bounds, areaNm2: this.boundsAreaNm2(bounds), poc: 0, cells: 0 });
+      }
+      const block = blocks.get(id);
+      block.poc += cell.poc;
+      block.cells++;
+      cell.areaId = id;
+    });
+
+    return [...blocks.values()];
+  }
+
+  /**
+   * Assign cells to planner-supplied areas (first match wins)
+   */
+  assignToAreas(cells, areas) {
+    const planned = areas.map((area, i) => {
+      const id = area.id || `area-${i + 1}`;
+      if (area.polygon) {
+        if (!Array.isArray(area.polygon) || area.polygon.length < 3) {
+          throw new Error(`Search area '${id}' polygon needs at least 3 points`);
+        }
+        return { id, name: area.name || id, polygon: area.polygon, areaNm2: this.polygonAreaNm2(area.polygon), poc: 0, cells: 0 };
+      }
+      const b = area.bounds;
+      if (!b || !(b.north > b.south) || typeof b.east !== 'number' || typeof b.west !== 'number') {
+        throw new Error(`Search area '${id}' needs bounds { north, south, east, west } or a polygon`);
+      }
+      return { id, name: area.name || id, bounds: { ...b }, areaNm2: this.boundsAreaNm2(b), poc: 0, cells: 0 };
+    });
+
+    cells.forEach(cell => {
+      const area = planned.find(a => (a.polygon
+        ? this.isPointInPolygon(cell, a.polygon)
+        : this.isInBounds(cell, a.bounds)));
+      if (area) {
+        area.poc += cell.poc;
+        area.cells++;
+        cell.areaId = area.id;
+      }
+    });
+
+    return planned;
+  }
+
+  /**
+   * Bounds test; east may be less than west for areas across the antimeridian
+   */
+  isInBounds(point, b) {
+    return point.lat >= b.south && point.lat < b.north &&
+      this.eastOf(point.lng, b.west) < this.eastOf(b.east, b.west);
+  }
+
+  /**
+   * Degrees east of a reference longitude, in [0, 360)
+   */
+  eastOf(lng, west) {
+    return (((lng - west) % 360) + 360) % 360;
+  }
+
+  boundsAreaNm2(b) {
+    const midLat = (b.north + b.south) / 2;
+    const width = this.eastOf(b.east, b.west);
+    return (b.north - b.south) * NM_PER_DEGREE * width * NM_PER_DEGREE * Math.cos(midLat * Math.PI / 180);
+  }
+
+  /**
+   * Planar (shoelace) polygon area, longitudes scaled at the mean latitude
+   */
+  polygonAreaNm2(polygon) {
+    const meanLat = polygon.reduce((sum, p) => sum + p.lat, 0) / polygon.length;
+    const scale = Math.cos(meanLat * Math.PI / 180);
+    let sum = 0;
+    polygon.forEach((p, i) => {
+      const q = polygon[(i + 1) % polygon.length];
+      sum += (p.lng * scale) * q.lat - (q.lng * scale) * p.lat;
+    });
+    return Math.abs(sum / 2) * NM_PER_DEGREE * NM_PER_DEGREE;
+  }
+
+  /**
+   * Ray casting point-in-polygon test
+   */
+  isPointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[i];
+      const b = polygon[j];
+      if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+          point.lng < (b.lng - a.lng) * (point.lat - a.lat) / (b.lat - a.lat) + a.lng) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+}
+
+module.exports = SearchPlanner;
@@ -0,0 +1,178 @@
+/**
+ * SearchUpdater.js
+ * Bayesian update of the drift distribution after searches that found nothing
+ *
+ * Each completed sortie sweeps a corridor along its track. A particle (afloat
+ * or beached) inside the corridor at the time of the search would have been
+ * detected with probability POD, so once the sortie comes back empty its
+ * weight becomes w x (1 - POD). Sorties are replayed in time order against
+ * the snapshot nearest their search hour, so a particle searched twice keeps
+ * (1 - POD1)(1 - POD2) of its weight and carries that factor into later
+ * hours (on top of whatever weight the run itself gives it there).
+ *
+ *   Corridor - half the track spacing either side of the track (half the
+ *              sweep width for a single pass)
+ *   POD      - as reported by the unit, else 1 - exp(-W / S) with coverage
+ *              W / S (sweep width over track spacing; 1 for a single pass)
+ *   POS      - weight removed by the sortie, as a share of the initial total
+ * Cumulative POS is the share of the initial weight removed by all sorties:
+ * the chance the object would have been found by now if the drift model
+ * is right. The rest of the weight is what later plans search for.
+ */
+
+const Geodesy = require('../physics/Geodesy');
+
+const NM_PER_DEGREE = Geodesy.KM_PER_DEGREE / 1.852;
+
+class SearchUpdater {
+  /**
+   * Validate a reported sortie
+   * @param {Object} sortie - { id, name, unitId, hour, track: [{ lat, lng }],
+   *   sweepWidthNm, trackSpacingNm, pod }
+   * @param {Number} index - Position in the case's sortie list (for the default id)
+   * @returns {Object} - Normalised sortie with its POD resolved
+   */
+  normalize(sortie, index = 0) {
+    const id = sortie.id || `sortie-${index + 1}`;
+
+    if (!Array.isArray(sortie.track) || sortie.track.length < 2 ||
+        sortie.track.some(p => typeof p?.lat !== 'number' || typeof p?.lng !== 'number')) {
+      throw new Error(`Sortie '${id}' needs a track of at least 2 { lat, lng } points`);
+    }
+    if (typeof sortie.sweepWidthNm !== 'number' || !(sortie.sweepWidthNm > 0)) {
+      throw new Error(`Sortie '${id}' needs a positive sweepWidthNm`);
+    }
+    if (sortie.trackSpacingNm !== undefined && sortie.trackSpacingNm !== null &&
+        (typeof sortie.trackSpacingNm !== 'number' || !(sortie.trackSpacingNm > 0))) {
+      throw new Error(`Sortie '${id}' trackSpacingNm must be positive`);
+    }
+    if (sortie.pod !== undefined && sortie.pod !== null &&
+        (typeof sortie.pod !== 'number' || sortie.pod < 0 || sortie.pod > 1)) {
+      throw new Error(`Sortie '${id}' pod must be between 0 and 1`);
+    }
+    if (typeof sortie.hour !== 'number' || !(sortie.hour >= 0)) {
+      throw new Error(`Sortie '${id}' needs the simulation hour it was flown`);
+    }
+
+    const trackSpacingNm = sortie.trackSpacingNm || null;
+    return {
+      id,
+      name: sortie.name || id,
+      unitId: sortie.unitId || null,
+      hour: sortie.hour,
+      track: sortie.track.map(p => ({ lat: p.lat, lng: p.lng })),
+      sweepWidthNm: sortie.sweepWidthNm,
+      trackSpacingNm,
+      pod: sortie.pod ?? 1 - Math.exp(-sortie.sweepWidthNm / (trackSpacingNm || sortie.sweepWidthNm)),
+      recordedAt: sortie.recordedAt || new Date().toISOString()
+    };
+  }
+
+  /**
+   * Replay sorties flown up to `hour` over the run's snapshots
+   * @param {Array} snapshots - Simulation snapshots (particles carry stable ids)
+   * @param {Array} sorties - Normalised sorties
+   * @param {Number} hour - Only sorties flown at or before this hour count (default: all)
+   * @returns {Object} - { weights: Map(particleId -> factor), sorties, cumulativePos, remainingProbability }
+   *   where factor is the chance every sortie so far missed the particle
+   */
+  update(snapshots, sorties, hour = Infinity) {
+    const weights = new Map();
+    if (snapshots.length === 0) {
+      return { weights, sorties: [], cumulativePos: 0, remainingProbability: 1 };
+    }
+
+    const total = snapshots[0].particles.reduce((sum, p) => sum + (p.weight ?? 1), 0);
+    let remaining = total;
+
+    // Stable sort: sorties flown in the same hour apply in the order recorded
+    const flown = sorties.filter(s => s.hour <= hour).sort((a, b) => a.hour - b.hour);
+
+    const applied = flown.map(sortie => {
+      const snapshot = this.snapshotAt(snapshots, sortie.hour);
+      let removed = 0;
+      let swept = 0;
+
+      snapshot.particles.forEach(p => {
+        if ((p.status !== 'active' && p.status !== 'beached') || !this.isSwept(p, sortie)) return;
+        const missed = weights.has(p.id) ? weights.get(p.id) : 1;
+        weights.set(p.id, missed * (1 - sortie.pod));
+        removed += (p.weight ?? 1) * missed * sortie.pod;
+        swept++;
+      });
+
+      const before = remaining;
+      remaining -= removed;
+      return {
+        ...sortie,
+        snapshotHour: snapshot.hour,
+        particlesSwept: swept,
+        pos: total > 0 ? removed / total : 0,
+        // POS given that every earlier sortie came back empty
+        conditionalPos: before > 0 ? removed / before : 0,
+        cumulativePos: total > 0 ? 1 - remaining / total : 0
+      };
+    });
+
+    return {
+      weights,
+      sorties: applied,
+      cumulativePos: total > 0 ? 1 - remaining / total : 0,
+      remainingProbability: total > 0 ? remaining / total : 1
+    };
+  }
+
+  /**
+   * Copy particles with their updated weights attached
+   */
+  applyWeights(particles, weights) {
+    return particles.map(p => ({
+      ...p,
+      weight: (p.weight ?? 1) * (weights.has(p.id) ? weights.get(p.id) : 1)
+    }));
+  }
+
+  /**
+   * Snapshot closest in time to the given hour
+   */
+  snapshotAt(snapshots, hour) {
+    const time = hour * 3600;
+    return snapshots.reduce((best, s) => (Math.abs(s.time - time) < Math.abs(best.time - time) ? s : best));
+  }
+
+  /**
+   * Whether a position lies inside the sortie's swept corridor
+   */
+  isSwept(point, sortie) {
+    const halfWidth = (sortie.trackSpacingNm || sortie.sweepWidthNm) / 2;
+    const local = sortie.track.map(p => this.project(point, p));
+    for (let i = 1; i < local.length; i++) {
+      if (this.distanceToSegment(local[i - 1], local[i]) <= halfWidth) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Local plane (NM east / north) centred on origin; longitudes wrap at the antimeridian
+   */
+  project(origin, point) {
+    const dLng = Geodesy.wrapLongitude(point.lng - origin.lng);
+    return {
+      x: dLng * NM_PER_DEGREE * Math.cos(origin.lat * Math.PI / 180),
+      y: (point.lat - origin.lat) * NM_PER_DEGREE
+    };
+  }
+
+  /**
+   * Distance from the plane origin to segment a-b
+   */
+  distanceToSegment(a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq)) : 0;
+    return Math.hypot(a.x + t * dx, a.y + t * dy);
+  }
+}
+
+module.exports = SearchUpdater;
@@ -0,0 +1,159 @@
+/**
+ * FileSimulationStore.js
+ * Default SimulationStore backed by JSON files
+ *
+ * Layout (one directory per simulation):
+ *   <dir>/<id>/record.json
+ *   <dir>/<id>/environment.json
+ *   <dir>/<id>/results.json
+ *   <dir>/<id>/searches.json
+ *   <dir>/<id>/snapshots/<seconds>.json
+ *
+ * Writes go to a temporary file and are renamed into place, so a crash
+ * mid-write never leaves a truncated record behind.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const SimulationStore = require('./SimulationStore');
+
+let tmpCounter = 0; // unique temp file names for writes in the same millisecond
+
+class FileSimulationStore extends SimulationStore {
+  /**
+   * @param {Object} options - { dir } storage root
+   */
+  constructor(options = {}) {
+    super();
+    this.dir = path.resolve(
+      options.dir || process.env.SIMULATION_DATA_DIR || path.join(process.cwd(), 'data', 'simulations')
+    );
+  }
+
+  simulationDir(id) {
+    // Ids are generated internally, but never let one escape the store root
+    if (!/^[\w-]+$/.test(id)) {
+      throw new Error('Invalid simulation id');
+    }
+    return path.join(this.dir, id);
+  }
+
+  async writeJson(filePath, data) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.${++tmpCounter}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(data));
+    await fs.rename(tmpPath, filePath);
+  }
+
+  async readJson(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async saveSimulation(record) {
+    await this.writeJson(path.join(this.simulationDir(record.id), 'record.json'), {
+      ...record,
+      updatedAt: Date.now()
+    });
+  }
+
+  async loadSimulation(id) {
+    return this.readJson(path.join(this.simulationDir(id), 'record.json'));
+  }
+
+  async listSimulations() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+      try {
+        const record = await this.loadSimulation(entry.name);
+        if (record) records.push(record);
+      } catch (error) {
+        console.error(`[FileSimulationStore] Skipping unreadable simulation ${entry.name}:`, error.message);
+      }
+    }
+
+    return records.sort((a, b) => a.startTime - b.startTime);
+  }
+
+  async deleteSimulation(id) {
+    await fs.rm(this.simulationDir(id), { recursive: true, force: true });
+  }
+
+  async saveEnvironment(id, environment) {
+    await this.writeJson(path.join(this.simulationDir(id), 'environment.json'), environment);
+  }
+
+  async loadEnvironment(id) {
+    return this.readJson(path.join(this.simulationDir(id), 'environment.json'));
+  }
+
+  async saveSnapshot(id, snapshot) {
+    await this.writeJson(
+      path.join(this.simulationDir(id), 'snapshots', `${snapshot.time}.json`),
+      snapshot
+    );
+  }
+
+  async loadSnapshots(id) {
+    const snapshotDir = path.join(this.simulationDir(id), 'snapshots');
+    let files;
+    try {
+      files = await fs.readdir(snapshotDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const times = files
+      .filter(f => f.endsWith('.json'))
+      .map(f => parseFloat(f))
+      .filter(t => !isNaN(t))
+      .sort((a, b) => a - b);
+
+    const snapshots = [];
+    for (const time of times) {
+      const snapshot = await this.readJson(path.join(snapshotDir, `${time}.json`));
+      if (snapshot) snapshots.push(snapshot);
+    }
+    return snapshots;
+  }
+
+  async clearSnapshots(id) {
+    await fs.rm(path.join(this.simulationDir(id), 'snapshots'), { recursive: true, force: true });
+  }
+
+  async saveResults(id, results) {
+    // Snapshots are already on disk individually
+    const { snapshots, ...rest } = results;
+    await this.writeJson(path.join(this.simulationDir(id), 'results.json'), rest);
+  }
+
+  async loadResults(id) {
+    const results = await this.readJson(path.join(this.simulationDir(id), 'results.json'));
+    if (!results) return null;
+    return { ...results, snapshots: await this.loadSnapshots(id) };
+  }
+
+  async saveSearches(id, searches) {
+    await this.writeJson(path.join(this.simulationDir(id), 'searches.json'), searches);
+  }
+
+  async loadSearches(id) {
+    return (await this.readJson(path.join(this.simulationDir(id), 'searches.json'))) || [];
+  }
+}
+
+module.exports = FileSimulationStore;
@@ -0,0 +1,92 @@
+/**
+ * SimulationStore.js
+ * Persistence interface for simulations
+ * Implementations must survive process restarts (file system, SQLite, database, ...)
+ *
+ * A simulation record is { id, status, progress, config, seed, startTime, endTime, error }.
+ * Snapshots are stored individually as they are produced; results are stored
+ * without snapshots and re-joined with them on load.
+ */
+
+class SimulationStore {
+  /**
+   * Create or replace a simulation record
+   */
+  async saveSimulation(record) {
+    throw new Error(`${this.constructor.name}.saveSimulation not implemented`);
+  }
+
+  /**
+   * @returns {Object|null} - Record or null if unknown
+   */
+  async loadSimulation(id) {
+    throw new Error(`${this.constructor.name}.loadSimulation not implemented`);
+  }
+
+  /**
+   * @returns {Array} - All stored records
+   */
+  async listSimulations() {
+    throw new Error(`${this.constructor.name}.listSimulations not implemented`);
+  }
+
+  /**
+   * Remove a simulation and everything stored with it
+   */
+  async deleteSimulation(id) {
+    throw new Error(`${this.constructor.name}.deleteSimulation not implemented`);
+  }
+
+  /**
+   * Forcing used by a run ({ provided, forcingField }), kept so resumes replay it exactly
+   */
+  async saveEnvironment(id, environment) {
+    throw new Error(`${this.constructor.name}.saveEnvironment not implemented`);
+  }
+
+  async loadEnvironment(id) {
+    throw new Error(`${this.constructor.name}.loadEnvironment not implemented`);
+  }
+
+  async saveSnapshot(id, snapshot) {
+    throw new Error(`${this.constructor.name}.saveSnapshot not implemented`);
+  }
+
+  /**
+   * @returns {Array} - Snapshots ordered by time
+   */
+  async loadSnapshots(id) {
+    throw new Error(`${this.constructor.name}.loadSnapshots not implemented`);
+  }
+
+  async clearSnapshots(id) {
+    throw new Error(`${this.constructor.name}.clearSnapshots not implemented`);
+  }
+
+  async saveResults(id, results) {
+    throw new Error(`${this.constructor.name}.saveResults not implemented`);
+  }
+
+  /**
+   * @returns {Object|null} - Results with snapshots attached, or null
+   */
+  async loadResults(id) {
+    throw new Error(`${this.constructor.name}.loadResults not implemented`);
+  }
+
+  /**
+   * Completed search sorties recorded against a simulation (replaces the list)
+   */
+  async saveSearches(id, searches) {
+    throw new Error(`${this.constructor.name}.saveSearches not implemented`);
+  }
+
+  /**
+   * @returns {Array} - Recorded sorties, empty if none
+   */
+  async loadSearches(id) {
+    throw new Error(`${this.constructor.name}.loadSearches not implemented`);
+  }
+}
+
+module.exports = SimulationStore;
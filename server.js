@@ -29,18 +29,56 @@ try {
   }
 }
 
+// Optional forcing data services for the drift engine
+let HFRadarService;
+let ADCIRCService;
+try {
+  HFRadarService = require('./services/HFRadarService');
+  ADCIRCService = require('./services/ADCIRCService');
+  console.log('[Server] HF Radar and ADCIRC services loaded');
+} catch (e) {
+  console.log('[Server] HF Radar/ADCIRC services not available');
+  HFRadarService = null;
+  ADCIRCService = null;
+}
+
 // Try to load SimulationController
 let SimulationController;
+let ResultExporter;
+let RouteExporter;
 try {
   SimulationController = require('./drift-engine/api/SimulationController');
+  ResultExporter = require('./drift-engine/export/ResultExporter');
+  RouteExporter = require('./drift-engine/export/RouteExporter');
   console.log('[Server] SimulationController loaded');
 } catch (e) {
   console.log('[Server] SimulationController not available');
   SimulationController = null;
+  ResultExporter = null;
+  RouteExporter = null;
+}
+
+// Leeway object catalog (built-in taxonomy + custom objects)
+let LeewayCatalog;
+try {
+  LeewayCatalog = require('./drift-engine/physics/LeewayCatalog');
+} catch (e) {
+  console.log('[Server] LeewayCatalog not available');
+  LeewayCatalog = null;
+}
+
+// Cold-water survival model
+let SurvivalAnalyzer;
+try {
+  SurvivalAnalyzer = require('./drift-engine/analysis/SurvivalAnalyzer');
+} catch (e) {
+  console.log('[Server] SurvivalAnalyzer not available');
+  SurvivalAnalyzer = null;
 }
 
 const app = express();
 const PORT = process.env.PORT || 8080;
+const QUEUE_RETRY_AFTER_SECONDS = 30; // Retry-After when the simulation queue is full
 
 // Middleware
 app.use(cors({
@@ -52,7 +90,16 @@ app.use(express.json({ limit: '50mb' }));
 
 // Initialize services
 const noaaService = NOAAService ? new NOAAService() : null;
-const simulationController = SimulationController ? new SimulationController() : null;
+const leewayCatalog = LeewayCatalog ? new LeewayCatalog() : null;
+const survivalAnalyzer = SurvivalAnalyzer ? new SurvivalAnalyzer() : null;
+const simulationController = SimulationController ? new SimulationController({
+  leewayCatalog,
+  services: {
+    noaaService,
+    hfRadarService: HFRadarService ? new HFRadarService() : null,
+    adcircService: ADCIRCService ? new ADCIRCService() : null
+  }
+}) : null;
 
 // ============================================
 // HEALTH CHECK ENDPOINT
@@ -65,7 +112,8 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     noaaAvailable: !!noaaService,
-    simulationAvailable: !!simulationController
+    simulationAvailable: !!simulationController,
+    simulationQueue: simulationController ? simulationController.getQueueStats() : null
   });
 });
 
@@ -326,7 +374,14 @@ app.post('/api/noaa/refresh/:dataType/:stationId', async (req, res) => {
 
 /**
  * POST /api/simulations
- * Start a new drift simulation
+ * Start a new drift simulation (503 with Retry-After while the queue is full)
+ * Body: lkp, objectType, particleCount, durationHours, startTime, useLiveData,
+ *   forcing, seed, priority, initialDistribution (see InitialDistribution),
+ *   incidentWindow (ParticleEngine), leeway (LeewayCalculator), mode and
+ *   originWindow (OriginAnalyzer), integration and outputIntervalSeconds
+ *   (TimeSteppingSimulator), ensemble (Ensemble), weighting, victimProfile and
+ *   survival (SurvivalAnalyzer), objects (ObjectClasses), transitions
+ *   (StateTransitions), contourLevels (ProbabilityCalculator)
  */
 app.post('/api/simulations', async (req, res) => {
   try {
@@ -336,6 +391,10 @@ app.post('/api/simulations', async (req, res) => {
     const result = await simulationController.startSimulation(req.body);
     res.json(result);
   } catch (error) {
+    if (error.code === 'QUEUE_FULL') {
+      res.set('Retry-After', String(QUEUE_RETRY_AFTER_SECONDS));
+      return res.status(503).json({ error: error.message });
+    }
     res.status(500).json({ 
       error: error.message,
       details: 'Failed to start simulation'
@@ -361,7 +420,7 @@ app.get('/api/simulations', (req, res) => {
 
 /**
  * GET /api/simulations/:id/status
- * Get simulation status
+ * Get simulation status (includes queuePosition while waiting for a worker)
  */
 app.get('/api/simulations/:id/status', (req, res) => {
   try {
@@ -375,68 +434,475 @@ app.get('/api/simulations/:id/status', (req, res) => {
   }
 });
 
+/**
+ * GET /api/simulations/:id/stream
+ * Server-Sent Events stream of status, progress and snapshots
+ * Query: fromHour (replay snapshots from this hour), particles=false (omit particle arrays)
+ * Reconnecting clients resume after the Last-Event-ID (snapshot hour) automatically
+ */
+app.get('/api/simulations/:id/stream', async (req, res) => {
+  if (!simulationController) {
+    return res.status(503).json({ error: 'Simulation service not available' });
+  }
+
+  const lastEventId = parseFloat(req.get('Last-Event-ID'));
+  const replayFrom = !isNaN(lastEventId)
+    ? { afterHour: lastEventId }
+    : { fromHour: parseFloat(req.query.fromHour) || 0 };
+  const includeParticles = req.query.particles !== 'false';
+  const finalStatuses = ['completed', 'failed', 'stopped', 'interrupted', 'deleted'];
+
+  let unsubscribe = null;
+  let heartbeat = null;
+  let closed = false;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+    res.end();
+  };
+
+  const send = event => {
+    if (closed) return;
+
+    if (event.type === 'snapshot') {
+      const { particles, ...rest } = event.snapshot;
+      const snapshot = includeParticles ? event.snapshot : rest;
+      res.write(`id: ${event.snapshot.hour}\nevent: snapshot\ndata: ${JSON.stringify(snapshot)}\n\n`);
+    } else {
+      const { type, ...data } = event;
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    if (event.type === 'status' && finalStatuses.includes(event.status)) {
+      res.write('event: end\ndata: {}\n\n');
+      close();
+    }
+  };
+
+  try {
+    simulationController.getSimulationStatus(req.params.id);
+  } catch (error) {
+    return res.status(404).json({ error: error.message });
+  }
+
+  try {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    req.on('close', close);
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+    // The replayed status comes first; hold back the end-of-stream until
+    // replayed snapshots have been sent
+    let replaying = true;
+    let finalEvent = null;
+    unsubscribe = await simulationController.subscribe(req.params.id, replayFrom, event => {
+      if (replaying && event.type === 'status' && finalStatuses.includes(event.status)) {
+        finalEvent = event;
+        return;
+      }
+      send(event);
+    });
+    replaying = false;
+
+    if (finalEvent) {
+      send(finalEvent);
+    } else if (closed && unsubscribe) {
+      unsubscribe();
+    }
+  } catch (error) {
+    res.write(`event: error\ndata: ${JSON.stringify({ error: error.message })}\n\n`);
+    close();
+  }
+});
+
 /**
  * GET /api/simulations/:id/results
  * Get simulation results
  */
-app.get('/api/simulations/:id/results', (req, res) => {
+app.get('/api/simulations/:id/results', async (req, res) => {
   try {
     if (!simulationController) {
       return res.status(503).json({ error: 'Simulation service not available' });
     }
-    const results = simulationController.getSimulationResults(req.params.id);
+    const results = await simulationController.getSimulationResults(req.params.id);
     res.json(results);
   } catch (error) {
     res.status(404).json({ error: error.message });
   }
 });
 
+/**
+ * GET /api/simulations/:id/export
+ * Download results as GIS features
+ * Query: format=geojson|kml|csv (default geojson), particles=false (omit snapshot particles)
+ */
+app.get('/api/simulations/:id/export', async (req, res) => {
+  try {
+    if (!simulationController) {
+      return res.status(503).json({ error: 'Simulation service not available' });
+    }
+
+    const format = (req.query.format || 'geojson').toLowerCase();
+    if (!ResultExporter.formats.includes(format)) {
+      return res.status(400).json({
+        error: `Unsupported export format '${format}'`,
+        supported: ResultExporter.formats
+      });
+    }
+
+    const file = await simulationController.exportResults(req.params.id, format, {
+      includeParticles: req.query.particles !== 'false'
+    });
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.body);
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/simulations/:id/resume
+ * Resume a simulation interrupted by a server restart
+ * 503 with Retry-After while the simulation queue is full
+ */
+app.post('/api/simulations/:id/resume', async (req, res) => {
+  try {
+    if (!simulationController) {
+      return res.status(503).json({ error: 'Simulation service not available' });
+    }
+    const result = await simulationController.resumeSimulation(req.params.id);
+    res.json(result);
+  } catch (error) {
+    if (error.code === 'QUEUE_FULL') {
+      res.set('Retry-After', String(QUEUE_RETRY_AFTER_SECONDS));
+      return res.status(503).json({ error: error.message });
+    }
+    const status = error.message === 'Simulation not found' ? 404 : 409;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/simulations/:id/snapshots/:hour
+ * Get the snapshot for a simulated hour
+ * Query: offset, limit (page through the particle list)
+ */
+app.get('/api/simulations/:id/snapshots/:hour', async (req, res) => {
+  try {
+    if (!simulationController) {
+      return res.status(503).json({ error: 'Simulation service not available' });
+    }
+
+    const hour = parseFloat(req.params.hour);
+    const offset = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 0;
+    if (isNaN(hour) || isNaN(offset) || isNaN(limit) || offset < 0 || limit < 0) {
+      return res.status(400).json({ error: 'hour, offset and limit must be non-negative numbers' });
+    }
+
+    const snapshot = await simulationController.getSnapshot(req.params.id, hour, { offset, limit });
+    res.json(snapshot);
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/simulations/:id/stop
+ * Halt a queued or running simulation, keeping partial results
+ */
+app.post('/api/simulations/:id/stop', async (req, res) => {
+  try {
+    if (!simulationController) {
+      return res.status(503).json({ error: 'Simulation service not available' });
+    }
+    const status = await simulationController.stopSimulation(req.params.id);
+    res.json(status);
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/simulations/:id/search-plan
+ * Allocate search units over the drift distribution (POC, coverage, POD, POS)
+ * Body: { units: [{ id, name, sweepWidthNm, speedKnots, enduranceHours, transitHours, count }],
+ *         areas (optional bounds / polygon search areas), areaSizeNm, hour }
+ */
+app.post('/api/simulations/:id/search-plan', async (req, res) => {
+  try {
+    if (!simulationController) {
+      return res.status(503).json({ error: 'Simulation service not available' });
+    }
+    const plan = await simulationController.planSearch(req.params.id, req.body || {});
+    res.json(plan);
+  } catch (error) {
+    let status = 400;
+    if (error.message === 'Simulation not found') status = 404;
+    else if (error.message === 'Simulation not completed yet') status = 409;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/simulations/:id/search-pattern
+ * Generate an IAMSAR search pattern fitted to the probability area
+ * Body: { pattern: expanding-square|sector|parallel-track|creeping-line,
+ *         region: polygon50|polygon90|{ type: 'high-density', fraction }|{ bounds }|{ polygon },
+ *         trackSpacingNm, speedKnots, orientation, searchHour, startTime, unitType,
+ *         driftCompensation (default true) }
+ * Query: format=json|gpx|geojson (default json)
+ */
+app.post('/api/simulations/:id/search-pattern', async (req, res) => {
+  try {
+    if (!simulationController) {
+      return res.status(503).json({ error: 'Simulation service not available' });
+    }
+
+    const format = (req.query.format || 'json').toLowerCase();
+    if (format !== 'json' && !RouteExporter.formats.includes(format)) {
+      return res.status(400).json({
+        error: `Unsupported route format '${format}'`,
+        supported: ['json', ...RouteExporter.formats]
+      });
+    }
+
+    const result = await simulationController.generateSearchPattern(req.params.id, req.body || {}, format);
+    if (format === 'json') {
+      return res.json(result);
+    }
+    res.set('Content-Type', result.contentType);
+    res.set('Content-Disposition', `attachment; filename="${result.filename}"`);
+    res.send(result.body);
+  } catch (error) {
+    let status = 400;
+    if (error.message === 'Simulation not found') status = 404;
+    else if (error.message === 'Simulation not completed yet') status = 409;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/simulations/:id/searches
+ * Record a completed sortie that found nothing; particles it swept are
+ * down-weighted by its POD
+ * Body: { id, name, unitId, hour | time (ISO), track: [{ lat, lng }],
+ *         sweepWidthNm, trackSpacingNm, pod (default from coverage) }
+ */
+app.post('/api/simulations/:id/searches', async (req, res) => {
+  try {
+    if (!simulationController) {
+      return res.status(503).json({ error: 'Simulation service not available' });
+    }
+    const update = await simulationController.recordSearch(req.params.id, req.body || {});
+    res.status(201).json(update);
+  } catch (error) {
+    let status = 400;
+    if (error.message === 'Simulation not found') status = 404;
+    else if (error.message === 'Simulation not completed yet' || error.message.includes('already recorded')) status = 409;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/simulations/:id/searches
+ * Recorded sorties, cumulative POS and the updated probability map
+ * Query: hour (snapshot to update, default the last)
+ */
+app.get('/api/simulations/:id/searches', async (req, res) => {
+  try {
+    if (!simulationController) {
+      return res.status(503).json({ error: 'Simulation service not available' });
+    }
+    const hour = req.query.hour !== undefined ? parseFloat(req.query.hour) : undefined;
+    const update = await simulationController.getSearchUpdate(req.params.id, hour);
+    res.json(update);
+  } catch (error) {
+    let status = 400;
+    if (error.message === 'Simulation not found' || error.message.startsWith('No snapshot')) status = 404;
+    else if (error.message === 'Simulation not completed yet') status = 409;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/simulations/:id/contours
+ * Highest-density region contours of a snapshot, after any recorded searches
+ * Query: hour (default the last snapshot), levels (comma-separated, e.g. 0.5,0.9;
+ * default the run's contourLevels)
+ */
+app.get('/api/simulations/:id/contours', async (req, res) => {
+  try {
+    if (!simulationController) {
+      return res.status(503).json({ error: 'Simulation service not available' });
+    }
+    const hour = req.query.hour !== undefined ? parseFloat(req.query.hour) : undefined;
+    const levels = req.query.levels !== undefined
+      ? String(req.query.levels).split(',').map(parseFloat)
+      : undefined;
+    const contours = await simulationController.getProbabilityContours(req.params.id, hour, levels);
+    res.json(contours);
+  } catch (error) {
+    let status = 400;
+    if (error.message === 'Simulation not found' || error.message.startsWith('No snapshot')) status = 404;
+    else if (error.message === 'Simulation not completed yet') status = 409;
+    res.status(status).json({ error: error.message });
+  }
+});
+
 /**
  * DELETE /api/simulations/:id
- * Cancel/delete a simulation
+ * Cancel and delete a simulation, including its stored results
  */
-app.delete('/api/simulations/:id', (req, res) => {
+app.delete('/api/simulations/:id', async (req, res) => {
   try {
     if (!simulationController) {
       return res.status(503).json({ error: 'Simulation service not available' });
     }
-    simulationController.cancelSimulation(req.params.id);
-    res.json({ success: true, message: 'Simulation cancelled' });
+    await simulationController.deleteSimulation(req.params.id);
+    res.json({ success: true, message: 'Simulation deleted' });
   } catch (error) {
     res.status(404).json({ error: error.message });
   }
 });
 
 // ============================================
-// OBJECT TYPES ENDPOINT
+// OBJECT TYPES ENDPOINTS
 // ============================================
 
+/**
+ * Map leeway catalog errors to HTTP status codes
+ */
+function catalogErrorStatus(error) {
+  if (error.message.startsWith('Unknown object type')) return 404;
+  if (error.message.includes('already exists') || error.message.includes('cannot be modified')) return 409;
+  return 400;
+}
+
 /**
  * GET /api/object-types
- * Get available drift object types
+ * Leeway object catalog: categories, coefficients and descriptions
+ * Query: category (only objects in this category)
+ * `types` lists object ids (plus legacy aliases) for older clients
  */
 app.get('/api/object-types', (req, res) => {
+  if (!leewayCatalog) {
+    return res.status(503).json({ error: 'Leeway catalog not available' });
+  }
+  const catalog = leewayCatalog.describe({ category: req.query.category });
   res.json({
-    types: [
-      'person-in-water',
-      'person-with-pfd',
-      'person-in-drysuit',
-      'life-raft-4',
-      'life-raft-6',
-      'life-raft-10-plus',
-      'small-vessel',
-      'medium-vessel',
-      'sailboat',
-      'kayak',
-      'canoe',
-      'surfboard',
-      'paddleboard',
-      'debris-small',
-      'debris-large'
-    ]
+    ...catalog,
+    types: catalog.objects.flatMap(o => [o.id, ...o.aliases])
   });
 });
 
+/**
+ * GET /api/object-types/:id
+ * Get one object type by id or alias
+ */
+app.get('/api/object-types/:id', (req, res) => {
+  if (!leewayCatalog) {
+    return res.status(503).json({ error: 'Leeway catalog not available' });
+  }
+  const object = leewayCatalog.get(req.params.id);
+  if (!object) {
+    return res.status(404).json({ error: `Unknown object type '${req.params.id}'` });
+  }
+  res.json(object);
+});
+
+/**
+ * POST /api/object-types
+ * Add an organisation-defined object
+ * Body: { id, name, description, category, aliases, dwl, cwl, cwlNeg }
+ * with dwl / cwl as { slope (%), offset (cm/s), syx (cm/s) }
+ */
+app.post('/api/object-types', async (req, res) => {
+  try {
+    if (!leewayCatalog) {
+      return res.status(503).json({ error: 'Leeway catalog not available' });
+    }
+    const object = await leewayCatalog.addCustom(req.body);
+    res.status(201).json(object);
+  } catch (error) {
+    res.status(catalogErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/object-types/:id
+ * Replace a custom object (built-in objects are read-only)
+ */
+app.put('/api/object-types/:id', async (req, res) => {
+  try {
+    if (!leewayCatalog) {
+      return res.status(503).json({ error: 'Leeway catalog not available' });
+    }
+    const object = await leewayCatalog.updateCustom(req.params.id, req.body);
+    res.json(object);
+  } catch (error) {
+    res.status(catalogErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/object-types/:id
+ * Remove a custom object
+ */
+app.delete('/api/object-types/:id', async (req, res) => {
+  try {
+    if (!leewayCatalog) {
+      return res.status(503).json({ error: 'Leeway catalog not available' });
+    }
+    await leewayCatalog.removeCustom(req.params.id);
+    res.json({ success: true, message: 'Object type deleted' });
+  } catch (error) {
+    res.status(catalogErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// ============================================
+// SURVIVAL ENDPOINT
+// ============================================
+
+/**
+ * POST /api/survival
+ * Predict core temperature, functional time and survival time for a person
+ * in the water (or in a raft)
+ * Body: {
+ *   victimProfile: { age, sex, massKg, heightCm, bodyFatPercent, hasPFD, clothing, situation },
+ *   conditions: { waterTemp, airTemp (°F), seaState, wind: { speed (knots) } },
+ *   elapsedHours
+ * }
+ */
+app.post('/api/survival', (req, res) => {
+  try {
+    if (!survivalAnalyzer) {
+      return res.status(503).json({ error: 'Survival model not available' });
+    }
+    const { victimProfile, conditions, elapsedHours = 0 } = req.body || {};
+    if (!conditions || typeof conditions.waterTemp !== 'number') {
+      return res.status(400).json({ error: 'conditions.waterTemp (°F) is required' });
+    }
+    if (typeof elapsedHours !== 'number' || elapsedHours < 0) {
+      return res.status(400).json({ error: 'elapsedHours must be a non-negative number' });
+    }
+    res.json(survivalAnalyzer.analyze(victimProfile || {}, conditions, elapsedHours));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // ============================================
 // BATHYMETRY ENDPOINT (placeholder)
 // ============================================
@@ -502,7 +968,22 @@ app.use((req, res) => {
 // ============================================
 // START SERVER
 // ============================================
-app.listen(PORT, '0.0.0.0', () => {
+// Load custom object types and persisted runs before taking requests, so
+// early requests see them and writes cannot race the load
+const initialize = async () => {
+  if (leewayCatalog) {
+    await leewayCatalog.initialize()
+      .catch(error => console.error('[Server] Failed to load custom object types:', error.message));
+  }
+
+  if (simulationController) {
+    await simulationController.initialize()
+      .then(({ restored }) => console.log(`[Server] Restored ${restored} persisted simulation(s)`))
+      .catch(error => console.error('[Server] Failed to restore simulations:', error.message));
+  }
+};
+
+initialize().then(() => app.listen(PORT, '0.0.0.0', () => {
   console.log('');
   console.log('=== RescueGPS Backend v2.3.0 ===');
   console.log(`Port: ${PORT}`);
@@ -512,4 +993,4 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log('Status: Ready');
   console.log('================================');
   console.log('');
-});
+}));
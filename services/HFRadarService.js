@@ -199,7 +199,9 @@ class HFRadarService {
             u: current.u,
             v: current.v,
             speed: current.speed,
-            direction: current.direction
+            direction: current.direction,
+            quality: current.quality,
+            source: current.source
           });
         }
       }
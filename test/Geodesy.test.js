@@ -0,0 +1,84 @@
+/**
+ * Geodesy.test.js
+ * Great-circle moves against reference results on the 6371 km sphere:
+ * published worked examples (Veness, Movable Type Scripts), moves across the
+ * antimeridian and moves at high latitude / over the pole
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Geodesy = require('../drift-engine/physics/Geodesy');
+const CoordinateUtils = require('../utils/CoordinateUtils');
+
+const dms = (degrees, minutes, seconds) => degrees + minutes / 60 + seconds / 3600;
+
+const near = (actual, expected, tolerance, label) => {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${label}: expected ${expected} ± ${tolerance}, got ${actual}`
+  );
+};
+
+const moved = (position, distanceKm, bearing) => {
+  const offset = Geodesy.offset(position, distanceKm, bearing);
+  return Geodesy.move(position, offset.lat, offset.lng);
+};
+
+test('distance matches the Land\'s End - John o\' Groats reference', () => {
+  const km = CoordinateUtils.distance(dms(50, 3, 59), -dms(5, 42, 53), dms(58, 38, 38), -dms(3, 4, 12));
+  near(km, 968.9, 0.1, 'distance');
+});
+
+test('destination matches the published worked example', () => {
+  const start = { lat: dms(53, 19, 14), lng: -dms(1, 43, 47) };
+  const end = moved(start, 124.8, dms(96, 1, 18));
+  near(end.lat, dms(53, 11, 18), 0.0005, 'lat');
+  near(end.lng, dms(0, 8, 0), 0.0005, 'lng');
+});
+
+test('one degree east along the equator crosses the antimeridian', () => {
+  const end = moved({ lat: 0, lng: 179.5 }, Geodesy.KM_PER_DEGREE, 90);
+  near(end.lat, 0, 1e-9, 'lat');
+  near(end.lng, -179.5, 1e-9, 'lng');
+
+  const offset = Geodesy.offset({ lat: 0, lng: 179.5 }, Geodesy.KM_PER_DEGREE, 90);
+  near(offset.lng, 1, 1e-9, 'offset lng');
+});
+
+test('distance across the antimeridian takes the short way round', () => {
+  near(CoordinateUtils.distance(75, 179, 75, -179), 57.556, 0.001, 'distance');
+  near(CoordinateUtils.distance(0, 179.5, 0, -179.5), Geodesy.KM_PER_DEGREE, 1e-6, 'equator');
+});
+
+test('due east at 75°N across the antimeridian follows the great circle', () => {
+  const start = { lat: 75, lng: 179.9 };
+  const end = moved(start, 50, 90);
+  // A great circle leaving due east curves toward the equator
+  near(end.lat, 74.993416, 1e-5, 'lat');
+  near(end.lng, -178.363141, 1e-5, 'lng');
+  near(CoordinateUtils.distance(start.lat, start.lng, end.lat, end.lng), 50, 1e-6, 'distance');
+});
+
+test('north from 70°N over the pole comes down the opposite meridian', () => {
+  const end = moved({ lat: 70, lng: 10 }, 40 * Geodesy.KM_PER_DEGREE, 0);
+  near(end.lat, 70, 1e-9, 'lat');
+  near(end.lng, -170, 1e-9, 'lng');
+  near(CoordinateUtils.distance(70, 10, end.lat, end.lng), 4447.797, 0.001, 'distance');
+});
+
+test('north / east components at 80°N match the equivalent bearing', () => {
+  const position = { lat: 80, lng: -45 };
+  const components = Geodesy.offsetNorthEast(position, 3, 4);
+  const bearing = Geodesy.offset(position, 5, CoordinateUtils.toDegrees(Math.atan2(4, 3)));
+  near(components.lat, bearing.lat, 1e-12, 'lat');
+  near(components.lng, bearing.lng, 1e-12, 'lng');
+  near(Geodesy.offsetKm(position, components.lat, components.lng), 5, 0.01, 'offsetKm');
+});
+
+test('wrapLongitude keeps longitudes in [-180, 180)', () => {
+  assert.strictEqual(Geodesy.wrapLongitude(180), -180);
+  assert.strictEqual(Geodesy.wrapLongitude(-180), -180);
+  near(Geodesy.wrapLongitude(359.5), -0.5, 1e-12, '359.5');
+  near(Geodesy.wrapLongitude(-540.25), 179.75, 1e-12, '-540.25');
+});
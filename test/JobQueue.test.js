@@ -0,0 +1,29 @@
+/**
+ * JobQueue.test.js
+ * A full queue refuses jobs with an error callers can tell apart from a
+ * bad request
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const JobQueue = require('../drift-engine/api/JobQueue');
+
+test('a full queue refuses jobs with code QUEUE_FULL', async () => {
+  const queue = new JobQueue({ concurrency: 1, maxQueued: 1 });
+  let finish;
+  const running = new Promise(resolve => { finish = resolve; });
+
+  queue.enqueue('a', 'rescue', () => running);
+  queue.enqueue('b', 'rescue', () => Promise.resolve());
+  assert.ok(queue.isFull());
+  assert.throws(
+    () => queue.enqueue('c', 'rescue', () => Promise.resolve()),
+    error => error.code === 'QUEUE_FULL' && /queue is full/.test(error.message)
+  );
+
+  // Unknown priorities are a caller mistake, not a full queue
+  finish();
+  await queue.running.get('a');
+  assert.throws(() => queue.enqueue('d', 'urgent', () => Promise.resolve()), error => error.code === undefined);
+});
@@ -0,0 +1,68 @@
+/**
+ * ParticleEngine.test.js
+ * Object-class and ensemble-member assignment: every class must be dealt to
+ * every member, in even shares
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ParticleEngine = require('../drift-engine/core/ParticleEngine');
+const ObjectClasses = require('../drift-engine/core/ObjectClasses');
+const SeededRandom = require('../drift-engine/core/SeededRandom');
+
+const mix = (engine) => {
+  const counts = new Map();
+  engine.getAllParticles().forEach(p => {
+    const key = `${p.objectClass}:${p.member}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return counts;
+};
+
+test('every object class x ensemble member combination is populated', () => {
+  const engine = new ParticleEngine({
+    particleCount: 100,
+    lkp: { lat: 41, lng: -70 },
+    ensembleMembers: 2,
+    objectClasses: new ObjectClasses([
+      { id: 'piw', objectType: 'piw-unknown' },
+      { id: 'raft', objectType: 'life-raft' }
+    ]),
+    rng: new SeededRandom(1)
+  });
+
+  const counts = mix(engine);
+  assert.deepStrictEqual([...counts.keys()].sort(), ['0:0', '0:1', '1:0', '1:1']);
+  counts.forEach((count, key) => assert.strictEqual(count, 25, key));
+});
+
+test('uneven class shares are still split evenly across members', () => {
+  const engine = new ParticleEngine({
+    particleCount: 120,
+    lkp: { lat: 41, lng: -70 },
+    ensembleMembers: 3,
+    objectClasses: new ObjectClasses([
+      { id: 'piw', objectType: 'piw-unknown', share: 3 },
+      { id: 'raft', objectType: 'life-raft', share: 1 }
+    ]),
+    rng: new SeededRandom(2)
+  });
+
+  const counts = mix(engine);
+  [0, 1, 2].forEach(member => {
+    assert.strictEqual(counts.get(`0:${member}`), 30, `piw member ${member}`);
+    assert.strictEqual(counts.get(`1:${member}`), 10, `raft member ${member}`);
+  });
+});
+
+test('without object classes members are dealt round-robin', () => {
+  const engine = new ParticleEngine({
+    particleCount: 10,
+    lkp: { lat: 41, lng: -70 },
+    ensembleMembers: 3,
+    rng: new SeededRandom(3)
+  });
+
+  assert.deepStrictEqual(engine.getAllParticles().map(p => p.member), [0, 1, 2, 0, 1, 2, 0, 1, 2, 0]);
+});
@@ -0,0 +1,97 @@
+/**
+ * ProbabilityContours.test.js
+ * Marching-squares contours (ContourTracer) on analytic grids, and
+ * highest-density regions from the kernel density surface of particles
+ * drawn from known distributions
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ContourTracer = require('../drift-engine/analysis/ContourTracer');
+const ProbabilityCalculator = require('../drift-engine/analysis/ProbabilityCalculator');
+const SeededRandom = require('../drift-engine/core/SeededRandom');
+
+const near = (actual, expected, tolerance, label) => {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${label}: expected ${expected} ± ${tolerance}, got ${actual}`
+  );
+};
+
+const grid = (size, value) => {
+  const values = new Float64Array(size * size);
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) values[row * size + col] = value(col, row);
+  }
+  return values;
+};
+
+// Shoelace area of a lat/lng ring, positive counter-clockwise
+const lngLatArea = ring => {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += ring[j].lng * ring[i].lat - ring[i].lng * ring[j].lat;
+  }
+  return area / 2;
+};
+
+test('a single Gaussian gives one counter-clockwise ring with no holes', () => {
+  const tracer = new ContourTracer();
+  const sigma = 6;
+  const values = grid(41, (x, y) => Math.exp(-((x - 20) ** 2 + (y - 20) ** 2) / (2 * sigma * sigma)));
+
+  const parts = tracer.trace(values, 41, 41, 0.5);
+  assert.strictEqual(parts.length, 1);
+  assert.strictEqual(parts[0].holes.length, 0);
+
+  // Half-maximum circle: r² = 2 sigma² ln 2
+  const area = tracer.signedArea(parts[0].outer);
+  near(area, 2 * Math.PI * sigma * sigma * Math.LN2, 3, 'area');
+});
+
+test('an annulus gives one ring with a clockwise hole around the centre', () => {
+  const tracer = new ContourTracer();
+  const values = grid(41, (x, y) => Math.exp(-((Math.hypot(x - 20, y - 20) - 10) ** 2) / 8));
+
+  const parts = tracer.trace(values, 41, 41, 0.5);
+  assert.strictEqual(parts.length, 1);
+  assert.strictEqual(parts[0].holes.length, 1);
+  assert.ok(tracer.signedArea(parts[0].outer) > 0, 'outer ring counter-clockwise');
+  assert.ok(tracer.signedArea(parts[0].holes[0]) < 0, 'hole clockwise');
+  assert.ok(tracer.contains(parts[0].holes[0], { x: 20, y: 20 }), 'hole around the centre');
+});
+
+test('particles around one point give a single highest-density region per level', () => {
+  const rng = new SeededRandom(11);
+  const particles = Array.from({ length: 2000 }, () => ({
+    lat: 41 + rng.gaussian(0, 0.01),
+    lng: -70 + rng.gaussian(0, 0.013),
+    status: 'active'
+  }));
+
+  const { contours } = new ProbabilityCalculator().calculate(particles);
+  assert.deepStrictEqual(contours.map(c => c.level), [0.5, 0.9, 0.95]);
+  contours.forEach(contour => {
+    assert.strictEqual(contour.parts.length, 1, `parts at ${contour.level}`);
+    assert.strictEqual(contour.parts[0].holes.length, 0, `holes at ${contour.level}`);
+    assert.ok(lngLatArea(contour.parts[0].outer) > 0, `counter-clockwise at ${contour.level}`);
+    near(contour.probability, contour.level, 0.02, `probability at ${contour.level}`);
+  });
+  assert.ok(contours[0].areaKm2 < contours[1].areaKm2 && contours[1].areaKm2 < contours[2].areaKm2);
+});
+
+test('two separate clusters give one part each', () => {
+  const rng = new SeededRandom(12);
+  const particles = Array.from({ length: 2000 }, (_, i) => ({
+    lat: 41 + rng.gaussian(0, 0.005),
+    lng: (i % 2 ? -70.1 : -69.9) + rng.gaussian(0, 0.005),
+    status: 'active'
+  }));
+
+  const [half] = new ProbabilityCalculator({ levels: [0.5] }).calculate(particles).contours;
+  assert.strictEqual(half.parts.length, 2);
+  const lngs = half.parts.map(part => part.outer.reduce((sum, p) => sum + p.lng, 0) / part.outer.length).sort((a, b) => a - b);
+  near(lngs[0], -70.1, 0.01, 'western part');
+  near(lngs[1], -69.9, 0.01, 'eastern part');
+});
@@ -0,0 +1,128 @@
+/**
+ * SearchPatternGenerator.test.js
+ * IAMSAR pattern geometry over a known search box, and drift compensation
+ * from the simulation centroid track
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SearchPatternGenerator = require('../drift-engine/planning/SearchPatternGenerator');
+const Geodesy = require('../drift-engine/physics/Geodesy');
+
+const NM_PER_DEGREE = Geodesy.KM_PER_DEGREE / 1.852;
+
+const near = (actual, expected, tolerance, label) => {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${label}: expected ${expected} ± ${tolerance}, got ${actual}`
+  );
+};
+
+// 4 NM east-west by 2 NM north-south on the equator
+const box = {
+  south: -1 / NM_PER_DEGREE,
+  north: 1 / NM_PER_DEGREE,
+  west: -2 / NM_PER_DEGREE,
+  east: 2 / NM_PER_DEGREE
+};
+const results = { duration: { simulated: 0 }, snapshots: [] };
+
+const generate = request => new SearchPatternGenerator().generate(results, {
+  region: { bounds: box },
+  trackSpacingNm: 0.5,
+  speedKnots: 10,
+  ...request
+});
+
+const inside = (point, label) => {
+  assert.ok(
+    point.lat >= box.south - 1e-9 && point.lat <= box.north + 1e-9 &&
+      point.lng >= box.west - 1e-9 && point.lng <= box.east + 1e-9,
+    `${label} outside the box: ${point.lat}, ${point.lng}`
+  );
+};
+
+test('parallel tracks run along the long axis, S apart, inside the area', () => {
+  const route = generate({ pattern: 'parallel-track' });
+
+  near(route.orientation, 90, 1e-9, 'orientation');
+  assert.strictEqual(route.code, 'PS');
+  assert.strictEqual(route.waypoints.length, 8); // 2 NM wide / 0.5 NM spacing = 4 tracks
+  route.waypoints.forEach(w => inside(w, `waypoint ${w.seq}`));
+
+  const tracks = route.legs.filter((_, i) => i % 2 === 0);
+  tracks.forEach(leg => near(leg.distanceNm, 3.5, 1e-3, `track ${leg.seq}`));
+  route.legs.filter((_, i) => i % 2 === 1).forEach(leg => near(leg.distanceNm, 0.5, 1e-3, `crossover ${leg.seq}`));
+  near(route.totals.trackLengthNm, 4 * 3.5 + 3 * 0.5, 1e-9, 'track length');
+  near(route.totals.durationHours, route.totals.trackLengthNm / 10, 1e-9, 'duration');
+  assert.strictEqual(route.drift.applied, false);
+});
+
+test('creeping line tracks cross the long axis', () => {
+  const route = generate({ pattern: 'creeping-line' });
+
+  assert.strictEqual(route.code, 'CS');
+  assert.strictEqual(route.waypoints.length, 16); // 4 NM long / 0.5 NM spacing = 8 tracks
+  route.legs.filter((_, i) => i % 2 === 0).forEach(leg => near(leg.distanceNm, 1.5, 1e-3, `track ${leg.seq}`));
+  route.waypoints.forEach(w => inside(w, `waypoint ${w.seq}`));
+});
+
+test('expanding square legs run S, S, 2S, 2S, ... turning right', () => {
+  const route = generate({ pattern: 'expanding-square', orientation: 0 });
+
+  assert.strictEqual(route.code, 'SS');
+  near(route.commenceSearchPoint.lat, 0, 1e-12, 'datum lat');
+  near(route.commenceSearchPoint.lng, 0, 1e-12, 'datum lng');
+  route.legs.forEach((leg, i) => {
+    near(leg.distanceNm, 0.5 * (Math.floor(i / 2) + 1), 1e-3, `leg ${leg.seq} length`);
+    near(((leg.bearing - 90 * i) % 360 + 540) % 360 - 180, 0, 0.01, `leg ${leg.seq} bearing`);
+  });
+  // Stops once a leg would be longer than the area is across
+  const radius = Math.hypot(2, 1);
+  assert.ok(route.legs[route.legs.length - 1].distanceNm <= 2 * radius + 0.5);
+});
+
+test('sector search flies three triangles back through the datum', () => {
+  const route = generate({ pattern: 'sector', orientation: 0 });
+
+  assert.strictEqual(route.code, 'VS');
+  assert.strictEqual(route.waypoints.length, 10);
+  [3, 6, 9].forEach(i => {
+    near(route.waypoints[i].lat, 0, 1e-12, `return ${i} lat`);
+    near(route.waypoints[i].lng, 0, 1e-12, `return ${i} lng`);
+  });
+  // Every leg is one radius long: the triangles are equilateral
+  const radius = Math.hypot(2, 1);
+  route.legs.forEach(leg => near(leg.distanceNm, radius, 1e-3, `leg ${leg.seq}`));
+});
+
+test('drift compensation moves each waypoint with the drift so far', () => {
+  const north = 1 / NM_PER_DEGREE; // 1 NM in an hour
+  const drifting = {
+    duration: { simulated: 1 },
+    snapshots: [
+      { hour: 0, centroid: { lat: 0, lng: 0 } },
+      { hour: 1, centroid: { lat: north, lng: 0 } }
+    ]
+  };
+  const generator = new SearchPatternGenerator();
+  const request = { pattern: 'parallel-track', region: { bounds: box }, trackSpacingNm: 0.5, speedKnots: 10, searchHour: 0 };
+
+  const still = generator.generate(drifting, { ...request, driftCompensation: false });
+  const moving = generator.generate(drifting, request);
+
+  assert.strictEqual(moving.drift.applied, true);
+  near(moving.drift.speedKnots, 1, 1e-9, 'drift speed');
+  near(moving.drift.direction, 0, 1e-9, 'drift direction');
+  moving.waypoints.forEach((w, i) => {
+    const hours = w.elapsedMinutes / 60;
+    near((w.lat - still.waypoints[i].lat) * NM_PER_DEGREE, hours, 1e-6, `waypoint ${w.seq} shift`);
+  });
+});
+
+test('bad requests are refused', () => {
+  assert.throws(() => generate({ pattern: 'spiral' }), /Unknown search pattern 'spiral'/);
+  assert.throws(() => generate({ trackSpacingNm: 0 }), /trackSpacingNm/);
+  assert.throws(() => generate({ region: 'polygon50' }), /Search region 'polygon50' is empty/);
+});
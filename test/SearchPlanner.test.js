@@ -0,0 +1,100 @@
+/**
+ * SearchPlanner.test.js
+ * POC / POD / POS bookkeeping and greedy effort allocation against hand
+ * worked search-theory numbers
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SearchPlanner = require('../drift-engine/planning/SearchPlanner');
+
+const near = (actual, expected, tolerance, label) => {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${label}: expected ${expected} ± ${tolerance}, got ${actual}`
+  );
+};
+
+// Two 0.1° squares on the equator, three quarters of the particles in the west one
+const density = {
+  gridSize: 0.01,
+  heatMap: [
+    { lat: 0.05, lng: 0.05, count: 75 },
+    { lat: 0.05, lng: 0.15, count: 25 }
+  ]
+};
+const areas = [
+  { id: 'west', bounds: { south: 0, north: 0.1, west: 0, east: 0.1 } },
+  { id: 'east', bounds: { south: 0, north: 0.1, west: 0.1, east: 0.2 } }
+];
+// 10 kn for 5 h less 1 h transit each way: 30 NM of track, 30 NM² of effort
+const unit = { id: 'boat', sweepWidthNm: 1, speedKnots: 10, enduranceHours: 5, transitHours: 1 };
+
+test('units expand by count and search what endurance leaves after transit', () => {
+  const units = new SearchPlanner().normalizeUnits([{ ...unit, count: 2 }]);
+  assert.deepStrictEqual(units.map(u => u.id), ['boat-1', 'boat-2']);
+  units.forEach(u => {
+    assert.strictEqual(u.searchHours, 3);
+    assert.strictEqual(u.trackLengthNm, 30);
+    assert.strictEqual(u.effortNm2, 30);
+  });
+  assert.throws(() => new SearchPlanner().normalizeUnits([{ id: 'x', sweepWidthNm: 1 }]), /positive speedKnots/);
+});
+
+test('units go where they add the most POS', () => {
+  const planner = new SearchPlanner();
+  const plan = planner.plan(density, { units: [{ ...unit, count: 3 }], areas });
+  const areaNm2 = planner.boundsAreaNm2(areas[0].bounds);
+
+  // West (POC 0.75) takes two units before east (POC 0.25) is worth the third
+  assert.deepStrictEqual(plan.allocation.map(a => a.areaId), ['west', 'west', 'east']);
+  near(plan.allocation[0].posGain, 0.75 * (1 - Math.exp(-30 / areaNm2)), 1e-12, 'first gain');
+  near(plan.allocation[0].trackSpacingNm, areaNm2 / 30, 1e-12, 'track spacing');
+
+  const west = plan.areas.find(a => a.id === 'west');
+  const east = plan.areas.find(a => a.id === 'east');
+  near(west.poc, 0.75, 1e-12, 'west POC');
+  near(west.coverage, 60 / areaNm2, 1e-12, 'west coverage');
+  near(west.pod, 1 - Math.exp(-60 / areaNm2), 1e-12, 'west POD');
+  near(west.pos, 0.75 * west.pod, 1e-12, 'west POS');
+  near(east.pos, 0.25 * (1 - Math.exp(-30 / areaNm2)), 1e-12, 'east POS');
+
+  near(plan.totals.poc, 1, 1e-12, 'total POC');
+  near(plan.totals.pos, west.pos + east.pos, 1e-12, 'total POS');
+  assert.strictEqual(plan.totals.effortNm2, 90);
+  near(plan.cells[plan.cells.length - 1].cumulativePos, plan.totals.pos, 1e-12, 'cumulative POS');
+});
+
+test('weighted densities take POC from mass, leaving unassigned mass outside the areas', () => {
+  const plan = new SearchPlanner().plan({
+    gridSize: 0.01,
+    heatMap: [
+      { lat: 0.05, lng: 0.05, count: 50, mass: 10 },
+      { lat: 0.5, lng: 0.5, count: 50, mass: 30 }
+    ]
+  }, { units: [unit], areas: [areas[0]], totalMass: 40 });
+
+  near(plan.areas[0].poc, 0.25, 1e-12, 'POC');
+  near(plan.totals.unassignedPoc, 0.75, 1e-12, 'unassigned');
+});
+
+test('an area across the antimeridian contains cells on both sides', () => {
+  const plan = new SearchPlanner().plan({
+    gridSize: 0.01,
+    heatMap: [
+      { lat: 0.05, lng: 179.95, count: 1 },
+      { lat: 0.05, lng: -179.95, count: 1 }
+    ]
+  }, { units: [unit], areas: [{ id: 'dateline', bounds: { south: 0, north: 0.1, west: 179.9, east: -179.9 } }] });
+
+  near(plan.areas[0].poc, 1, 1e-12, 'POC');
+  near(plan.areas[0].areaNm2, new SearchPlanner().boundsAreaNm2({ south: 0, north: 0.1, west: 0, east: 0.2 }), 1e-9, 'area');
+});
+
+test('without planner areas cells are grouped into blocks', () => {
+  const plan = new SearchPlanner({ areaSizeNm: 3 }).plan(density, { units: [unit] });
+  assert.ok(plan.areas.length >= 2);
+  near(plan.areas.reduce((sum, area) => sum + area.poc, 0), 1, 1e-12, 'POC');
+  assert.ok(plan.cells.every(cell => cell.areaId !== null));
+});
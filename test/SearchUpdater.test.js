@@ -0,0 +1,90 @@
+/**
+ * SearchUpdater.test.js
+ * Bayesian update after empty sorties: swept particles keep (1 - POD) of
+ * their weight per pass, and POS adds up over the case
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SearchUpdater = require('../drift-engine/planning/SearchUpdater');
+
+const near = (actual, expected, tolerance, label) => {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${label}: expected ${expected} ± ${tolerance}, got ${actual}`
+  );
+};
+
+const snapshotsOf = particles => [0, 1, 2].map(hour => ({ hour, time: hour * 3600, particles }));
+
+const sortie = (updater, index, overrides) => updater.normalize({
+  hour: 1,
+  track: [{ lat: 41, lng: -70.01 }, { lat: 41, lng: -69.99 }],
+  sweepWidthNm: 1,
+  ...overrides
+}, index);
+
+test('a particle swept twice at POD 0.5 keeps a quarter of its weight', () => {
+  const updater = new SearchUpdater();
+  const snapshots = snapshotsOf([
+    { id: 'in', lat: 41, lng: -70, status: 'active' },
+    { id: 'out', lat: 41.5, lng: -70, status: 'active' }
+  ]);
+  const sorties = [sortie(updater, 0, { pod: 0.5 }), sortie(updater, 1, { pod: 0.5, hour: 2 })];
+
+  const result = updater.update(snapshots, sorties);
+  assert.strictEqual(result.weights.get('in'), 0.25);
+  assert.strictEqual(result.weights.has('out'), false);
+
+  const [first, second] = result.sorties;
+  assert.strictEqual(first.particlesSwept, 1);
+  near(first.pos, 0.25, 1e-12, 'first POS');
+  near(second.pos, 0.125, 1e-12, 'second POS');
+  near(second.conditionalPos, 0.125 / 0.75, 1e-12, 'second conditional POS');
+  near(result.cumulativePos, 0.375, 1e-12, 'cumulative POS');
+  near(result.remainingProbability, 0.625, 1e-12, 'remaining');
+
+  const weighted = updater.applyWeights(snapshots[2].particles, result.weights);
+  assert.deepStrictEqual(weighted.map(p => p.weight), [0.25, 1]);
+});
+
+test('only sorties flown by the requested hour count', () => {
+  const updater = new SearchUpdater();
+  const snapshots = snapshotsOf([{ id: 'in', lat: 41, lng: -70, status: 'active' }]);
+  const sorties = [sortie(updater, 0, { pod: 0.5 }), sortie(updater, 1, { pod: 0.5, hour: 2 })];
+
+  assert.strictEqual(updater.update(snapshots, sorties, 1).weights.get('in'), 0.5);
+});
+
+test('beached particles are searched, pending ones are not', () => {
+  const updater = new SearchUpdater();
+  const snapshots = snapshotsOf([
+    { id: 'ashore', lat: 41, lng: -70, status: 'beached' },
+    { id: 'pending', lat: 41, lng: -70, status: 'pending' }
+  ]);
+
+  const { weights } = updater.update(snapshots, [sortie(updater, 0, { pod: 0.8 })]);
+  near(weights.get('ashore'), 0.2, 1e-12, 'ashore');
+  assert.strictEqual(weights.has('pending'), false);
+});
+
+test('POD defaults to 1 - exp(-coverage)', () => {
+  const updater = new SearchUpdater();
+  near(sortie(updater, 0).pod, 1 - Math.exp(-1), 1e-12, 'single pass');
+  near(sortie(updater, 0, { trackSpacingNm: 2 }).pod, 1 - Math.exp(-0.5), 1e-12, 'spaced tracks');
+  assert.throws(() => sortie(updater, 0, { pod: 1.5 }), /pod must be between 0 and 1/);
+});
+
+test('a track across the antimeridian sweeps particles on both sides', () => {
+  const updater = new SearchUpdater();
+  const snapshots = snapshotsOf([
+    { id: 'east', lat: 0, lng: 179.995, status: 'active' },
+    { id: 'west', lat: 0, lng: -179.995, status: 'active' }
+  ]);
+  const crossing = sortie(updater, 0, { pod: 0.5, track: [{ lat: 0, lng: 179.99 }, { lat: 0, lng: -179.99 }] });
+
+  const { weights } = updater.update(snapshots, [crossing]);
+  assert.strictEqual(weights.get('east'), 0.5);
+  assert.strictEqual(weights.get('west'), 0.5);
+});
@@ -0,0 +1,104 @@
+/**
+ * SimulationController.test.js
+ * Controller behaviour across a full run on a worker thread, with the store
+ * in a temporary directory
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SimulationController = require('../drift-engine/api/SimulationController');
+const FileSimulationStore = require('../drift-engine/storage/FileSimulationStore');
+
+const controllerIn = (dir, services = {}) => new SimulationController({
+  services,
+  concurrency: 1,
+  store: new FileSimulationStore({ dir: path.join(dir, 'simulations') }),
+  forcingDir: path.join(dir, 'forcing')
+});
+
+const completed = async (controller, id) => {
+  for (let i = 0; i < 600; i++) {
+    const { status, error } = controller.getSimulationStatus(id);
+    if (status === 'completed') return;
+    if (status !== 'queued' && status !== 'running') throw new Error(`Simulation ${status}: ${error}`);
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('Simulation did not complete');
+};
+
+test('a sortie can be recorded against a run without durationHours', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'controller-test-'));
+  const controller = controllerIn(dir);
+  try {
+    const { simulationId } = await controller.startSimulation({
+      lkp: { lat: 41, lng: -70 },
+      particleCount: 50,
+      useLiveData: false
+    });
+    await completed(controller, simulationId);
+
+    const results = await controller.getSimulationResults(simulationId);
+    assert.strictEqual(results.duration.requested, 72);
+    assert.strictEqual(results.duration.simulated, 72);
+
+    const update = await controller.recordSearch(simulationId, {
+      hour: 5,
+      track: [{ lat: 41, lng: -70 }, { lat: 41.1, lng: -70 }],
+      sweepWidthNm: 1
+    });
+    assert.strictEqual(update.searches.length, 1);
+    assert.strictEqual(update.hour, 72);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('an ensemble member can take its forcing from HF radar around the LKP', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'controller-test-'));
+  const requested = [];
+  const hfRadarService = {
+    // Uniform 0.5 m/s eastward current over the requested bounds
+    async getCurrentGrid(bounds, resolution) {
+      requested.push(bounds);
+      const grid = [];
+      for (let lat = bounds.south; lat <= bounds.north + 1e-9; lat += resolution) {
+        const row = [];
+        for (let lng = bounds.west; lng <= bounds.east + 1e-9; lng += resolution) {
+          row.push({ lat, lng, u: 0.5, v: 0, quality: 'good' });
+        }
+        grid.push(row);
+      }
+      return { grid, bounds, resolution, timestamp: new Date().toISOString() };
+    }
+  };
+  const controller = controllerIn(dir, { hfRadarService });
+  try {
+    const { simulationId } = await controller.startSimulation({
+      lkp: { lat: 41, lng: -70 },
+      particleCount: 100,
+      durationHours: 6,
+      useLiveData: false,
+      ensemble: {
+        sources: [
+          { name: 'model' },
+          { name: 'radar', forcing: { source: 'hf-radar' } }
+        ]
+      }
+    });
+
+    assert.deepStrictEqual(requested, [{ north: 41.25, south: 40.75, east: -69.75, west: -70.25 }]);
+    await completed(controller, simulationId);
+
+    const { ensemble } = await controller.getSimulationResults(simulationId);
+    const [model, radar] = ensemble.centroids;
+    assert.strictEqual(model.source, 'model');
+    assert.strictEqual(radar.source, 'radar');
+    assert.ok(radar.centroid.lng > model.centroid.lng, 'radar member drifts east');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,97 @@
+/**
+ * SurvivalTermination.test.js
+ * Search-termination guidance must not fire for survivors the cold-water
+ * model cannot kill: in warm water the survival time is censored at the
+ * horizon, and a run longer than the default 72 h horizon must neither
+ * report falling survival nor a termination hour. A censored time is still
+ * only a lower bound: it must not hand back survival lost in colder water.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const SimulationRunner = require('../drift-engine/core/SimulationRunner');
+const SurvivalAnalyzer = require('../drift-engine/analysis/SurvivalAnalyzer');
+
+const run = async (waterTemp, victimProfile, durationHours) => {
+  const runner = new SimulationRunner({
+    id: 'termination-test',
+    seed: 7,
+    config: {
+      lkp: { lat: 25, lng: -80 },
+      particleCount: 20,
+      durationHours,
+      useLiveData: false,
+      victimProfile
+    }
+  }, {
+    provided: { conditions: { waterTemp }, metadata: {} }
+  });
+  return runner.run({});
+};
+
+test('a 96 h run in warm water does not trigger termination', async () => {
+  const results = await run(79, { hasPFD: true, clothing: 'immersion-suit' }, 96);
+  const { curve, termination } = results.survival;
+
+  assert.strictEqual(curve[curve.length - 1].hour, 96);
+  curve.forEach(point => assert.strictEqual(point.probability, 1, `survival at hour ${point.hour}`));
+  assert.strictEqual(results.survival.probability, 1);
+  assert.strictEqual(termination.reached, false);
+  assert.strictEqual(termination.indeterminate, true);
+  assert.strictEqual(termination.hour, null);
+});
+
+test('cold water still reaches termination', async () => {
+  const results = await run(40, { hasPFD: false, clothing: 'light' }, 12);
+  const { termination } = results.survival;
+
+  assert.strictEqual(termination.reached, true);
+  assert.strictEqual(termination.indeterminate, false);
+  assert.ok(termination.hour > 0 && termination.hour < 12, `termination at hour ${termination.hour}`);
+});
+
+test('survival lost in cold water is not regained in warm water', async () => {
+  const runner = new SimulationRunner({
+    id: 'cold-then-warm',
+    seed: 7,
+    config: {
+      lkp: { lat: 25, lng: -80 },
+      particleCount: 20,
+      durationHours: 2,
+      useLiveData: false,
+      victimProfile: { hasPFD: false, clothing: 'light' }
+    }
+  }, {
+    provided: { conditions: { waterTemp: 40 }, metadata: {} }
+  });
+  await runner.run({});
+
+  const particles = runner.simulator.particleEngine.getAllParticles()
+    .filter(p => p.status === 'active');
+  const cold = particles.map(p => p.survival);
+  assert.ok(cold.every(survival => survival < 1), 'cold water lowers survival');
+
+  // An hour on in warm water, where the survival time is censored
+  particles.forEach(p => {
+    p.waterTemp = 79;
+    p.age += 3600;
+  });
+  runner.simulator.trackSurvival(particles);
+
+  particles.forEach((p, i) => {
+    assert.ok(p.survivalCensored);
+    assert.ok(p.survival <= cold[i], `particle ${p.id}: ${cold[i]} -> ${p.survival}`);
+  });
+});
+
+test('a censored survival time is a lower bound, not survival forever', () => {
+  const analyzer = new SurvivalAnalyzer();
+  const prediction = analyzer.predict({ hasPFD: true, clothing: 'immersion-suit' }, { waterTemp: 79 });
+  const { censored, horizonHours } = prediction.survivalTime;
+
+  assert.strictEqual(censored, true);
+  assert.strictEqual(analyzer.survivalFromExposure(prediction, 1), 1);
+  assert.ok(analyzer.survivalFromExposure(prediction, 1.1) < 1);
+  assert.ok(analyzer.survivalFromExposure(prediction, 2) < 0.01, `${horizonHours * 2} h`);
+});